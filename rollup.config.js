@@ -37,6 +37,13 @@ const core = [
 	'./src/LayoutTiles.js',
 	'./src/LayoutTileImages.js',
 	'./src/Raster.js',
+	'./src/Cache.js',
+	'./src/Heap.js',
+	'./src/RequestPolicy.js',
+	'./src/TileStore.js',
+	'./src/LocalFiles.js',
+	'./src/DecoderPool.js',
+	'./src/ColorProfile.js',
 	'./src/ShaderFilter.js',
 	'./src/ShaderFilterColormap.js',
 	'./src/ShaderFilterVector.js',
@@ -50,6 +57,7 @@ const core = [
 	'./src/ControllerPanZoom.js',
 	'./src/PointerManager.js',
 	'./src/Viewer.js',
+	'./src/ViewerLink.js',
 	'./src/CoordinateSystem.js',
 	'./src/BoundingBox.js',
 	'./src/GeoreferenceManager.js',
@@ -65,6 +73,8 @@ const ui = [
 	'./src/Skin.js',
 	'./src/UIBasic.js',
 	'./src/Ruler.js',
+	'./src/SplitDivider.js',
+	'./src/Minimap.js',
 	'./src/ScaleBar.js',
 	'./src/Draggable.js',
 	'./src/LightSphereController.js'
@@ -97,7 +107,8 @@ const annotation = [
 	'./src/TextToSpeechPlayer.js',
 	'./src/LayerAnnotation.js',
 	'./src/LayerSvgAnnotation.js',
-	'./src/EditorSvgAnnotation.js'
+	'./src/EditorSvgAnnotation.js',
+	'./src/IIIFManifest.js'
 ];
 
 const allModules = [...core, ...ui, ...rti, ...brdf, ...lens, ...annotation];
@@ -125,6 +125,8 @@ class Annotation {
 
   /**
    * Creates an Annotation instance from a JSON-LD format object.
+   * Besides SvgSelector, media fragments (`#xywh=` in the target or a FragmentSelector,
+   * as used by IIIF annotations) are converted to an SVG rectangle.
    * @param {Object} entry - The JSON-LD object representing an annotation.
    * @returns {Annotation} A new Annotation instance.
    * @throws {Error} If the entry is not a valid JSON-LD annotation or contains unsupported selectors.
@@ -143,31 +145,64 @@ class Annotation {
       'describing': 'description' 
     };
     
-    if (Array.isArray(entry.body)) {
-      for (const item of entry.body) {
-        const field = propertyMap[item.purpose];
-        if (field) {
-          options[field] = item.value;
-        }
+    const bodies = entry.body ? [].concat(entry.body) : [];
+    for (const item of bodies) {
+      const field = propertyMap[item.purpose];
+      if (field) {
+        options[field] = item.value;
+      } else if (!item.purpose && item.type === 'TextualBody' && options.description === undefined) {
+        // Plain textual bodies (e.g. IIIF comments) are descriptions
+        options.description = item.value;
       }
     }
     
     // Process target selector if present
-    const selector = entry.target?.selector;
+    const target = entry.target;
+    const selectors = target?.selector ? [].concat(target.selector) : [];
+    const selector = selectors.find(s => s.type === 'SvgSelector') || selectors[0];
     if (selector) {
       switch (selector.type) {
         case 'SvgSelector':
           options.svg = selector.value;
           options.elements = [];
           break;
+        case 'FragmentSelector':
+          options.region = Annotation.parseXYWH(selector.value);
+          if (!options.region)
+            throw new Error(`Unsupported fragment: ${selector.value}`);
+          break;
         default:
           throw new Error(`Unsupported selector: ${selector.type}`);
       }
+    } else {
+      const source = typeof target === 'string' ? target : (target?.id ?? target?.source);
+      if (typeof source === 'string' && source.includes('#'))
+        options.region = Annotation.parseXYWH(source.substring(source.indexOf('#') + 1));
+    }
+
+    if (options.region) {
+      const r = options.region;
+      options.svg = `<svg xmlns="http://www.w3.org/2000/svg"><rect x="${r.x}" y="${r.y}" width="${r.w}" height="${r.h}"/></svg>`;
+      options.elements = [];
     }
     
     return new Annotation(options);
   }
 
+  /**
+   * Parses a media fragment ('xywh=x,y,w,h' or 'xywh=pixel:x,y,w,h').
+   * @param {string} fragment - The fragment string
+   * @returns {Object|null} Region {x, y, w, h} or null if not a pixel xywh fragment
+   * @private
+   */
+  static parseXYWH(fragment) {
+    const match = /xywh=(?:pixel:)?([\d.]+),([\d.]+),([\d.]+),([\d.]+)/.exec(fragment);
+    if (!match)
+      return null;
+    const [x, y, w, h] = match.slice(1).map(parseFloat);
+    return { x, y, w, h };
+  }
+
   /**
    * Converts the annotation to a JSON-LD format object.
    * @returns {Object} A JSON-LD representation of the annotation.
@@ -115,12 +115,13 @@ class BoundingBox {
      * Quantizes the bounding box coordinates by dividing by a specified value and rounding down.
      * This creates a grid-aligned bounding box.
      * @param {number} side - The value to divide coordinates by
+     * @param {number} [sideY=side] - The value to divide y coordinates by (for non-square grids)
      */
-    quantize(side) {
+    quantize(side, sideY = side) {
         this.xLow = Math.floor(this.xLow / side);
-        this.yLow = Math.floor(this.yLow / side);
+        this.yLow = Math.floor(this.yLow / sideY);
         this.xHigh = Math.floor((this.xHigh - 1) / side) + 1;
-        this.yHigh = Math.floor((this.yHigh - 1) / side) + 1;
+        this.yHigh = Math.floor((this.yHigh - 1) / sideY) + 1;
     }
 
     /**
@@ -1,3 +1,54 @@
+import { Heap } from './Heap.js'
+
+/**
+ * Adjacent byte ranges of a group of tiles merged in a single request per url.
+ * Each tile gets its slice of the merged payload; ranges which are not contiguous are fetched on their own.
+ * @private
+ */
+class RangeBatch {
+	/**
+	 * @param {Object[][]} ranges - For each tile, its ranges { url, start, end } (see Layer#tileRanges)
+	 */
+	constructor(ranges) {
+		this.ranges = new Map; //url -> { start, end, promise }
+		const byUrl = new Map;
+		for (const tileRanges of ranges)
+			for (const range of tileRanges) {
+				if (!byUrl.has(range.url)) byUrl.set(range.url, []);
+				byUrl.get(range.url).push(range);
+			}
+		for (const [url, list] of byUrl) {
+			list.sort((a, b) => a.start - b.start);
+			if (list.every((range, i) => i == 0 || range.start <= list[i - 1].end + 1))
+				this.ranges.set(url, { start: list[0].start, end: Math.max(...list.map(range => range.end)), promise: null });
+		}
+	}
+
+	/**
+	 * Gets the data of a tile from the merged request, which is sent by the first tile asking for it.
+	 * @param {Object} tile - Tile request (url, start, end, controller), read before awaiting
+	 * @param {Function} fetcher - Async function (range) => Blob fetching a { url, start, end } range
+	 * @returns {Promise<Blob>} The tile data
+	 */
+	async load(tile, fetcher) {
+		const { url, start, end } = tile;
+		const signal = tile.controller?.signal;
+		const range = this.ranges.get(url);
+		if (!range || start < range.start || end > range.end)
+			return await fetcher({ url, start, end, controller: tile.controller });
+
+		if (!range.promise) { //not abortable: it is shared.
+			range.promise = fetcher({ url, start: range.start, end: range.end });
+			range.promise.catch(() => { range.promise = null; }); //retried by the next attempt.
+		}
+		const blob = await new Promise((resolve, reject) => {
+			range.promise.then(resolve, reject);
+			signal?.addEventListener('abort', () => reject(new DOMException("Tile request aborted", 'AbortError')));
+		});
+		return blob.slice(start - range.start, end - range.start + 1);
+	}
+}
+
 /**
  * Cache manager for efficient tile management and retrieval in layers.
  * Implements a singleton pattern for centralized cache control across the application.
@@ -36,6 +87,12 @@ class Cache {
 	 */
 	#requested = 0;
 
+	/**
+	 * Tile retries waiting for a request slot after their backoff (see {@link Layer#retryTile})
+	 * @type {Function[]}
+	 */
+	#waiting = [];
+
 	/**
 	 * Maximum concurrent HTTP requests
 	 * @type {number}
@@ -67,10 +124,83 @@ class Cache {
 	#maxPrefetch;
 
 	/**
-	 * Current amount of prefetched GPU RAM
+	 * GPU RAM used by the loaded tiles of each layer which are in the prefetch border of the view
+	 * @type {Map<Layer, number>}
+	 */
+	#prefetched = new Map();
+
+	/**
+	 * Persistent tile store (second tier, below GPU RAM)
+	 * @type {TileStore|null}
+	 */
+	#store = null;
+
+	/**
+	 * Maximum number of adjacent tiles merged in a single range request
+	 * @type {number}
+	 */
+	#maxBatch;
+
+	/**
+	 * Number of merged range requests sent
 	 * @type {number}
 	 */
-	#prefetched = 0;
+	#batches = 0;
+
+	/**
+	 * Number of tiles loaded through merged range requests
+	 * @type {number}
+	 */
+	#batchedTiles = 0;
+
+	/**
+	 * Download candidates of all the layers, best first (visible before prefetch, then by weighted score)
+	 * @type {Heap|null}
+	 */
+	#candidates = null;
+
+	/**
+	 * Loaded tiles, least recently needed first, one heap for each eviction scope (global, partition or layer):
+	 * { heap, accepts, layers } where layers are the ones accepted by the scope when the heap was built
+	 * @type {Map<any, Object>}
+	 */
+	#evictable = new Map();
+
+	/**
+	 * Scheduler counters reported by getStats
+	 * @type {Object}
+	 */
+	#scheduler = { rebuilds: 0, visibleRequests: 0, prefetchRequests: 0, evictions: 0 };
+
+	/**
+	 * GPU RAM used by each layer
+	 * @type {Map<Layer, number>}
+	 */
+	#usage = new Map();
+
+	/**
+	 * Named partitions (one per viewer) with their own capacity
+	 * @type {Map<string, number>}
+	 */
+	#partitions = new Map();
+
+	/**
+	 * GPU RAM used by the layers of each partition name (also of the names without a partition yet)
+	 * @type {Map<string, number>}
+	 */
+	#partitionUsed = new Map();
+
+	/**
+	 * Partition name whose usage includes each layer, so that layers moving to another one are moved in the totals
+	 * @type {Map<Layer, string|null>}
+	 */
+	#countedIn = new Map();
+
+	/**
+	 * Tiles whose size is counted in the cache
+	 * @type {WeakSet<Object>}
+	 */
+	#accounted = new WeakSet();
 
 	/**
 	 * Creates or returns the existing Cache instance.
@@ -78,7 +208,10 @@ class Cache {
 	 * @param {number} [options.capacity=536870912] - Total cache capacity in bytes (default: 512MB)
 	 * @param {number} [options.maxRequest=6] - Maximum concurrent HTTP requests
 	 * @param {number} [options.maxRequestsRate=0] - Maximum requests per second (0 for unlimited)
-	 * @param {number} [options.maxPrefetch=8388608] - Maximum prefetch size in bytes (default: 8MB)
+	 * @param {number} [options.maxPrefetch=8388608] - Maximum GPU RAM in bytes of the loaded tiles in the prefetch border
+	 *   of the views (default: 8MB), the border tiles are not requested beyond it
+	 * @param {TileStore} [options.store=null] - Persistent store checked before fetching the tiles
+	 * @param {number} [options.maxBatch=16] - Maximum number of adjacent tarzoom/itarzoom tiles merged in a single range request (1 disables merging), each tile of a batch takes one of the maxRequest slots
 	 * @returns {Cache} The singleton Cache instance
 	 */
 	constructor(options = {}) {
@@ -91,6 +224,8 @@ class Cache {
 			maxRequest: 6,
 			maxRequestsRate: 0,
 			maxPrefetch: 8 * (1 << 20),
+			store: null,
+			maxBatch: 16,
 		};
 
 		const config = { ...defaults, ...options };
@@ -99,6 +234,8 @@ class Cache {
 		this.#maxRequest = config.maxRequest;
 		this.#maxRequestsRate = config.maxRequestsRate;
 		this.#maxPrefetch = config.maxPrefetch;
+		this.#store = config.store;
+		this.#maxBatch = config.maxBatch;
 		this.#lastRequestTimestamp = performance.now();
 
 		Cache.#instance = this;
@@ -119,10 +256,82 @@ class Cache {
 			if (options.maxRequest !== undefined) instance.#maxRequest = options.maxRequest;
 			if (options.maxRequestsRate !== undefined) instance.#maxRequestsRate = options.maxRequestsRate;
 			if (options.maxPrefetch !== undefined) instance.#maxPrefetch = options.maxPrefetch;
+			if (options.store !== undefined) instance.#store = options.store;
+			if (options.maxBatch !== undefined) instance.#maxBatch = options.maxBatch;
 		}
 		return Cache.#instance;
 	}
 
+	/**
+	 * Creates or resizes a partition: the layers of a viewer (see the `cacheQuota` option of {@link Viewer})
+	 * or the layers with the same `cachePartition` option share its capacity, within the global one.
+	 * @param {string} name - Partition name
+	 * @param {number} capacity - Partition capacity in bytes
+	 */
+	setPartition(name, capacity) {
+		this.#partitions.set(name, capacity);
+	}
+
+	/**
+	 * Removes a partition, its layers only count in the global capacity.
+	 * @param {string} name - Partition name
+	 */
+	removePartition(name) {
+		this.#partitions.delete(name);
+	}
+
+	/**
+	 * Gets the partition of a layer: its own `cachePartition` or the one of its viewer canvas.
+	 * @param {Layer} layer - The layer
+	 * @returns {string|null} Partition name, null if the layer is not in a partition
+	 */
+	#partitionOf(layer) {
+		const name = this.#partitionName(layer);
+		return this.#partitions.has(name) ? name : null;
+	}
+
+	/**
+	 * Gets the partition name of a layer, even if there is no such partition.
+	 * @param {Layer} layer - The layer
+	 * @returns {string|null} Partition name
+	 */
+	#partitionName(layer) {
+		return layer.cachePartition ?? layer.canvas?.cachePartition ?? null;
+	}
+
+	/**
+	 * Gets the GPU RAM used by the layers of a partition.
+	 * @param {string} name - Partition name
+	 * @returns {number} Used bytes
+	 */
+	#partitionUsage(name) {
+		return this.#partitionUsed.get(name) || 0;
+	}
+
+	/**
+	 * Sets the GPU RAM used by a layer, updating the total of its partition.
+	 * @param {Layer} layer - The layer
+	 * @param {number} used - Used bytes
+	 */
+	#setUsage(layer, used) {
+		const counted = this.#countedIn.get(layer) ?? null;
+		if (counted !== null)
+			this.#partitionUsed.set(counted, this.#partitionUsed.get(counted) - (this.#usage.get(layer) || 0));
+		const name = this.#partitionName(layer);
+		if (name !== null)
+			this.#partitionUsed.set(name, (this.#partitionUsed.get(name) || 0) + used);
+		this.#usage.set(layer, used);
+		this.#countedIn.set(layer, name);
+	}
+
+	/**
+	 * The persistent tile store, if any.
+	 * @type {TileStore|null}
+	 */
+	get store() {
+		return this.#store;
+	}
+
 	/**
 	 * Registers a layer's tiles as candidates for downloading and initiates the update process.
 	 * @param {Layer} layer - The layer whose tiles should be considered for caching
@@ -131,9 +340,96 @@ class Cache {
 		if (!this.#layers.includes(layer)) {
 			this.#layers.push(layer);
 		}
+		if ((this.#countedIn.get(layer) ?? null) !== this.#partitionName(layer)) //moved to another canvas.
+			this.#setUsage(layer, this.#usage.get(layer) || 0);
+		//the queue and the tiles times changed: the heaps get new entries, the old ones are dropped when they surface.
+		this.#queueCandidates(layer);
+		this.#restampTiles(layer);
+		this.#cancelStale(layer);
 		Promise.resolve().then(() => this.update());
 	}
 
+	/**
+	 * Adds the queue of a layer to the download candidates.
+	 * The heap is rebuilt (lazily, see #bestCandidate) when most of its entries are stale.
+	 * @param {Layer} layer - The layer whose queue has just been updated
+	 */
+	#queueCandidates(layer) {
+		const live = this.#layers.reduce((total, l) => total + l.queue.length, 0);
+		if (!this.#candidates || this.#candidates.size > 2 * live + 64) {
+			this.#candidates = null;
+			return;
+		}
+		for (const tile of layer.queue)
+			this.#candidates.push(this.#candidate(layer, tile));
+	}
+
+	/**
+	 * Creates the heap entry of a download candidate.
+	 * @param {Layer} layer - The layer of the tile
+	 * @param {Object} tile - The queued tile
+	 * @returns {Object} { layer, tile, queue, prefetch, score }
+	 */
+	#candidate(layer, tile) {
+		const weight = layer.cacheWeight ?? 1;
+		return {
+			layer, tile,
+			queue: layer.queue,
+			prefetch: !!tile.prefetch,
+			score: weight * (1 + (tile.priority || 0)) / (1 + (tile.distance || 0))
+		};
+	}
+
+	/**
+	 * Adds new entries to the eviction heaps for the loaded tiles of a layer needed again by the view,
+	 * and sums the size of the ones in the prefetch border.
+	 * @param {Layer} layer - The layer whose tiles times have just been updated
+	 */
+	#restampTiles(layer) {
+		const live = this.#layers.reduce((total, l) => total + l.tiles.size, 0);
+		const scopes = [];
+		for (const [key, scope] of this.#evictable) {
+			//pinned, partition or quota changed, a new layer, or too many stale entries: rebuilt when needed.
+			if (scope.accepts(layer) != scope.layers.has(layer) || scope.heap.size > 2 * live + 64)
+				this.#evictable.delete(key);
+			else if (scope.layers.has(layer))
+				scopes.push(scope);
+		}
+		let prefetched = 0;
+		for (const tile of layer.tiles.values()) {
+			if (tile.missing !== 0 || !(tile.time >= layer.prefetchTime))
+				continue;
+			if (tile.prefetch)
+				prefetched += tile.size;
+			for (const scope of scopes)
+				scope.heap.push(this.#evictEntry(layer, tile));
+		}
+		this.#prefetched.set(layer, prefetched);
+	}
+
+	/**
+	 * Creates the heap entry of a loaded tile.
+	 * @param {Layer} layer - The layer of the tile
+	 * @param {Object} tile - The loaded tile
+	 * @returns {Object} { layer, tile, time, prefetch, priority }
+	 */
+	#evictEntry(layer, tile) {
+		return { layer, tile, time: tile.time, prefetch: !!tile.prefetch, priority: tile.priority || 0 };
+	}
+
+	/**
+	 * Aborts the requests of the tiles which dropped out of the layer needed tiles,
+	 * freeing their request slots.
+	 * @param {Layer} layer - The layer whose queue has just been updated
+	 */
+	#cancelStale(layer) {
+		for (const index of layer.requested.keys()) {
+			const tile = layer.tiles.get(index);
+			if (tile && tile.time < layer.prefetchTime)
+				layer.cancelTile(tile);
+		}
+	}
+
 	/**
 	 * Checks if the cache is currently rate limited based on request count and timing.
 	 * @returns {boolean} True if rate limited, false otherwise
@@ -169,80 +465,191 @@ class Cache {
 	 * Updates the cache state by processing the download queue while respecting capacity and rate limits.
 	 */
 	update() {
-		if (this.#isRateLimited()) {
-			return;
+		//retries go before the new requests.
+		while (this.#waiting.length && this.#requested < this.#maxRequest) {
+			this.#requested++;
+			this.#waiting.shift()();
 		}
-
-		const best = this.#findBestCandidate();
-		if (!best) {
+		if (this.#isRateLimited()) {
 			return;
 		}
 
-		while (this.#size > this.#capacity) {
-			const worst = this.#findWorstTile();
-			if (!worst) {
-				console.warn("Cache management issue: No tiles available for removal");
+		let best;
+		while ((best = this.#bestCandidate())) {
+			//visible tiles come first: only border tiles are left.
+			if (best.prefetch && this.#prefetchedSize() >= this.#maxPrefetch)
+				return;
+			const full = this.#makeRoom(best);
+			if (!full)
 				break;
-			}
-
-			if (worst.tile.time < best.tile.time) {
-				this.#dropTile(worst.layer, worst.tile);
-			} else {
+			if (full == 'global')
 				return;
-			}
+			//the layer or its partition is full of tiles as recent as the candidate: skip it until the view changes.
+			this.#candidates.pop();
+		}
+		if (!best) {
+			return;
 		}
 
-		best.layer.queue.shift();
+		this.#candidates.pop();
 		this.#lastRequestTimestamp = performance.now();
-		this.#loadTile(best.layer, best.tile);
+		if (best.prefetch)
+			this.#scheduler.prefetchRequests++;
+		else
+			this.#scheduler.visibleRequests++;
+		for (const tile of this.#coalesce(best.layer, best.tile))
+			this.#loadTile(best.layer, tile);
 	}
 
 	/**
-	 * Identifies the highest priority tile that should be downloaded next.
-	 * @returns {Object|null} Object containing the best candidate layer and tile, or null if none found
+	 * Evicts tiles until the layer quota, the partition and the global capacity leave room for the candidate.
+	 * Only tiles needed less recently than the candidate are evicted. Pinned layers lose tiles only to their own quota.
+	 * @param {Object} best - The best candidate { layer, tile }
+	 * @returns {any} Key of the scope which is full ('global', 'partition:name' or the layer), null if there is room
 	 */
-	#findBestCandidate() {
-		let best = null;
-
-		for (const layer of this.#layers) {
-			while (layer.queue.length > 0 && layer.tiles.has(layer.queue[0].index)) {
-				layer.queue.shift();
-			}
+	#makeRoom(best) {
+		const layer = best.layer;
+		const partition = this.#partitionOf(layer);
+		const scopes = [];
+		if (layer.cacheQuota)
+			scopes.push({ key: layer, over: () => (this.#usage.get(layer) || 0) >= layer.cacheQuota, accepts: (l) => l === layer });
+		if (partition !== null)
+			scopes.push({
+				key: 'partition:' + partition,
+				over: () => this.#partitionUsage(partition) >= this.#partitions.get(partition),
+				accepts: (l) => !l.pinned && this.#partitionOf(l) === partition
+			});
+		scopes.push({ key: 'global', over: () => this.#size > this.#capacity, accepts: (l) => !l.pinned });
+
+		for (const scope of scopes) {
+			while (scope.over()) {
+				const worst = this.#worstTile(scope);
+				if (!worst) {
+					console.warn("Cache management issue: No tiles available for removal");
+					break;
+				}
 
-			if (!layer.queue.length) {
-				continue;
+				if (worst.tile.time < best.tile.time) {
+					this.#evictable.get(scope.key).heap.pop();
+					this.#scheduler.evictions++;
+					this.#dropTile(worst.layer, worst.tile);
+				} else {
+					return scope.key;
+				}
 			}
+		}
+		return null;
+	}
 
-			const tile = layer.queue[0];
-
-			if (!best || tile.time > best.tile.time + 1.0 || tile.priority > best.tile.priority) {
-				best = { layer, tile };
+	/**
+	 * Groups the queued tiles of a tarzoom/itarzoom layer whose byte ranges touch the ones of the best candidate,
+	 * so that they are downloaded with a single merged range request (see RangeBatch).
+	 * The grouped tiles start loading together, so they are skipped by the candidates heap.
+	 * Each tile takes a request slot: batches are limited to the free slots.
+	 * @param {Layer} layer - The layer of the best candidate
+	 * @param {Object} tile - The best candidate
+	 * @returns {Object[]} The tiles to load, the best candidate first
+	 */
+	#coalesce(layer, tile) {
+		if (this.#maxBatch < 2 || layer.tileProvider || !['tarzoom', 'itarzoom'].includes(layer.layout.type))
+			return [tile];
+
+		const candidates = [{ tile, ranges: layer.tileRanges(tile) }];
+		if (!candidates[0].ranges.length)
+			return [tile];
+		for (const queued of layer.queue)
+			if (queued !== tile && !layer.tiles.has(queued.index)) {
+				const ranges = layer.tileRanges(queued);
+				if (ranges.length)
+					candidates.push({ tile: queued, ranges });
 			}
+		//tiles are contiguous in the same order in every raster archive: the first one decides.
+		candidates.sort((a, b) => a.ranges[0].start - b.ranges[0].start);
+		let first = candidates.findIndex(c => c.tile === tile);
+		let last = first;
+		const touch = (a, b) => b.ranges[0].start <= a.ranges[0].end + 1;
+		const size = Math.min(this.#maxBatch, this.#maxRequest - this.#requested);
+		while (last - first + 1 < size) {
+			if (last + 1 < candidates.length && touch(candidates[last], candidates[last + 1]))
+				last++;
+			else if (first > 0 && touch(candidates[first - 1], candidates[first]))
+				first--;
+			else
+				break;
 		}
+		if (first == last)
+			return [tile];
+
+		const group = candidates.slice(first, last + 1);
+		const batch = new RangeBatch(group.map(c => c.ranges));
+		const tiles = new Set(group.map(c => c.tile));
+		for (const grouped of tiles)
+			grouped.batch = batch;
+		this.#batches++;
+		this.#batchedTiles += tiles.size;
+		return [tile, ...[...tiles].filter(grouped => grouped !== tile)];
+	}
 
-		return best;
+	/**
+	 * Gets the highest priority tile that should be downloaded next, without removing it from the heap.
+	 * Tiles outside the visible area (tile.prefetch, see {@link Layout#needed}) come after all the visible ones,
+	 * then the score is the layer `cacheWeight` times the tile level priority, divided by the distance from the viewport center.
+	 * @returns {Object|null} Object containing the best candidate layer and tile, or null if none found
+	 */
+	#bestCandidate() {
+		if (!this.#candidates) {
+			const items = [];
+			for (const layer of this.#layers)
+				for (const tile of layer.queue)
+					items.push(this.#candidate(layer, tile));
+			this.#candidates = new Heap((a, b) => a.prefetch != b.prefetch ? !a.prefetch : a.score > b.score, items);
+			this.#scheduler.rebuilds++;
+		}
+		//entries are dropped lazily: the layer queue was replaced or the tile is already loading.
+		let best;
+		while ((best = this.#candidates.peek()) && (best.queue !== best.layer.queue || best.layer.tiles.has(best.tile.index)))
+			this.#candidates.pop();
+		return best || null;
 	}
 
 	/**
-	 * Identifies the lowest priority tile that should be removed from cache if space is needed.
+	 * Gets the lowest priority tile that should be removed from cache if space is needed, without removing it from the heap.
+	 * Least recently needed tiles go first, prefetched and finer ones first among tiles needed together.
+	 * @param {Object} scope - Eviction scope { key, accepts(layer) }, each scope has its own heap
 	 * @returns {Object|null} Object containing the worst candidate layer and tile, or null if none found
 	 */
-	#findWorstTile() {
-		let worst = null;
-
-		for (const layer of this.#layers) {
-			for (const tile of layer.tiles.values()) {
-				if (tile.missing !== 0) {
-					continue;
-				}
-
-				if (!worst || tile.time < worst.tile.time || (tile.time === worst.tile.time && tile.priority < worst.tile.priority)) {
-					worst = { layer, tile };
-				}
-			}
+	#worstTile(scope) {
+		let entry = this.#evictable.get(scope.key);
+		if (!entry) {
+			const layers = this.#layers.filter(scope.accepts);
+			const items = [];
+			for (const layer of layers)
+				for (const tile of layer.tiles.values())
+					if (tile.missing === 0)
+						items.push(this.#evictEntry(layer, tile));
+			const heap = new Heap((a, b) => a.time != b.time ? a.time < b.time :
+				a.prefetch != b.prefetch ? a.prefetch : a.priority < b.priority, items);
+			entry = { heap, accepts: scope.accepts, layers: new Set(layers) };
+			this.#evictable.set(scope.key, entry);
 		}
+		//entries are dropped lazily: the tile was dropped or needed again (it has a newer entry).
+		const heap = entry.heap;
+		let worst;
+		while ((worst = heap.peek()) && (worst.layer.tiles.get(worst.tile.index) !== worst.tile ||
+			worst.tile.missing !== 0 || worst.tile.time !== worst.time || !scope.accepts(worst.layer)))
+			heap.pop();
+		return worst || null;
+	}
 
-		return worst;
+	/**
+	 * Gets the GPU RAM used by the loaded tiles in the prefetch border of the views.
+	 * @returns {number} Size in bytes
+	 */
+	#prefetchedSize() {
+		let size = 0;
+		for (const bytes of this.#prefetched.values())
+			size += bytes;
+		return size;
 	}
 
 	/**
@@ -252,18 +659,48 @@ class Cache {
 	 */
 	#loadTile(layer, tile) {
 		this.#requested++;
+		//the layer gives the slot back while waiting to retry a request.
+		const slot = tile.slot = {
+			held: true,
+			pending: null,
+			release: () => {
+				if (!slot.held)
+					return;
+				slot.held = false;
+				this.#requested--;
+				this.update();
+			},
+			acquire: () => {
+				if (slot.held)
+					return Promise.resolve();
+				if (!slot.pending) {
+					slot.pending = new Promise(resolve => this.#waiting.push(() => {
+						slot.held = true;
+						slot.pending = null;
+						resolve();
+					}));
+					this.update();
+				}
+				return slot.pending;
+			}
+		};
+		const done = () => {
+			if (slot.held)
+				this.#requested--;
+			slot.held = false;
+			this.update();
+		};
 
 		(async () => {
 			try {
-				await layer.loadTile(tile, (size) => {
-					this.#size += size;
-					this.#requested--;
-					this.update();
+				await layer.loadTile(tile, (error, size) => {
+					if (!error && layer.tiles.get(tile.index) === tile) //not flushed meanwhile.
+						this.#account(layer, tile, size);
+					done();
 				});
 			} catch (error) {
 				console.error("Error loading tile:", error);
-				this.#requested--;
-				this.update();
+				done();
 			}
 		})();
 	}
@@ -274,26 +711,82 @@ class Cache {
 	 * @param {Object} tile - The tile to be removed
 	 */
 	#dropTile(layer, tile) {
-		this.#size -= tile.size;
+		if (this.#accounted.has(tile))
+			this.#account(layer, tile, -tile.size);
 		layer.dropTile(tile);
 	}
 
+	/**
+	 * Adds (or removes, if negative) the size of a tile to the cache, layer and partition usage.
+	 * @param {Layer} layer - The layer the tile belongs to
+	 * @param {Object} tile - The tile
+	 * @param {number} size - Size in bytes
+	 */
+	#account(layer, tile, size) {
+		if (size > 0) {
+			this.#accounted.add(tile);
+			for (const scope of this.#evictable.values())
+				if (scope.layers.has(layer))
+					scope.heap.push(this.#evictEntry(layer, tile));
+		} else
+			this.#accounted.delete(tile);
+		this.#size += size;
+		this.#setUsage(layer, (this.#usage.get(layer) || 0) + size);
+		if (tile.prefetch && tile.time >= layer.prefetchTime)
+			this.#prefetched.set(layer, Math.max(0, (this.#prefetched.get(layer) || 0) + size));
+	}
+
 	/**
 	 * Removes all tiles associated with a specific layer from the cache.
 	 * @param {Layer} layer - The layer whose tiles should be flushed
+	 * @returns {number} Freed bytes
 	 */
 	flushLayer(layer) {
 		if (!this.#layers.includes(layer)) {
-			return;
+			return 0;
 		}
 
-		for (const tile of layer.tiles.values()) {
+		const used = this.#usage.get(layer) || 0;
+		for (const tile of [...layer.tiles.values()]) {
 			this.#dropTile(layer, tile);
 		}
+		return used;
+	}
+
+	/**
+	 * Removes all the tiles of the layers of a partition, pinned layers included.
+	 * @param {string} name - Partition name
+	 * @returns {number} Freed bytes
+	 */
+	flushPartition(name) {
+		let freed = 0;
+		for (const layer of this.#layers)
+			if (this.#partitionOf(layer) === name)
+				freed += this.flushLayer(layer);
+		return freed;
+	}
+
+	/**
+	 * Flushes a layer and stops managing it (the layer was removed from its canvas).
+	 * @param {Layer} layer - The layer
+	 */
+	removeLayer(layer) {
+		this.flushLayer(layer);
+		this.#layers = this.#layers.filter(l => l !== layer);
+		this.#setUsage(layer, 0);
+		this.#usage.delete(layer);
+		this.#countedIn.delete(layer);
+		this.#prefetched.delete(layer);
+		this.#candidates = null;
+		this.#evictable.clear();
 	}
 
 	/**
 	 * Gets current cache statistics.
+	 * `scheduler` reports the queued candidates, the candidates heap rebuilds (when most of its entries are stale),
+	 * the requests of visible and prefetch tiles and the evicted tiles.
+	 * `partitions` reports { capacity, used, layers } for each partition and `perLayer`
+	 * { id, used, quota, pinned, partition } for each layer.
 	 * @returns {Object} Current cache statistics
 	 */
 	getStats() {
@@ -302,7 +795,23 @@ class Cache {
 			used: this.#size,
 			usedPercentage: (this.#size / this.#capacity) * 100,
 			activeRequests: this.#requested,
-			layers: this.#layers.length
+			layers: this.#layers.length,
+			store: this.#store ? this.#store.getStats() : null,
+			batches: this.#batches,
+			batchedTiles: this.#batchedTiles,
+			scheduler: Object.assign({ queued: this.#layers.reduce((total, layer) => total + layer.queue.length, 0) }, this.#scheduler),
+			partitions: Object.fromEntries([...this.#partitions].map(([name, capacity]) => [name, {
+				capacity,
+				used: this.#partitionUsage(name),
+				layers: this.#layers.filter(layer => this.#partitionOf(layer) === name).map(layer => layer.id)
+			}])),
+			perLayer: this.#layers.map(layer => ({
+				id: layer.id,
+				used: this.#usage.get(layer) || 0,
+				quota: layer.cacheQuota || null,
+				pinned: !!layer.pinned,
+				partition: this.#partitionOf(layer)
+			}))
 		};
 	}
 }
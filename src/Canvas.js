@@ -26,6 +26,7 @@ class Canvas {
 	 * @param {boolean} [options.srgb=true] - Whether to enable sRGB color space or display-P3 for the output framebuffer
 	 * @param {boolean} [options.stencil=false] - Whether to enable stencil buffer support
 	 * @param {boolean} [options.useOffscreenFramebuffer=true] - Whether to use offscreen framebuffer for rendering
+	 * @param {string} [options.splitMode='vertical'] - Split viewport mode, see {@link Canvas#setSplit}
 	 * @fires Canvas#update
 	 * @fires Canvas#updateSize
 	 * @fires Canvas#ready
@@ -54,13 +55,21 @@ class Canvas {
 			offscreenTexture: null,
 			offscreenRenderbuffer: null,
 			_renderingToOffscreen: false, // Traccia se stiamo renderizzando sul framebuffer off-screen
+			_activeFramebuffer: null, // framebuffer the layers are drawn to, restored by layers using their own ones
+			_renderTargets: {}, // textures and framebuffers for the split circle and the layer blending, by name
+			regionView: null, // { transform, viewport, layers, background } of the region being rendered, replaces the camera in prefetch unless in background
+			regionBusy: false, // a region is being rendered, the next ones wait
+			requestPolicy: null, // given to the layers without their own (set by the viewer)
 
 			signals: { 'update': [], 'updateSize': [], 'ready': [] },
 
 			// Split viewport properties
 			splitViewport: false,
 			leftLayers: [],
-			rightLayers: []
+			rightLayers: [],
+			splitMode: 'vertical', // 'vertical', 'horizontal' or 'circular'
+			splitPosition: { x: 0.5, y: 0.5 }, // divider position (circle center) as a fraction of the viewport, from top left
+			splitRadius: 0.25 // circle radius as a fraction of the smaller viewport side
 		});
 		Object.assign(this, options);
 
@@ -241,10 +250,7 @@ class Canvas {
 	 * @returns {WebGLFramebuffer} The currently active framebuffer
 	 */
 	getActiveFramebuffer() {
-		if (this.useOffscreenFramebuffer && this._renderingToOffscreen) {
-			return this.offscreenFramebuffer;
-		}
-		return null; // Rappresenta il framebuffer di default (schermo)
+		return this._activeFramebuffer; // null is the default framebuffer (the screen)
 	}
 
 	/**
@@ -254,6 +260,7 @@ class Canvas {
 	 */
 	setActiveFramebuffer(framebuffer) {
 		this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, framebuffer);
+		this._activeFramebuffer = framebuffer;
 		this._renderingToOffscreen = (framebuffer === this.offscreenFramebuffer);
 	}
 
@@ -329,6 +336,9 @@ class Canvas {
 			}
 			this.setupOffscreenFramebuffer();
 		}
+		// Split viewport and blending resources are created again when needed
+		this._renderTargets = {};
+		this._splitProgram = this._blendProgram = this._pixelQuadVAO = null;
 
 		for (let layer of Object.values(this.layers)) {
 			layer.gl = this.gl;
@@ -346,6 +356,7 @@ class Canvas {
 	 * @param {Layer} layer - Layer instance to add
 	 * @fires Canvas#update
 	 * @fires Canvas#ready
+	 * @fires Canvas#progress
 	 * @throws {Error} If layer ID already exists
 	 */
 	addLayer(id, layer) {
@@ -362,10 +373,16 @@ class Canvas {
 		});
 		layer.addEvent('update', () => { this.emit('update'); });
 		layer.addEvent('updateSize', () => { this.updateSize(); });
+		layer.addEvent('progress', () => { this.emit('progress', this.getProgress()); });
 		layer.gl = this.gl;
 		layer.canvas = this;
 		layer.overlayElement = this.overlayElement;
 		layer.isSrgbSimplified = this.isSrgbSimplified;
+		if (this.requestPolicy && !layer.requestPolicy) {
+			layer.requestPolicy = this.requestPolicy;
+			if (layer.layout && !layer.layout.requestPolicy)
+				layer.layout.requestPolicy = this.requestPolicy;
+		}
 		this.layers[id] = layer;
 		this.prefetch();
 	}
@@ -383,10 +400,33 @@ class Canvas {
 		layer.clear(); //order is important.
 
 		delete this.layers[layer.id];
-		delete Cache.layers[layer];
+		Cache.getInstance().removeLayer(layer);
+		//the blob urls of local files are released with the last layer using them (see LocalFiles#createLayers).
+		const local = layer.localFiles;
+		if (local && !Object.values(this.layers).some(l => l.localFiles === local))
+			local.close();
 		this.prefetch();
 	}
 
+	/**
+	 * Gets the loading progress of the current view summed over the drawn layers (the ones of the region being rendered, if any).
+	 * @returns {Object} { needed, loaded, failed, bytes, progress }, see {@link Layer#event:progress}
+	 */
+	getProgress() {
+		const total = { needed: 0, loaded: 0, failed: 0, bytes: 0, progress: 1 };
+		for (const layer of Object.values(this.layers)) {
+			if (!this.isViewed(layer) || !layer.progress)
+				continue;
+			total.needed += layer.progress.needed;
+			total.loaded += layer.progress.loaded;
+			total.failed += layer.progress.failed;
+			total.bytes += layer.progress.bytes;
+		}
+		if (total.needed)
+			total.progress = (total.loaded + total.failed) / total.needed;
+		return total;
+	}
+
 	updateSize() {
 		const discardHidden = false;
 		let sceneBBox = Layer.computeLayersBBox(this.layers, discardHidden);
@@ -409,17 +449,79 @@ class Canvas {
 	/**
 	 * Enables or disables split viewport mode and sets which layers appear on each side
 	 * @param {boolean} enabled - Whether split viewport mode is enabled
-	 * @param {string[]} leftLayerIds - Array of layer IDs to show on left side
-	 * @param {string[]} rightLayerIds - Array of layer IDs to show on right side
+	 * @param {string[]} leftLayerIds - Array of layer IDs to show on left side (top, or outside the circle)
+	 * @param {string[]} rightLayerIds - Array of layer IDs to show on right side (bottom, or inside the circle)
+	 * @param {Object} [options] - Divider mode and position, see {@link Canvas#setSplit}
 	 * @fires Canvas#update
+	 * @fires Canvas#split
 	 */
-	setSplitViewport(enabled, leftLayerIds = [], rightLayerIds = []) {
+	setSplitViewport(enabled, leftLayerIds = [], rightLayerIds = [], options = {}) {
 		this.splitViewport = enabled;
 		this.leftLayers = leftLayerIds;
 		this.rightLayers = rightLayerIds;
+		this.setSplit(options);
+	}
+
+	/**
+	 * Changes the split viewport mode or moves the divider.
+	 * @param {Object} options - Split options, the missing ones are not changed
+	 * @param {string} [options.mode] - 'vertical' (left and right), 'horizontal' (top and bottom)
+	 *   or 'circular' (the right layers are revealed inside a circle)
+	 * @param {number} [options.x] - Divider (or circle center) horizontal position, from 0 (left) to 1 (right)
+	 * @param {number} [options.y] - Divider (or circle center) vertical position, from 0 (top) to 1 (bottom)
+	 * @param {number} [options.radius] - Circle radius as a fraction of the smaller viewport side
+	 * @fires Canvas#update
+	 * @fires Canvas#split
+	 */
+	setSplit(options) {
+		if (options.mode !== undefined) {
+			if (!['vertical', 'horizontal', 'circular'].includes(options.mode))
+				throw new Error("Unknown split mode: " + options.mode);
+			this.splitMode = options.mode;
+		}
+		const clamp = (v) => Math.min(Math.max(v, 0), 1);
+		if (options.x !== undefined)
+			this.splitPosition.x = clamp(options.x);
+		if (options.y !== undefined)
+			this.splitPosition.y = clamp(options.y);
+		if (options.radius !== undefined)
+			this.splitRadius = Math.max(options.radius, 0);
+		this.emit('split', this.getSplit());
 		this.emit('update');
 	}
 
+	/**
+	 * Gets the split viewport state.
+	 * @returns {Object} { enabled, mode, x, y, radius }, see {@link Canvas#setSplit}
+	 */
+	getSplit() {
+		return { enabled: this.splitViewport, mode: this.splitMode, x: this.splitPosition.x, y: this.splitPosition.y, radius: this.splitRadius };
+	}
+
+	/**
+	 * Whether a layer is drawn: visible layers, or the layers of the two sides in split viewport mode.
+	 * @param {Layer} layer - The layer
+	 * @returns {boolean} True if the layer is drawn
+	 * @private
+	 */
+	isDrawn(layer) {
+		if (this.splitViewport)
+			return this.leftLayers.includes(layer.id) || this.rightLayers.includes(layer.id);
+		return layer.visible;
+	}
+
+	/**
+	 * Checks if the tiles of a layer are loaded for the view: the layer is drawn or,
+	 * while a region is rendered (not in background), it is one of the region layers.
+	 * @param {Layer} layer - The layer
+	 * @returns {boolean} True if the layer loads the tiles of the view
+	 * @private
+	 */
+	isViewed(layer) {
+		const region = this.regionView;
+		return region && !region.background ? region.layers.includes(layer) : this.isDrawn(layer);
+	}
+
 	/**
 	 * Renders a frame at the specified time.
 	 * @param {number} time - Current time in milliseconds
@@ -431,12 +533,7 @@ class Canvas {
 		let view = this.camera.glViewport();
 
 		// Bind offscreen framebuffer if enabled
-		if (this.useOffscreenFramebuffer) {
-			gl.bindFramebuffer(gl.FRAMEBUFFER, this.offscreenFramebuffer);
-			this._renderingToOffscreen = true;
-		} else {
-			this._renderingToOffscreen = false;
-		}
+		this.setActiveFramebuffer(this.useOffscreenFramebuffer ? this.offscreenFramebuffer : null);
 
 		gl.viewport(view.x, view.y, view.dx, view.dy);
 
@@ -456,44 +553,54 @@ class Canvas {
 		let done = true;
 
 		if (this.splitViewport) {
-			// For split viewport mode, we need to enable scissor test to split the rendering area
-			gl.enable(gl.SCISSOR_TEST);
+			const left = ordered.filter(layer => this.leftLayers.includes(layer.id));
+			const right = ordered.filter(layer => this.rightLayers.includes(layer.id));
 
-			const halfWidth = Math.floor(view.dx / 2);
+			if (this.splitMode == 'circular') {
+				for (let layer of left)
+					done = this.drawLayer(layer, pos, view) && done;
+				done = this.drawSplitCircle(right, pos, view) && done;
 
-			// Draw left side (apply scissor to left half)
-			gl.scissor(view.x, view.y, halfWidth, view.dy);
-			for (let layer of ordered) {
-				if (this.leftLayers.includes(layer.id)) {
-					// Pass the full viewport but scissor will restrict drawing
-					done = layer.draw(pos, view) && done;
+			} else {
+				// For split viewport mode, we need to enable scissor test to split the rendering area
+				gl.enable(gl.SCISSOR_TEST);
+
+				// Scissor boxes are in GL coordinates (origin bottom left), the divider position from top left.
+				let first, second;
+				if (this.splitMode == 'horizontal') {
+					const top = Math.round(view.dy * this.splitPosition.y);
+					first = [view.x, view.y + view.dy - top, view.dx, top];
+					second = [view.x, view.y, view.dx, view.dy - top];
+				} else {
+					const width = Math.round(view.dx * this.splitPosition.x);
+					first = [view.x, view.y, width, view.dy];
+					second = [view.x + width, view.y, view.dx - width, view.dy];
 				}
-			}
 
-			// Draw right side (apply scissor to right half)
-			gl.scissor(view.x + halfWidth, view.y, view.dx - halfWidth, view.dy);
-			for (let layer of ordered) {
-				if (this.rightLayers.includes(layer.id)) {
-					// Pass the full viewport but scissor will restrict drawing
-					done = layer.draw(pos, view) && done;
-				}
-			}
+				// Pass the full viewport but scissor will restrict drawing
+				gl.scissor(...first);
+				for (let layer of left)
+					done = this.drawLayer(layer, pos, view) && done;
+
+				gl.scissor(...second);
+				for (let layer of right)
+					done = this.drawLayer(layer, pos, view) && done;
 
-			// Disable scissor when done
-			gl.disable(gl.SCISSOR_TEST);
+				// Disable scissor when done
+				gl.disable(gl.SCISSOR_TEST);
+			}
 		} else {
 			// Standard rendering for normal mode
 			for (let layer of ordered) {
 				if (layer.visible)
-					done = layer.draw(pos, view) && done;
+					done = this.drawLayer(layer, pos, view) && done;
 			}
 		}
 
 		// Copy offscreen framebuffer to the screen if enabled
 		if (this.useOffscreenFramebuffer) {
 			// Switch to default framebuffer (the screen)
-			gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-			this._renderingToOffscreen = false;
+			this.setActiveFramebuffer(null);
 
 			// Draw the offscreen texture to the screen
 			this.drawOffscreenToCanvas();
@@ -504,12 +611,227 @@ class Canvas {
 	}
 
 	/**
-	 * Draws the offscreen framebuffer texture to the canvas
+	 * Draws layers in a circle (circular split mode): the layers are rendered in a separate framebuffer,
+	 * then composited over the current one through a circular mask.
+	 * @param {Layer[]} layers - Layers inside the circle
+	 * @param {Transform} pos - Current transform
+	 * @param {Viewport} view - Current viewport
+	 * @returns {boolean} True if the layers animations are complete
 	 * @private
 	 */
-	drawOffscreenToCanvas() {
+	drawSplitCircle(layers, pos, view) {
+		const gl = this.gl;
+		const target = this.getActiveFramebuffer();
+		const split = this.getRenderTarget('split', this.canvasElement.width, this.canvasElement.height);
+
+		this.setActiveFramebuffer(split.framebuffer);
+		gl.viewport(view.x, view.y, view.dx, view.dy);
+		gl.clearColor(0, 0, 0, 0);
+		gl.clear(gl.COLOR_BUFFER_BIT);
+		let done = true;
+		for (let layer of layers)
+			done = this.drawLayer(layer, pos, view) && done;
+		this.setActiveFramebuffer(target);
+		gl.viewport(view.x, view.y, view.dx, view.dy);
+
+		if (!this._splitProgram) {
+			const fsSource = `#version 300 es
+			precision highp float;
+			uniform sampler2D uTexture;
+			uniform vec2 uCenter;
+			uniform float uRadius;
+			out vec4 fragColor;
+			void main() {
+				float inside = 1.0 - smoothstep(uRadius - 1.0, uRadius + 1.0, distance(gl_FragCoord.xy, uCenter));
+				fragColor = texelFetch(uTexture, ivec2(gl_FragCoord.xy), 0) * inside;
+			}`;
+			this._splitProgram = this._createProgram(gl,
+				this._createShader(gl, gl.VERTEX_SHADER, Canvas.pixelQuadVertexShader),
+				this._createShader(gl, gl.FRAGMENT_SHADER, fsSource));
+		}
+
+		gl.useProgram(this._splitProgram);
+		gl.uniform1i(gl.getUniformLocation(this._splitProgram, 'uTexture'), 0);
+		gl.uniform2f(gl.getUniformLocation(this._splitProgram, 'uCenter'),
+			view.x + view.dx * this.splitPosition.x, view.y + view.dy * (1 - this.splitPosition.y));
+		gl.uniform1f(gl.getUniformLocation(this._splitProgram, 'uRadius'), this.splitRadius * Math.min(view.dx, view.dy));
+
+		//the rendering is already blended over black, so it is composited as premultiplied.
+		gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+		gl.activeTexture(gl.TEXTURE0);
+		gl.bindTexture(gl.TEXTURE_2D, split.texture);
+		this.drawPixelQuad();
+		gl.bindTexture(gl.TEXTURE_2D, null);
+		gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+		return done;
+	}
+
+	/**
+	 * Draws a layer over the active framebuffer with its opacity and blend mode (see {@link Layer#setOpacity}
+	 * and {@link Layer#setBlend}). Layers with the defaults are drawn directly; the others are rendered
+	 * in a separate framebuffer and composited by a shader, which reads a copy of the layers below
+	 * for the modes depending on them.
+	 * @param {Layer} layer - Layer to draw
+	 * @param {Transform} pos - Current transform
+	 * @param {Viewport} view - Current viewport
+	 * @returns {boolean} True if the layer animations are complete
+	 * @private
+	 */
+	drawLayer(layer, pos, view) {
+		const opacity = layer.getOpacity();
+		if (layer.blend == 'normal' && opacity == 1)
+			return layer.draw(pos, view);
+
+		const gl = this.gl;
+		const target = this.getActiveFramebuffer();
+		//region tiles may be larger than the canvas.
+		const width = Math.max(this.canvasElement.width, view.x + view.dx);
+		const height = Math.max(this.canvasElement.height, view.y + view.dy);
+		const source = this.getRenderTarget('layer', width, height);
+
+		this.setActiveFramebuffer(source.framebuffer);
+		gl.viewport(view.x, view.y, view.dx, view.dy);
+		gl.clearColor(0, 0, 0, 0);
+		gl.clear(gl.COLOR_BUFFER_BIT);
+		//premultiplied colors with the right alpha, so that the layer can be composited as a whole.
+		gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+		const done = layer.draw(pos, view);
+		this.setActiveFramebuffer(target);
+		gl.viewport(view.x, view.y, view.dx, view.dy);
+
+		const readsBackdrop = !['normal', 'additive'].includes(layer.blend);
+		if (readsBackdrop) {
+			const backdrop = this.getRenderTarget('backdrop', width, height);
+			gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, backdrop.framebuffer);
+			gl.blitFramebuffer(view.x, view.y, view.x + view.dx, view.y + view.dy,
+				view.x, view.y, view.x + view.dx, view.y + view.dy, gl.COLOR_BUFFER_BIT, gl.NEAREST);
+			this.setActiveFramebuffer(target);
+			gl.activeTexture(gl.TEXTURE1);
+			gl.bindTexture(gl.TEXTURE_2D, backdrop.texture);
+		}
+
+		if (!this._blendProgram) {
+			const fsSource = `#version 300 es
+			precision highp float;
+			uniform sampler2D uLayer;
+			uniform sampler2D uBackdrop;
+			uniform float uOpacity;
+			uniform int uMode; // index in Layer.blendModes
+			out vec4 fragColor;
+
+			vec3 blend(vec3 b, vec3 s) {
+				switch (uMode) {
+				case 1: return b * s;
+				case 2: return b + s - b * s;
+				case 3: return mix(2.0 * b * s, 1.0 - 2.0 * (1.0 - b) * (1.0 - s), step(0.5, b));
+				case 4: return abs(b - s);
+				}
+				return s;
+			}
+
+			void main() {
+				ivec2 p = ivec2(gl_FragCoord.xy);
+				vec4 src = texelFetch(uLayer, p, 0) * uOpacity;
+				if (uMode == 0 || uMode == 5) { // normal and additive use the fixed blending
+					fragColor = src;
+					return;
+				}
+				vec4 dst = texelFetch(uBackdrop, p, 0);
+				vec3 cs = src.a > 0.0 ? src.rgb / src.a : vec3(0.0);
+				vec3 cb = dst.a > 0.0 ? dst.rgb / dst.a : vec3(0.0);
+				// W3C compositing: blended where both are present, then source over.
+				vec3 color = (1.0 - dst.a) * src.rgb + src.a * dst.a * blend(cb, cs) + (1.0 - src.a) * dst.rgb;
+				fragColor = vec4(color, src.a + dst.a * (1.0 - src.a));
+			}`;
+			this._blendProgram = this._createProgram(gl,
+				this._createShader(gl, gl.VERTEX_SHADER, Canvas.pixelQuadVertexShader),
+				this._createShader(gl, gl.FRAGMENT_SHADER, fsSource));
+		}
+
+		gl.useProgram(this._blendProgram);
+		gl.uniform1i(gl.getUniformLocation(this._blendProgram, 'uLayer'), 0);
+		gl.uniform1i(gl.getUniformLocation(this._blendProgram, 'uBackdrop'), 1);
+		gl.uniform1f(gl.getUniformLocation(this._blendProgram, 'uOpacity'), opacity);
+		gl.uniform1i(gl.getUniformLocation(this._blendProgram, 'uMode'), Layer.blendModes.indexOf(layer.blend));
+		gl.activeTexture(gl.TEXTURE0);
+		gl.bindTexture(gl.TEXTURE_2D, source.texture);
+
+		if (layer.blend == 'normal')
+			gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+		else if (layer.blend == 'additive')
+			gl.blendFuncSeparate(gl.ONE, gl.ONE, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+		else
+			gl.disable(gl.BLEND); //the shader does the whole compositing.
+		this.drawPixelQuad();
+
+		gl.enable(gl.BLEND);
+		gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+		gl.bindTexture(gl.TEXTURE_2D, null);
+		if (readsBackdrop) {
+			gl.activeTexture(gl.TEXTURE1);
+			gl.bindTexture(gl.TEXTURE_2D, null);
+			gl.activeTexture(gl.TEXTURE0);
+		}
+		return done;
+	}
+
+	/**
+	 * Gets a texture and framebuffer of at least the given size, created (or enlarged) when needed.
+	 * @param {string} name - Name of the render target
+	 * @param {number} width - Minimum width in pixels
+	 * @param {number} height - Minimum height in pixels
+	 * @returns {Object} { texture, framebuffer, width, height }
+	 * @private
+	 */
+	getRenderTarget(name, width, height) {
+		const gl = this.gl;
+		let target = this._renderTargets[name];
+		if (!target)
+			target = this._renderTargets[name] = { texture: gl.createTexture(), framebuffer: gl.createFramebuffer(), width: 0, height: 0 };
+		if (target.width < width || target.height < height) {
+			target.width = Math.max(target.width, width);
+			target.height = Math.max(target.height, height);
+			gl.bindTexture(gl.TEXTURE_2D, target.texture);
+			gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, target.width, target.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+			gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+			gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target.texture, 0);
+			gl.bindFramebuffer(gl.FRAMEBUFFER, this._activeFramebuffer);
+			gl.bindTexture(gl.TEXTURE_2D, null);
+		}
+		return target;
+	}
+
+	/**
+	 * Draws a quad covering the viewport with the program in use, for the shaders working
+	 * on the pixels of the render targets (see {@link Canvas.pixelQuadVertexShader}).
+	 * @private
+	 */
+	drawPixelQuad() {
+		const gl = this.gl;
+		if (!this._pixelQuadVAO) {
+			this._pixelQuadVAO = gl.createVertexArray();
+			gl.bindVertexArray(this._pixelQuadVAO);
+			this._pixelQuadBuffer = gl.createBuffer();
+			gl.bindBuffer(gl.ARRAY_BUFFER, this._pixelQuadBuffer);
+			gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, 1, -1, -1, 1, 1, 1, -1]), gl.STATIC_DRAW);
+			gl.enableVertexAttribArray(0);
+			gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+		}
+		gl.bindVertexArray(this._pixelQuadVAO);
+		gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+		gl.bindVertexArray(null);
+	}
+
+	/**
+	 * Draws the offscreen framebuffer texture to the canvas (or to the bound framebuffer), converting it to sRGB.
+	 * @param {WebGLTexture} [texture] - Texture with the linear rendering (default: the offscreen framebuffer one)
+	 * @param {Viewport} [view] - Target viewport (default: the camera one)
+	 * @private
+	 */
+	drawOffscreenToCanvas(texture = this.offscreenTexture, view = this.camera.glViewport()) {
 		const gl = this.gl;
-		const view = this.camera.glViewport();
 
 		// Set viewport for the final display
 		gl.viewport(view.x, view.y, view.dx, view.dy);
@@ -616,7 +938,7 @@ class Canvas {
 
 		// Bind the offscreen texture
 		gl.activeTexture(gl.TEXTURE0);
-		gl.bindTexture(gl.TEXTURE_2D, this.offscreenTexture);
+		gl.bindTexture(gl.TEXTURE_2D, texture);
 		gl.uniform1i(this._textureLocation, 0);
 
 		// Draw the quad
@@ -680,16 +1002,176 @@ class Canvas {
 	prefetch(transform) {
 		if (!transform)
 			transform = this.camera.getGlCurrentTransform(performance.now());
+		let viewport = this.camera.glViewport();
+		const region = this.regionView;
+		if (region && !region.background) //while rendering a region, load its tiles instead of the view ones.
+			({ transform, viewport } = region);
 		for (let id in this.layers) {
 			let layer = this.layers[id];
 			//console.log(layer);
 			//console.log(layer.layout.status);
-			if (layer.visible && layer.status == 'ready') {
-				layer.prefetch(transform, this.camera.glViewport());
+			const drawn = this.isViewed(layer);
+			const extra = region && region.background && region.layers.includes(layer) ? region : null;
+			if (layer.status != 'ready')
+				continue;
+			if (drawn)
+				layer.prefetch(transform, viewport, extra);
+			else if (extra)
+				layer.prefetch(extra.transform, extra.viewport);
+		}
+	}
+
+	/**
+	 * Renders a region of the scene at any resolution, independently of the canvas size.
+	 * The output is split in tiles rendered in an offscreen framebuffer: for each tile the needed layer tiles
+	 * are loaded (at the resolution of the output) before drawing it. Layers are rendered as in the view
+	 * (same shaders, controls and filters) but the split viewport is ignored.
+	 * @param {BoundingBox} box - Region in scene coordinates
+	 * @param {number} width - Output width in pixels
+	 * @param {number} height - Output height in pixels, the box is centered if the aspect ratios differ
+	 * @param {Object} [options] - Rendering options
+	 * @param {number} [options.tileSize=2048] - Size of the rendered tiles, limited by the WebGL maximum sizes
+	 * @param {number} [options.timeout=60000] - Milliseconds to wait for the tiles of each rendered tile,
+	 *   afterwards the best available (coarser) tiles are used
+	 * @param {string[]} [options.layers] - Ids of the layers to render, also hidden ones (default: the visible layers)
+	 * @param {boolean} [options.background=false] - Loads the tiles of the region along with the view ones instead of
+	 *   in their place, so that the view keeps loading (e.g. for thumbnails)
+	 * @returns {Promise<HTMLCanvasElement>} A 2D canvas with the rendering (sRGB, not premultiplied)
+	 */
+	async renderRegion(box, width, height, options = {}) {
+		options = Object.assign({ tileSize: 2048, timeout: 60000, layers: null, background: false }, options);
+		while (this.regionBusy) //one region at a time, the tiles of the others would not be loaded.
+			await new Promise(resolve => setTimeout(resolve, 50));
+		this.regionBusy = true;
+
+		const layers = Object.values(this.layers)
+			.filter(layer => options.layers ? options.layers.includes(layer.id) : layer.visible)
+			.sort((a, b) => a.zindex - b.zindex);
+		const gl = this.gl;
+		const size = Math.min(options.tileSize, gl.getParameter(gl.MAX_TEXTURE_SIZE),
+			gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), ...gl.getParameter(gl.MAX_VIEWPORT_DIMS));
+		const z = Math.min(width / box.width(), height / box.height());
+		const center = box.center();
+
+		const output = document.createElement('canvas');
+		output.width = width;
+		output.height = height;
+		const context = output.getContext('2d');
+
+		//linear rendering, converted to sRGB into the second framebuffer as in draw().
+		const targets = (this.useOffscreenFramebuffer ? [0, 1] : [0]).map(() => {
+			const texture = gl.createTexture();
+			gl.bindTexture(gl.TEXTURE_2D, texture);
+			gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+			const framebuffer = gl.createFramebuffer();
+			gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+			gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+			return { texture, framebuffer };
+		});
+		gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+		gl.bindTexture(gl.TEXTURE_2D, null);
+
+		try {
+			for (let y = 0; y < height; y += size) {
+				for (let x = 0; x < width; x += size) {
+					const viewport = { x: 0, y: 0, dx: Math.min(size, width - x), dy: Math.min(size, height - y) };
+					viewport.w = viewport.dx;
+					viewport.h = viewport.dy;
+					//scene y is up, output rows go down.
+					const cx = center.x + (x + viewport.dx / 2 - width / 2) / z;
+					const cy = center.y - (y + viewport.dy / 2 - height / 2) / z;
+					const transform = new Transform({ x: -cx * z, y: -cy * z, z: z, a: 0, t: 0 });
+
+					this.regionView = { transform, viewport, layers, background: options.background };
+					await this.waitRegionTiles(options.timeout);
+
+					const image = this.drawRegionTile(targets, this.regionView);
+					context.putImageData(image, x, y);
+				}
 			}
+		} finally {
+			this.regionView = null;
+			this.regionBusy = false;
+			for (const target of targets) {
+				gl.deleteFramebuffer(target.framebuffer);
+				gl.deleteTexture(target.texture);
+			}
+			this.prefetch();
+			this.emit('update');
+		}
+		return output;
+	}
+
+	/**
+	 * Waits until the layers are ready and the tiles needed by the region view are loaded (or failed).
+	 * @param {number} timeout - Maximum wait in milliseconds
+	 * @private
+	 */
+	async waitRegionTiles(timeout) {
+		const start = performance.now();
+		for (; ;) {
+			this.prefetch();
+			if (this.regionView.layers.every(layer => layer.status == 'ready' && (!layer.progress || layer.progress.progress == 1)))
+				return;
+			if (performance.now() - start > timeout) {
+				console.warn("Timeout loading the tiles of the region, using the available ones.");
+				return;
+			}
+			await new Promise(resolve => setTimeout(resolve, 50));
 		}
 	}
 
+	/**
+	 * Draws the layers in a region tile and reads the result back.
+	 * @param {Object[]} targets - { texture, framebuffer } for the linear rendering and, if used, the sRGB conversion
+	 * @param {Object} view - Region tile { transform, viewport, layers }
+	 * @returns {ImageData} The pixels, top row first
+	 * @private
+	 */
+	drawRegionTile(targets, view) {
+		const { transform, viewport } = view;
+		const gl = this.gl;
+		this.setActiveFramebuffer(targets[0].framebuffer);
+		gl.viewport(0, 0, viewport.dx, viewport.dy);
+		gl.clearColor(0, 0, 0, 0);
+		gl.clear(gl.COLOR_BUFFER_BIT);
+		gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+		gl.enable(gl.BLEND);
+
+		for (const layer of view.layers)
+			this.drawLayer(layer, transform, viewport);
+
+		if (targets.length > 1) {
+			this.setActiveFramebuffer(targets[1].framebuffer);
+			this.drawOffscreenToCanvas(targets[0].texture, viewport);
+		}
+
+		const w = viewport.dx;
+		const h = viewport.dy;
+		const pixels = new Uint8ClampedArray(w * h * 4);
+		gl.readPixels(0, 0, w, h, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+		this.setActiveFramebuffer(null);
+
+		//flip vertically and remove the alpha premultiplication.
+		const image = new ImageData(w, h);
+		for (let row = 0; row < h; row++) {
+			const line = pixels.subarray((h - 1 - row) * w * 4, (h - row) * w * 4);
+			image.data.set(line, row * w * 4);
+		}
+		const data = image.data;
+		for (let i = 0; i < data.length; i += 4) {
+			const a = data[i + 3];
+			if (a > 0 && a < 255) {
+				data[i] = data[i] * 255 / a;
+				data[i + 1] = data[i + 1] * 255 / a;
+				data[i + 2] = data[i + 2] * 255 / a;
+			}
+		}
+		return image;
+	}
+
 	/**
 	 * Cleanup resources when canvas is no longer needed
 	 */
@@ -735,6 +1217,22 @@ class Canvas {
 			this._quadTexCoordBuffer = null;
 		}
 
+		// Clean up split viewport and blending resources
+		for (const target of Object.values(this._renderTargets)) {
+			gl.deleteFramebuffer(target.framebuffer);
+			gl.deleteTexture(target.texture);
+		}
+		this._renderTargets = {};
+		for (const program of [this._splitProgram, this._blendProgram])
+			if (program)
+				gl.deleteProgram(program);
+		this._splitProgram = this._blendProgram = null;
+		if (this._pixelQuadVAO) {
+			gl.deleteVertexArray(this._pixelQuadVAO);
+			gl.deleteBuffer(this._pixelQuadBuffer);
+			this._pixelQuadVAO = this._pixelQuadBuffer = null;
+		}
+
 		// Clean up layers
 		for (const id in this.layers) {
 			this.removeLayer(this.layers[id]);
@@ -757,6 +1255,40 @@ class Canvas {
  * @event Canvas#ready
  */
 
-addSignals(Canvas, 'update', 'updateSize', 'ready');
+/**
+ * Fired when the split viewport is enabled, disabled or its divider moves.
+ * @event Canvas#split
+ * @type {Object}
+ * @property {boolean} enabled - Whether the split viewport is enabled
+ * @property {string} mode - 'vertical', 'horizontal' or 'circular'
+ * @property {number} x - Divider (or circle center) horizontal position, from 0 (left) to 1 (right)
+ * @property {number} y - Divider (or circle center) vertical position, from 0 (top) to 1 (bottom)
+ * @property {number} radius - Circle radius as a fraction of the smaller viewport side
+ */
+
+/**
+ * Fired when the loading progress of a layer changes.
+ * @event Canvas#progress
+ * @type {Object}
+ * @property {number} needed - Tiles needed for the current view by the visible layers
+ * @property {number} loaded - Needed tiles which are loaded
+ * @property {number} failed - Needed tiles which failed loading
+ * @property {number} bytes - Total bytes downloaded by the visible layers
+ * @property {number} progress - Fraction of the needed tiles which are done (loaded or failed)
+ */
+
+/**
+ * Vertex shader of the passes working on the pixels of the render targets (split circle, layer blending):
+ * the quad covers the viewport and the fragment shaders read the textures with texelFetch at gl_FragCoord.
+ * @type {string}
+ * @private
+ */
+Canvas.pixelQuadVertexShader = `#version 300 es
+layout(location = 0) in vec2 aPosition;
+void main() {
+	gl_Position = vec4(aPosition, 0.0, 1.0);
+}`;
+
+addSignals(Canvas, 'update', 'updateSize', 'ready', 'progress', 'split');
 
 export { Canvas }
\ No newline at end of file
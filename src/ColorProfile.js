@@ -0,0 +1,244 @@
+/**
+ * @typedef {Object} ColorProfile~Curve
+ * Tone response curve in the most general ICC parametric form (type 4): Y = (a*X + b)^g + e for X >= d, Y = c*X + f otherwise.
+ * The other parametric types are expressed in this form.
+ * @property {number} g - Exponent
+ * @property {number} a - Scale
+ * @property {number} b - Offset
+ * @property {number} c - Slope of the linear segment
+ * @property {number} d - End of the linear segment
+ * @property {number} e - Offset of the power segment
+ * @property {number} f - Offset of the linear segment
+ */
+
+/**
+ * ColorProfile reads the ICC profile embedded in JPEG, PNG and WebP images, so that colors can be converted
+ * to linear sRGB in the shader (see the `colorManagement` option of {@link Raster}) instead of by the browser while decoding.
+ *
+ * Only matrix/TRC RGB profiles are supported (sRGB, AdobeRGB, ProPhoto, Display P3 and most camera profiles):
+ * the same curve is used for the three channels and sampled curves are approximated with a gamma.
+ * LUT based profiles are ignored and the image is considered sRGB.
+ *
+ * @example
+ * ```javascript
+ * const profile = await OpenLIME.ColorProfile.fromImage(blob);
+ * if (profile) console.log(profile.name); // e.g. 'Adobe RGB (1998)'
+ * ```
+ */
+class ColorProfile {
+	/**
+	 * Creates a profile from its primaries and curve.
+	 * @param {Object} options - Profile data
+	 * @param {string} [options.name] - Profile description
+	 * @param {number[]} options.primaries - XYZ (D50) of the red, green and blue primaries, 9 numbers
+	 * @param {ColorProfile~Curve} options.curve - Tone response curve
+	 */
+	constructor(options) {
+		Object.assign(this, {
+			name: '',
+			primaries: null,
+			curve: { g: 1, a: 1, b: 0, c: 0, d: 0, e: 0, f: 0 },
+		});
+		Object.assign(this, options);
+		this.matrix = ColorProfile.toSRGB(this.primaries);
+	}
+
+	/**
+	 * Reads the ICC profile of an encoded image.
+	 * @param {Blob} blob - JPEG, PNG or WebP image
+	 * @returns {Promise<ColorProfile|null>} The profile, null if there is none or it is not supported
+	 */
+	static async fromImage(blob) {
+		try {
+			const icc = await ColorProfile.extract(blob);
+			return icc ? ColorProfile.parse(icc) : null;
+		} catch (error) {
+			console.warn("Invalid ICC profile:", error);
+			return null;
+		}
+	}
+
+	/**
+	 * Extracts the ICC data from an encoded image.
+	 * @private
+	 * @param {Blob} blob - Encoded image
+	 * @returns {Promise<ArrayBuffer|null>} The ICC data
+	 */
+	static async extract(blob) {
+		const head = new DataView(await blob.slice(0, 16).arrayBuffer());
+		if (head.byteLength < 12)
+			return null;
+
+		if (head.getUint16(0) == 0xFFD8) { //JPEG: APP2 'ICC_PROFILE' segments before the scan.
+			const view = new DataView(await blob.arrayBuffer());
+			const chunks = [];
+			let pos = 2;
+			while (pos + 4 <= view.byteLength && view.getUint8(pos) == 0xFF) {
+				const marker = view.getUint8(pos + 1);
+				const length = view.getUint16(pos + 2);
+				if (marker == 0xDA) //start of scan
+					break;
+				if (marker == 0xE2 && ColorProfile.ascii(view, pos + 4, 11) == 'ICC_PROFILE')
+					chunks[view.getUint8(pos + 16)] = new Uint8Array(view.buffer, pos + 18, length - 16);
+				pos += 2 + length;
+			}
+			return chunks.length ? await new Blob(chunks.filter(c => c)).arrayBuffer() : null;
+		}
+
+		if (head.getUint32(0) == 0x89504E47) { //PNG: iCCP chunk, zlib compressed.
+			const view = new DataView(await blob.arrayBuffer());
+			let pos = 8;
+			while (pos + 8 <= view.byteLength) {
+				const length = view.getUint32(pos);
+				const type = ColorProfile.ascii(view, pos + 4, 4);
+				if (type == 'iCCP') {
+					const data = new Uint8Array(view.buffer, pos + 8, length);
+					const start = data.indexOf(0) + 2; //profile name, null separator and compression method.
+					const stream = new Blob([data.subarray(start)]).stream().pipeThrough(new DecompressionStream('deflate'));
+					return await new Response(stream).arrayBuffer();
+				}
+				if (type == 'IDAT' || type == 'IEND')
+					break;
+				pos += 12 + length;
+			}
+			return null;
+		}
+
+		if (ColorProfile.ascii(head, 0, 4) == 'RIFF' && ColorProfile.ascii(head, 8, 4) == 'WEBP') { //WebP: ICCP chunk.
+			const view = new DataView(await blob.arrayBuffer());
+			let pos = 12;
+			while (pos + 8 <= view.byteLength) {
+				const length = view.getUint32(pos + 4, true);
+				if (ColorProfile.ascii(view, pos, 4) == 'ICCP')
+					return view.buffer.slice(pos + 8, pos + 8 + length);
+				pos += 8 + length + (length & 1);
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Parses an ICC profile.
+	 * @param {ArrayBuffer} buffer - ICC data
+	 * @returns {ColorProfile|null} The profile, null if it is not a matrix/TRC RGB profile
+	 */
+	static parse(buffer) {
+		const view = new DataView(buffer);
+		if (ColorProfile.ascii(view, 16, 4) != 'RGB ' || ColorProfile.ascii(view, 36, 4) != 'acsp')
+			return null;
+
+		const tags = {};
+		const count = view.getUint32(128);
+		for (let i = 0; i < count; i++) {
+			const pos = 132 + i * 12;
+			tags[ColorProfile.ascii(view, pos, 4)] = view.getUint32(pos + 4);
+		}
+		if (!('rXYZ' in tags && 'gXYZ' in tags && 'bXYZ' in tags && 'rTRC' in tags))
+			return null;
+
+		const fixed = (pos) => view.getInt32(pos) / 65536;
+		const primaries = [];
+		for (const tag of ['rXYZ', 'gXYZ', 'bXYZ'])
+			primaries.push(fixed(tags[tag] + 8), fixed(tags[tag] + 12), fixed(tags[tag] + 16));
+
+		return new ColorProfile({ name: ColorProfile.description(view, tags.desc), primaries, curve: ColorProfile.curve(view, tags.rTRC) });
+	}
+
+	/**
+	 * Reads a 'curv' or 'para' tone response curve.
+	 * @private
+	 * @param {DataView} view - ICC data
+	 * @param {number} pos - Tag offset
+	 * @returns {ColorProfile~Curve} The curve
+	 */
+	static curve(view, pos) {
+		const curve = { g: 1, a: 1, b: 0, c: 0, d: 0, e: 0, f: 0 };
+		if (ColorProfile.ascii(view, pos, 4) == 'curv') {
+			const count = view.getUint32(pos + 8);
+			if (count == 1)
+				curve.g = view.getUint16(pos + 12) / 256;
+			else if (count > 1) { //sampled curve: gamma through the middle point.
+				const y = view.getUint16(pos + 12 + 2 * Math.floor((count - 1) / 2)) / 65535;
+				const x = Math.floor((count - 1) / 2) / (count - 1);
+				curve.g = Math.log(y) / Math.log(x);
+			}
+		} else if (ColorProfile.ascii(view, pos, 4) == 'para') {
+			const type = view.getUint16(pos + 8);
+			if (type > 4)
+				throw new Error(`Unknown parametric curve type ${type}`);
+			const p = [];
+			for (let i = 0; i < [1, 3, 4, 5, 7][type]; i++)
+				p.push(view.getInt32(pos + 12 + i * 4) / 65536);
+			const [g, a, b, c, d, e, f] = p;
+			curve.g = g;
+			if (type == 1 || type == 2) //the power segment starts where a*X + b = 0, below it Y is 0 (or c).
+				Object.assign(curve, { a, b, d: -b / a });
+			if (type == 2)
+				Object.assign(curve, { e: c, f: c });
+			if (type >= 3)
+				Object.assign(curve, { a, b, c, d });
+			if (type == 4)
+				Object.assign(curve, { e, f });
+		}
+		return curve;
+	}
+
+	/**
+	 * Reads the profile description ('desc' or 'mluc' tag).
+	 * @private
+	 * @param {DataView} view - ICC data
+	 * @param {number} [pos] - Tag offset
+	 * @returns {string} The description
+	 */
+	static description(view, pos) {
+		if (pos === undefined)
+			return '';
+		const type = ColorProfile.ascii(view, pos, 4);
+		if (type == 'desc')
+			return ColorProfile.ascii(view, pos + 12, view.getUint32(pos + 8) - 1);
+		if (type == 'mluc') { //first record, UTF-16BE.
+			const length = view.getUint32(pos + 20);
+			const offset = view.getUint32(pos + 24);
+			let name = '';
+			for (let i = 0; i < length; i += 2)
+				name += String.fromCharCode(view.getUint16(pos + offset + i));
+			return name;
+		}
+		return '';
+	}
+
+	/**
+	 * Computes the matrix from linear profile RGB to linear sRGB: primaries to XYZ D50,
+	 * Bradford adaptation to D65, XYZ to sRGB.
+	 * @private
+	 * @param {number[]} primaries - XYZ of the red, green and blue primaries
+	 * @returns {number[]} 3x3 matrix, column major as expected by WebGL
+	 */
+	static toSRGB(primaries) {
+		const bradford = [0.9555766, -0.0230393, 0.0631636, -0.0282895, 1.0099416, 0.0210077, 0.0122982, -0.0204830, 1.3299098];
+		const xyz2srgb = [3.2404542, -1.5371385, -0.4985314, -0.9692660, 1.8760108, 0.0415560, 0.0556434, -0.2040259, 1.0572252];
+		//row major, the primaries are the columns.
+		const rgb2xyz = [0, 1, 2].map(row => [0, 1, 2].map(col => primaries[col * 3 + row])).flat();
+		const multiply = (a, b) => [0, 1, 2].map(row => [0, 1, 2].map(col =>
+			a[row * 3] * b[col] + a[row * 3 + 1] * b[3 + col] + a[row * 3 + 2] * b[6 + col])).flat();
+		const m = multiply(xyz2srgb, multiply(bradford, rgb2xyz));
+		return [0, 1, 2].map(col => [m[col], m[3 + col], m[6 + col]]).flat();
+	}
+
+	/**
+	 * Reads an ASCII string.
+	 * @private
+	 * @param {DataView} view - Data
+	 * @param {number} pos - Offset
+	 * @param {number} length - Number of characters
+	 * @returns {string} The string
+	 */
+	static ascii(view, pos, length) {
+		let s = '';
+		for (let i = 0; i < length && pos + i < view.byteLength; i++)
+			s += String.fromCharCode(view.getUint8(pos + i));
+		return s;
+	}
+}
+
+export { ColorProfile }
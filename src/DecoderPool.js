@@ -0,0 +1,368 @@
+/**
+ * @typedef {Object} DecoderPoolOptions
+ * @property {number} [workers] - Number of workers (default: hardware concurrency - 1, at most 4)
+ * @property {boolean} [enabled=true] - Whether to use the workers, when false everything runs on the main thread
+ */
+
+/**
+ * Fetches a tile, rejecting failed responses and range requests answered with something else than partial content
+ * (a server ignoring the range sends the whole file). Used by the main thread and, serialized with toString(), by the workers:
+ * it must not reference anything outside.
+ * @private
+ * @param {string} url - Tile url
+ * @param {Object} [options] - Fetch options
+ * @returns {Promise<Blob>} The tile data
+ */
+async function fetchTile(url, options = {}) {
+	const response = await fetch(url, options);
+	if (!response.ok) {
+		const error = new Error(`Failed to load ${url}: ${response.status} ${response.statusText}`);
+		throw Object.assign(error, { url, status: response.status });
+	}
+	if (new Headers(options.headers).has('range') && response.status != 206) //not retried.
+		throw Object.assign(new Error("The server doesn't support partial content requests (206)."), { url, status: null });
+	return await response.blob();
+}
+
+/**
+ * Body of the decoding workers, serialized with toString(): it must not reference anything outside but {@link fetchTile}.
+ * Messages: { id, task: 'image', url, options, blob, decode } fetches (if url is given) and decodes an image to an ImageBitmap
+ * (decode are the createImageBitmap options),
+ * { id, task: 'loader', source | script, tile, options } runs a data loader returning { data, width, height, ... },
+ * given as source (compiled with new Function) or as the url of a script defining a global `dataLoader` function,
+ * { id, cancel: true } aborts the request of a task.
+ * @private
+ */
+function decoderWorker() {
+	const controllers = {};
+	const loaders = {};
+
+	async function fetchBlob(id, url, options) {
+		const controller = controllers[id] = new AbortController();
+		return await fetchTile(url, Object.assign({}, options, { signal: controller.signal }));
+	}
+
+	function getLoader(message) {
+		const key = message.script || message.source;
+		if (!loaders[key]) {
+			if (message.script) {
+				importScripts(message.script);
+				loaders[key] = self.dataLoader;
+				if (typeof loaders[key] != 'function')
+					throw new Error(`${message.script} does not define a dataLoader function`);
+			} else
+				loaders[key] = new Function('return (' + message.source + ')')(); //EvalError if the CSP forbids 'unsafe-eval'.
+		}
+		return loaders[key];
+	}
+
+	self.onmessage = async (e) => {
+		const message = e.data;
+		if (message.cancel) {
+			if (controllers[message.id])
+				controllers[message.id].abort();
+			return;
+		}
+		try {
+			if (message.task == 'image') {
+				const blob = message.url ? await fetchBlob(message.id, message.url, message.options) : message.blob;
+				const image = await createImageBitmap(blob, message.decode || {});
+				self.postMessage({ id: message.id, result: { image, bytes: message.url ? blob.size : 0 } }, [image]);
+
+			} else if (message.task == 'loader') {
+				const result = await getLoader(message)(message.tile, null, message.options);
+				const transfer = ArrayBuffer.isView(result.data) ? [result.data.buffer] : [];
+				self.postMessage({ id: message.id, result }, transfer);
+
+			} else
+				throw new Error("Unknown decoder task: " + message.task);
+		} catch (error) {
+			self.postMessage({ id: message.id, error: { name: error.name, message: error.message, url: error.url, status: error.status } });
+		} finally {
+			delete controllers[message.id];
+		}
+	};
+}
+
+/**
+ * DecoderPool fetches and decodes tiles in a pool of web workers, so that pan and zoom do not stutter
+ * while large multi-plane layers are loading.
+ *
+ * Images are decoded to ImageBitmap (see {@link Raster#blobToImage}), {@link Raster16Bit} data loaders
+ * can run in a worker too (see the `workerLoader` option). The results are transferred back to the main thread.
+ * When workers or OffscreenCanvas are not available (or the pool is disabled) the same work is done on the main thread.
+ *
+ * The workers are created from a blob url, which the Content Security Policy must allow (`worker-src blob:`),
+ * otherwise everything runs on the main thread. Loaders given as functions are compiled in the worker from their source,
+ * which needs `'unsafe-eval'` in `script-src`: where it is missing they run on the main thread, give the url of a loader script instead.
+ *
+ * The pool is a singleton, configured before creating the viewer:
+ * @example
+ * ```javascript
+ * OpenLIME.DecoderPool.getInstance({ workers: 2 });
+ * // or, to decode on the main thread:
+ * OpenLIME.DecoderPool.getInstance({ enabled: false });
+ * ```
+ */
+class DecoderPool {
+	/**
+	 * Creates a new DecoderPool, use {@link DecoderPool.getInstance} instead.
+	 * @param {DecoderPoolOptions} [options] - Configuration options
+	 */
+	constructor(options) {
+		Object.assign(this, {
+			workers: Math.max(1, Math.min(4, ((typeof navigator != 'undefined' && navigator.hardwareConcurrency) || 2) - 1)),
+			enabled: true,
+		});
+		Object.assign(this, options);
+
+		this.pool = [];     //{ worker, pending }
+		this.tasks = new Map; //id -> { resolve, reject, entry }
+		this.nextId = 0;
+	}
+
+	/**
+	 * Gets the singleton instance with optional configuration update.
+	 * @param {DecoderPoolOptions} [options] - Configuration options to update
+	 * @returns {DecoderPool} The singleton DecoderPool instance
+	 */
+	static getInstance(options) {
+		if (!DecoderPool.instance)
+			DecoderPool.instance = new DecoderPool(options);
+		else if (options) {
+			DecoderPool.instance.terminate();
+			Object.assign(DecoderPool.instance, options);
+		}
+		return DecoderPool.instance;
+	}
+
+	/**
+	 * Whether the tasks run in workers.
+	 * @type {boolean}
+	 */
+	get available() {
+		return this.enabled && this.workers > 0 && !this.failed &&
+			typeof Worker != 'undefined' && typeof OffscreenCanvas != 'undefined' && typeof createImageBitmap != 'undefined';
+	}
+
+	/**
+	 * Fetches (if a url is given) and decodes an image.
+	 * @param {Object} request - Image request
+	 * @param {Blob} [request.blob] - Encoded image
+	 * @param {string} [request.url] - Url to fetch the image from, used if no blob is given
+	 * @param {Object} [request.options] - Fetch options (headers and credentials), the policy already applied
+	 * @param {Object} [request.decode] - createImageBitmap options (imageOrientation and colorSpaceConversion)
+	 * @param {AbortSignal} [signal] - Signal aborting the request
+	 * @returns {Promise<Object>} { image: ImageBitmap, bytes } where bytes is the downloaded size (0 for blobs)
+	 */
+	async decodeImage(request, signal) {
+		if (!this.available) {
+			const blob = request.blob || await fetchTile(request.url, Object.assign({}, request.options, { signal }));
+			const image = typeof createImageBitmap != 'undefined' ? await createImageBitmap(blob, request.decode || {}) : await DecoderPool.imageElement(blob, request.url);
+			return { image, bytes: request.blob ? 0 : blob.size };
+		}
+		const options = request.options ? DecoderPool.cloneableOptions(request.options) : {};
+		const url = request.blob ? null : DecoderPool.absoluteUrl(request.url);
+		return await this.run({ task: 'image', url, options, blob: request.blob, decode: request.decode }, signal);
+	}
+
+	/**
+	 * Runs a data loader in a worker, called as loader(tile, null, options) since there is no WebGL context in the worker.
+	 * The loader is either a self-contained function (no closures, imports or globals of the page), compiled in the worker
+	 * from its source, or the url of a script defining a global `dataLoader` function, loaded with importScripts.
+	 * Functions run on the main thread when the workers are not available or the Content Security Policy forbids eval.
+	 * @param {Function|string} loader - The data loader, or the url of its script
+	 * @param {Object} tile - Tile request ({ url, start, end } and any other cloneable property)
+	 * @param {Object} [options] - Loader options (must be cloneable)
+	 * @param {AbortSignal} [signal] - Signal rejecting the task
+	 * @returns {Promise<Object>} The loader result
+	 * @throws {Error} If a script loader is given and the workers are not available
+	 */
+	async runLoader(loader, tile, options = {}, signal) {
+		const request = { url: tile.url, start: tile.start, end: tile.end, index: tile.index, level: tile.level, x: tile.x, y: tile.y };
+		const script = typeof loader == 'string';
+		if (!this.available || (!script && this.evalBlocked)) {
+			if (script)
+				throw new Error("Loader scripts need the decoder workers");
+			return await loader(request, null, options);
+		}
+		const message = { task: 'loader', tile: Object.assign({}, request, { url: DecoderPool.absoluteUrl(request.url) }), options };
+		if (script)
+			message.script = DecoderPool.absoluteUrl(loader);
+		else
+			message.source = loader.toString();
+		try {
+			return await this.run(message, signal);
+		} catch (error) {
+			if (script || error.name != 'EvalError')
+				throw error;
+			if (!this.evalBlocked)
+				console.warn("The Content Security Policy forbids eval in the decoder workers, running the loaders on the main thread.");
+			this.evalBlocked = true;
+			return await loader(request, null, options);
+		}
+	}
+
+	/**
+	 * Sends a task to the least busy worker.
+	 * @private
+	 * @param {Object} message - Task message
+	 * @param {AbortSignal} [signal] - Signal aborting the task
+	 * @returns {Promise<any>} Task result
+	 */
+	run(message, signal) {
+		if (signal?.aborted)
+			return Promise.reject(new DOMException("Tile request aborted", 'AbortError'));
+		const entry = this.getWorker();
+		const id = message.id = this.nextId++;
+		return new Promise((resolve, reject) => {
+			this.tasks.set(id, { resolve, reject, entry });
+			entry.pending++;
+			signal?.addEventListener('abort', () => {
+				if (!this.tasks.has(id))
+					return;
+				entry.worker.postMessage({ id, cancel: true });
+				this.finish(id);
+				reject(new DOMException("Tile request aborted", 'AbortError'));
+			});
+			entry.worker.postMessage(message);
+		});
+	}
+
+	/**
+	 * Gets the worker with fewer pending tasks, creating the pool if needed.
+	 * @private
+	 * @returns {Object} Pool entry { worker, pending }
+	 */
+	getWorker() {
+		if (!this.pool.length) {
+			const source = `${fetchTile.toString()}\n(${decoderWorker.toString()})()`;
+			const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+			for (let i = 0; i < this.workers; i++) {
+				const entry = { worker: new Worker(url), pending: 0 };
+				entry.worker.onmessage = (e) => this.onMessage(e.data);
+				entry.worker.onerror = (e) => this.onError(entry, e);
+				this.pool.push(entry);
+			}
+			URL.revokeObjectURL(url);
+		}
+		return this.pool.reduce((best, entry) => entry.pending < best.pending ? entry : best);
+	}
+
+	/**
+	 * Resolves or rejects a task with the worker answer.
+	 * @private
+	 * @param {Object} message - { id, result } or { id, error }
+	 */
+	onMessage(message) {
+		const task = this.finish(message.id);
+		if (!task)
+			return; //cancelled.
+		if (message.error) {
+			if (message.error.name == 'AbortError')
+				return task.reject(new DOMException(message.error.message, 'AbortError'));
+			//TypeError is a network failure for fetch, the layer retries it. EvalError sends the loaders to the main thread.
+			const error = message.error.name == 'TypeError' ? new TypeError(message.error.message) :
+				message.error.name == 'EvalError' ? new EvalError(message.error.message) : new Error(message.error.message);
+			task.reject(Object.assign(error, { url: message.error.url, status: message.error.status }));
+		} else
+			task.resolve(message.result);
+	}
+
+	/**
+	 * A worker could not start (e.g. blocked by the Content Security Policy): the pool falls back to the main thread.
+	 * @private
+	 * @param {Object} entry - Pool entry
+	 * @param {ErrorEvent} event - The error
+	 */
+	onError(entry, event) {
+		console.warn("Decoder worker failed, decoding on the main thread:", event.message);
+		this.failed = true;
+		for (const [id, task] of this.tasks)
+			if (task.entry === entry) {
+				this.finish(id);
+				task.reject(Object.assign(new Error("Decoder worker failed: " + event.message), { status: 0 })); //retried on the main thread.
+			}
+	}
+
+	/**
+	 * Removes a task from the pending ones.
+	 * @private
+	 * @param {number} id - Task id
+	 * @returns {Object|undefined} The task
+	 */
+	finish(id) {
+		const task = this.tasks.get(id);
+		if (task) {
+			this.tasks.delete(id);
+			task.entry.pending--;
+		}
+		return task;
+	}
+
+	/**
+	 * Terminates the workers, they are created again when needed.
+	 */
+	terminate() {
+		for (const entry of this.pool)
+			entry.worker.terminate();
+		for (const task of this.tasks.values())
+			task.reject(new DOMException("Decoder pool terminated", 'AbortError'));
+		this.pool = [];
+		this.tasks.clear();
+	}
+
+	/**
+	 * Converts fetch options to a structured-cloneable object (Headers are not).
+	 * @private
+	 * @param {Object} options - Fetch options
+	 * @returns {Object} Cloneable options
+	 */
+	static cloneableOptions(options) {
+		const cloneable = {};
+		if (options.headers)
+			cloneable.headers = Object.fromEntries(new Headers(options.headers).entries());
+		if (options.credentials)
+			cloneable.credentials = options.credentials;
+		if (options.mode)
+			cloneable.mode = options.mode;
+		return cloneable;
+	}
+
+	/**
+	 * Resolves a url against the page: the workers run from a blob url, where relative urls are invalid.
+	 * @private
+	 * @param {string} url - Absolute or relative url
+	 * @returns {string} Absolute url
+	 */
+	static absoluteUrl(url) {
+		return url ? new URL(url, window.location.href).href : url;
+	}
+
+	/**
+	 * Decodes a blob with an image element (fallback where createImageBitmap is missing, e.g. old iOS).
+	 * The browser applies the EXIF orientation and converts the colors.
+	 * @private
+	 * @param {Blob} blob - Encoded image
+	 * @param {string} [url] - Url of the image, for the error
+	 * @returns {Promise<HTMLImageElement>} The loaded image
+	 * @throws {Error} If the image cannot be decoded (error.url is set, error.status is null)
+	 */
+	static async imageElement(blob, url) {
+		let urlCreator = window.URL || window.webkitURL;
+		let img = document.createElement('img');
+		const src = urlCreator.createObjectURL(blob);
+		try {
+			await new Promise((resolve, reject) => {
+				img.onload = () => resolve();
+				img.onerror = () => reject(Object.assign(new Error(`Failed to decode ${url || 'image'}`), { url, status: null }));
+				img.src = src;
+			});
+		} finally {
+			urlCreator.revokeObjectURL(src);
+		}
+		return img;
+	}
+}
+
+export { DecoderPool }
@@ -0,0 +1,69 @@
+/**
+ * Binary heap, the item for which before(item, other) holds for every other item is on top.
+ * @private
+ */
+class Heap {
+	/**
+	 * @param {Function} before - Ordering function (a, b) => true if a comes first
+	 * @param {Array} [items] - Initial items, heapified in linear time
+	 */
+	constructor(before, items = []) {
+		this.before = before;
+		this.items = items;
+		for (let i = (items.length >> 1) - 1; i >= 0; i--)
+			this.down(i);
+	}
+
+	/** @type {number} */
+	get size() {
+		return this.items.length;
+	}
+
+	/** @returns {any} The top item, undefined if empty */
+	peek() {
+		return this.items[0];
+	}
+
+	/** @param {any} item - Item to add */
+	push(item) {
+		const items = this.items;
+		items.push(item);
+		let i = items.length - 1;
+		while (i > 0) {
+			const parent = (i - 1) >> 1;
+			if (!this.before(items[i], items[parent]))
+				break;
+			[items[i], items[parent]] = [items[parent], items[i]];
+			i = parent;
+		}
+	}
+
+	/** @returns {any} The removed top item, undefined if empty */
+	pop() {
+		const items = this.items;
+		const top = items[0];
+		const last = items.pop();
+		if (items.length) {
+			items[0] = last;
+			this.down(0);
+		}
+		return top;
+	}
+
+	/** @param {number} i - Index of the item to sift down */
+	down(i) {
+		const items = this.items;
+		for (; ;) {
+			let first = i;
+			for (const child of [2 * i + 1, 2 * i + 2])
+				if (child < items.length && this.before(items[child], items[first]))
+					first = child;
+			if (first == i)
+				return;
+			[items[i], items[first]] = [items[first], items[i]];
+			i = first;
+		}
+	}
+}
+
+export { Heap }
@@ -0,0 +1,250 @@
+import { Layer } from './Layer.js'
+import { Layout } from './Layout.js'
+import { LayerImage } from './LayerImage.js'
+import { LayoutTiles } from './LayoutTiles.js'
+import { LayerSvgAnnotation } from './LayerSvgAnnotation.js'
+import { Annotation } from './Annotation.js'
+import { RequestPolicy } from './RequestPolicy.js'
+
+/**
+ * @typedef {Object} IIIFManifestOptions
+ * @property {string} [language] - Preferred language for labels (falls back to 'none' and then to the first available)
+ * @property {string} [annotationStyle] - CSS style for the annotation layers
+ * @property {boolean} [annotations=true] - Whether to create layers for the canvas annotation pages
+ * @property {RequestPolicy|RequestPolicyOptions} [requestPolicy] - Policy for the manifest, the info.json and the tiles
+ */
+
+/**
+ * @typedef {Object} IIIFManifest~Canvas
+ * @property {string} id - IIIF canvas id
+ * @property {string} label - Canvas label
+ * @property {number} width - Canvas width
+ * @property {number} height - Canvas height
+ * @property {string[]} layers - Ids of the layers built for this canvas
+ */
+
+/**
+ * IIIFManifest builds OpenLIME layers from a IIIF Presentation 3 manifest.
+ *
+ * Each canvas becomes an image layer: painting annotations with a IIIF image service
+ * use a {@link LayoutTiles} of type 'iiif', plain images use the 'image' layout.
+ * Images are placed in canvas coordinates (the canvas is centered in the scene), honoring
+ * the `#xywh=` fragment of the target. Each AnnotationPage of a canvas becomes a
+ * {@link LayerSvgAnnotation} built with {@link Annotation.fromJsonLd}.
+ *
+ * Only the first canvas is visible, the others can be selected from the layers menu.
+ * The manifest label and `requiredStatement` are exposed as `label` and `attribution`
+ * so that they can be passed to {@link UIBasic}.
+ *
+ * @example
+ * ```javascript
+ * const manifest = new OpenLIME.IIIFManifest({ language: 'en' });
+ * await manifest.load('https://example.org/iiif/manifest.json');
+ * manifest.addToViewer(viewer);
+ *
+ * const ui = new OpenLIME.UIBasic(viewer, {
+ *   attribution: manifest.attribution,
+ *   menu: [{ title: manifest.label }]
+ * });
+ * ```
+ */
+class IIIFManifest {
+	/**
+	 * Creates a new IIIFManifest loader
+	 * @param {IIIFManifestOptions} [options] - Configuration options
+	 */
+	constructor(options) {
+		Object.assign(this, {
+			language: null,
+			annotations: true,
+			requestPolicy: null,
+			annotationStyle: `
+				.openlime-annotation { pointer-events:all; opacity: 0.7; }
+				.openlime-annotation:hover { cursor:pointer; opacity: 1.0; }
+				rect, path, polyline, polygon, circle { fill:none; stroke:#ff0; stroke-width:2; vector-effect:non-scaling-stroke; }
+				.selected { stroke:#f00; }
+			`,
+
+			manifest: null,
+			label: '',
+			attribution: null,
+			canvases: [],
+			layers: {},
+		});
+		Object.assign(this, options);
+		this.requestPolicy = RequestPolicy.from(this.requestPolicy);
+	}
+
+	/**
+	 * Loads the manifest and builds the layers.
+	 * @param {string|Object} manifest - Manifest URL or already parsed manifest
+	 * @returns {Promise<IIIFManifest>} This loader, with `layers` and `canvases` filled
+	 * @throws {Error} If the manifest cannot be fetched or is not a Presentation 3 manifest
+	 */
+	async load(manifest) {
+		if (typeof (manifest) == 'string')
+			manifest = await this.fetchJson(manifest);
+
+		if (manifest.type !== 'Manifest')
+			throw new Error("Only IIIF Presentation 3 manifests are supported");
+
+		this.manifest = manifest;
+		this.label = this.languageValue(manifest.label);
+		if (manifest.requiredStatement) {
+			const label = this.languageValue(manifest.requiredStatement.label);
+			const value = this.languageValue(manifest.requiredStatement.value);
+			this.attribution = label ? `${label}: ${value}` : value;
+		}
+
+		//canvases (and their annotation pages) are loaded together, the layers are added in the manifest order.
+		const canvases = (manifest.items || []).filter(canvas => canvas.type === 'Canvas');
+		const built = await Promise.all(canvases.map((canvas, index) => this.buildCanvas(canvas, index)));
+		this.canvases = built.map(b => b.entry);
+		this.layers = Object.assign({}, ...built.map(b => b.layers));
+		return this;
+	}
+
+	/**
+	 * Adds all the layers built from the manifest to a viewer.
+	 * @param {Viewer} viewer - The OpenLIME viewer
+	 */
+	addToViewer(viewer) {
+		for (const [id, layer] of Object.entries(this.layers))
+			viewer.addLayer(id, layer);
+	}
+
+	/**
+	 * Builds the layers of a canvas.
+	 * @param {Object} canvas - IIIF canvas
+	 * @param {number} index - Canvas position in the manifest
+	 * @returns {Promise<Object>} { entry, layers } the canvas entry and its layers by id
+	 * @private
+	 */
+	async buildCanvas(canvas, index) {
+		const entry = {
+			id: canvas.id,
+			label: this.languageValue(canvas.label) || `Canvas ${index + 1}`,
+			width: canvas.width,
+			height: canvas.height,
+			layers: []
+		};
+		const layers = {};
+		const visible = index == 0;
+		const zindex = index * 10;
+
+		const paintings = (canvas.items || []).flatMap(page => page.items || [])
+			.filter(a => a.motivation === 'painting');
+		paintings.forEach((painting, i) => {
+			const layer = this.createImageLayer(painting, entry, { visible, zindex });
+			if (!layer)
+				return;
+			const id = paintings.length > 1 ? `canvas${index}_${i}` : `canvas${index}`;
+			layers[id] = layer;
+			entry.layers.push(id);
+		});
+
+		if (!this.annotations)
+			return { entry, layers };
+
+		const pages = await Promise.all((canvas.annotations || []).map(page => page.items ? page : this.fetchJson(page.id)));
+		for (let i = 0; i < pages.length; i++) {
+			const page = pages[i];
+
+			const annotations = [];
+			for (const item of page.items || []) {
+				try {
+					annotations.push(Annotation.fromJsonLd(item));
+				} catch (e) {
+					console.warn(`Skipping annotation ${item.id}: ${e.message}`);
+				}
+			}
+
+			const layout = new Layout(null, 'image', { width: entry.width, height: entry.height });
+			layout.setUrls([]); //annotations need the canvas size only.
+			const layer = new LayerSvgAnnotation({
+				label: this.languageValue(page.label) || `${entry.label} annotations`,
+				layout: layout,
+				annotations: annotations,
+				style: this.annotationStyle,
+				visible: visible,
+				zindex: zindex + 1 + i,
+			});
+			const id = `canvas${index}_annotations${i}`;
+			layers[id] = layer;
+			entry.layers.push(id);
+		}
+		return { entry, layers };
+	}
+
+	/**
+	 * Creates the image layer for a painting annotation.
+	 * @param {Object} painting - IIIF painting annotation
+	 * @param {IIIFManifest~Canvas} canvas - Canvas entry
+	 * @param {Object} options - Additional layer options
+	 * @returns {Layer|null} The image layer or null if the body is not an image
+	 * @private
+	 */
+	createImageLayer(painting, canvas, options) {
+		let body = [].concat(painting.body || [])[0];
+		if (body && body.type === 'Choice')
+			body = body.items && body.items[0];
+		if (!body || body.type !== 'Image') {
+			console.warn(`Skipping painting annotation ${painting.id}: body is not an image`);
+			return null;
+		}
+
+		//place the image in the canvas, the canvas is centered in the scene (y goes up).
+		const target = typeof (painting.target) == 'string' ? painting.target : (painting.target.id || painting.target.source);
+		const region = (target && target.includes('#') && Annotation.parseXYWH(target)) ||
+			{ x: 0, y: 0, w: canvas.width, h: canvas.height };
+		const width = body.width || canvas.width;
+		const transform = {
+			x: region.x + region.w / 2 - canvas.width / 2,
+			y: -(region.y + region.h / 2 - canvas.height / 2),
+			z: region.w / width,
+			a: 0
+		};
+
+		const service = [].concat(body.service || [])
+			.find(s => /ImageService/.test(s.type || s['@type'] || ''));
+		const layerOptions = Object.assign({ type: 'image', label: canvas.label, transform, requestPolicy: this.requestPolicy }, options);
+		if (service) {
+			const id = (service.id || service['@id']).replace(/\/$/, '');
+			layerOptions.layout = new LayoutTiles(id + '/info.json', 'iiif', { requestPolicy: this.requestPolicy });
+		} else {
+			layerOptions.layout = 'image';
+			layerOptions.url = body.id;
+		}
+		return new Layer(layerOptions);
+	}
+
+	/**
+	 * Picks a string from a IIIF language map.
+	 * @param {Object|string} map - Language map ({ "en": ["..."] }) or plain string
+	 * @returns {string} The value in the preferred language
+	 * @private
+	 */
+	languageValue(map) {
+		if (!map)
+			return '';
+		if (typeof (map) == 'string')
+			return map;
+		const values = (this.language && map[this.language]) || map['none'] || Object.values(map)[0] || [];
+		return [].concat(values).join(', ');
+	}
+
+	/**
+	 * Fetches a JSON document.
+	 * @param {string} url - Document URL
+	 * @returns {Promise<Object>} Parsed JSON
+	 * @private
+	 */
+	async fetchJson(url) {
+		const response = await RequestPolicy.fetch(url, {}, this.requestPolicy);
+		if (!response.ok)
+			throw new Error("Failed loading " + url + ": " + response.statusText);
+		return await response.json();
+	}
+}
+
+export { IIIFManifest }
@@ -4,6 +4,7 @@ import { Cache } from './Cache.js'
 import { BoundingBox } from './BoundingBox.js'
 import { addSignals } from './Signals.js'
 import { Util } from './Util.js'
+import { RequestPolicy } from './RequestPolicy.js'
 
 /**
  * @typedef {Object} LayerOptions
@@ -15,12 +16,42 @@ import { Util } from './Util.js'
  * @property {boolean} [visible=true] - Whether layer should be rendered
  * @property {number} [zindex=0] - Stack order for rendering (higher = on top)
  * @property {boolean} [overlay=false] - Whether layer renders in overlay mode
+ * @property {number} [opacity=1] - Opacity of the layer over the layers below, from 0 to 1
+ * @property {string} [blend='normal'] - How the layer is composited over the layers below, one of {@link Layer.blendModes}
  * @property {number} [prefetchBorder=1] - Tile prefetch threshold in tile units
  * @property {number} [mipmapBias=0.4] - Texture resolution selection bias (0=highest, 1=lowest)
  * @property {Object.<string, Shader>} [shaders] - Map of available shaders
  * @property {Controller[]} [controllers] - Array of active UI controllers
  * @property {Layer} [sourceLayer] - Layer to share tiles with
  * @property {number} [pixelSize=0.0] - Physical size of a pixel in mm
+ * @property {Layer~TileProvider} [tileProvider] - Custom source of the tile data, replaces the default fetch
+ * @property {RequestPolicy|RequestPolicyOptions} [requestPolicy] - Headers, credentials and url signing for the layer requests
+ *   (replaces the viewer-wide policy)
+ * @property {string} [cacheKey] - Invalidation key of the dataset for the persistent {@link TileStore} (e.g. a version)
+ * @property {number} [tileRetries=3] - Number of retries of a failed tile request (network errors, 408, 429 and 5xx)
+ * @property {number} [tileRetryDelay=500] - Delay in ms before the first retry, doubled at each attempt
+ * @property {number} [cacheWeight=1] - Download priority of the layer tiles relative to the other layers (see {@link Cache})
+ * @property {number} [cacheQuota] - Maximum GPU RAM in bytes for the layer tiles, its own older tiles are evicted first
+ * @property {boolean} [pinned=false] - Keep the layer tiles resident: they are evicted only to respect the layer quota
+ * @property {string} [cachePartition] - Cache partition of the layer, defaults to the one of its viewer (see {@link Cache#setPartition})
+ */
+
+/**
+ * Custom tile source, called once per tile and raster instead of fetching `tile.url`.
+ * `tile.url` (and `tile.start`/`tile.end` for range based layouts) are already set by the layout,
+ * `tile.controller.signal` is aborted when the tile is no longer needed.
+ * The result can be:
+ * - a Blob (encoded image, decoded as the fetched ones)
+ * - an ImageBitmap, HTMLImageElement, HTMLCanvasElement or ImageData
+ * - a TypedArray of 8 bit raw pixels of a whole tile (layout tile size), with the channels of the raster format
+ * - an object { data, width, height } with raw pixels, for tiles of a different size (e.g. on the image border)
+ *
+ * Not used by interleaved ('itarzoom') layouts.
+ * @callback Layer~TileProvider
+ * @param {TileObj} tile - The tile to load
+ * @param {Layout} layout - The layer layout
+ * @param {number} rasterid - Index of the raster (plane) to load
+ * @returns {Promise<Blob|ImageBitmap|ImageData|TypedArray|Object>} Tile data
  */
 
 /**
@@ -44,6 +75,8 @@ import { Util } from './Util.js'
  * @fires Layer#update - Fired when redraw is needed
  * @fires Layer#loaded - Fired when all tiles are loaded
  * @fires Layer#updateSize - Fired when layer size changes
+ * @fires Layer#tileerror - Fired when a tile cannot be loaded
+ * @fires Layer#progress - Fired when the loading progress of the current view changes
  * 
  * @example
  * ```javascript
@@ -80,6 +113,8 @@ class Layer {
 	* @param {bool} options.visible=true Whether to render the layer.
 	* @param {number} options.zindex Stack ordering value for the rendering of layers (higher zindex on top).
 	* @param {bool} options.overlay=false  Whether the layer must be rendered in overlay mode.
+	* @param {number} options.opacity=1 The opacity of the layer over the layers below.
+	* @param {string} options.blend='normal' The blend mode of the layer over the layers below (see {@link Layer.blendModes}).
 	* @param {number} options.prefetchBorder=1 The threshold (in tile units) around the current camera position for which to prefetch tiles.
 	* @param {number} options.mipmapBias=0.2 Determine which texture is used when scale is not a power of 2. 0: use always the highest resulution, 1 the lowest, 0.5 switch halfway.
 	* @param {Object} options.shaders A map (shadersId, shader) of the shaders usable for the layer rendering. See @link {Shader}.
@@ -187,6 +222,8 @@ class Layer {
 			visible: true,
 			zindex: 0,
 			overlay: false, //in the GUI it won't affect the visibility of the other layers
+			opacity: 1,
+			blend: 'normal',
 			rasters: [],
 			layers: [],
 			controls: {},
@@ -200,6 +237,15 @@ class Layer {
 			prefetchBorder: 1,
 			mipmapBias: 0.4,
 			pixelSize: 0.0,
+			tileProvider: null,
+			requestPolicy: null,
+			cacheKey: null,
+			tileRetries: 3,
+			tileRetryDelay: 500,
+			cacheWeight: 1,
+			cacheQuota: null,
+			pinned: false,
+			cachePartition: null,
 
 			//signals: { update: [], ready: [], updateSize: [] },  //update callbacks for a redraw, ready once layout is known.
 
@@ -209,16 +255,27 @@ class Layer {
 			//only raster used by the shader will be loade.
 			queue: [],     //queue of tiles to be loaded.
 			requested: new Map,  //tiles requested.
+			bytesLoaded: 0,      //bytes downloaded for the tiles.
+			progress: { needed: 0, loaded: 0, failed: 0, bytes: 0, progress: 1 },
 		});
 
 		Object.assign(this, options);
 		if (this.sourceLayer) this.tiles = this.sourceLayer.tiles; //FIXME avoid tiles duplication
+		this.requestPolicy = RequestPolicy.from(this.requestPolicy);
 
 		this.transform = new Transform(this.transform);
 
+		if (!Layer.blendModes.includes(this.blend))
+			throw new Error(`Unknown blend mode "${this.blend}"`);
+		//animated as the shader controls, but kept apart as it is not a shader parameter.
+		const now = performance.now();
+		const opacity = [Math.min(Math.max(this.opacity, 0), 1)];
+		this.opacityControl = { 'source': { 'value': opacity, 't': now }, 'target': { 'value': opacity, 't': now }, 'current': { 'value': opacity, 't': now }, 'easing': 'linear' };
+
 		if (typeof (this.layout) == 'string') {
 			let size = { width: this.width, height: this.height };
 			if (this.server) size.server = this.server;
+			if (this.requestPolicy) size.requestPolicy = this.requestPolicy;
 			this.setLayout(new Layout(null, this.layout, size));
 		} else {
 			this.setLayout(this.layout);
@@ -341,7 +398,7 @@ class Layer {
 
 	/**
 	 * Sets the layer state with optional animation
-	 * @param {Object} state - State object with controls and mode
+	 * @param {Object} state - State object with controls, mode, opacity and blend
 	 * @param {number} [dt] - Animation duration in ms
 	 * @param {string} [easing='linear'] - Easing function ('linear'|'ease-out'|'ease-in-out')
 	 */
@@ -353,6 +410,10 @@ class Layer {
 		if ('mode' in state && state.mode) {
 			this.setMode(state.mode);
 		}
+		if ('opacity' in state)
+			this.setOpacity(state.opacity, dt, easing);
+		if ('blend' in state && state.blend)
+			this.setBlend(state.blend);
 	}
 
 	/**
@@ -370,6 +431,10 @@ class Layer {
 		if (!stateMask || 'mode' in stateMask)
 			if (this.getMode())
 				state.mode = this.getMode();
+		if (!stateMask || 'opacity' in stateMask)
+			state.opacity = this.getOpacity();
+		if (!stateMask || 'blend' in stateMask)
+			state.blend = this.blend;
 		return state;
 	}
 
@@ -384,6 +449,8 @@ class Layer {
 		* @event Layer#update
 		*/
 		this.layout = layout;
+		if (this.requestPolicy && !layout.requestPolicy)
+			layout.requestPolicy = this.requestPolicy;
 
 		let callback = () => {
 			this.status = 'ready';
@@ -469,6 +536,11 @@ class Layer {
 	setVisible(visible) {
 		this.visible = visible;
 		this.previouslyNeeded = null;
+		if (!visible) {
+			this.queue = [];
+			for (let index of this.requested.keys())
+				this.cancelTile(this.tiles.get(index));
+		}
 		this.emit('update');
 	}
 
@@ -482,6 +554,46 @@ class Layer {
 		this.emit('update');
 	}
 
+	/**
+	 * Sets the layer opacity with optional animation
+	 * @param {number} opacity - Opacity from 0 (transparent) to 1
+	 * @param {number} [dt=0] - Animation duration in ms
+	 * @param {string} [easing='linear'] - Easing function ('linear'|'ease-out'|'ease-in-out')
+	 * @fires Layer#update
+	 */
+	setOpacity(opacity, dt = 0, easing = 'linear') {
+		this.opacity = Math.min(Math.max(opacity, 0), 1);
+		const now = performance.now();
+		const control = this.opacityControl;
+		this.interpolateControl(control, now);
+		control.source = { 'value': [...control.current.value], 't': now };
+		control.target = { 'value': [this.opacity], 't': now + dt };
+		control.easing = easing;
+		this.emit('update');
+	}
+
+	/**
+	 * Gets the current (possibly animated) layer opacity
+	 * @returns {number} Opacity from 0 to 1
+	 */
+	getOpacity() {
+		this.interpolateControl(this.opacityControl, performance.now());
+		return this.opacityControl.current.value[0];
+	}
+
+	/**
+	 * Sets how the layer is composited over the layers below
+	 * @param {string} blend - One of {@link Layer.blendModes}
+	 * @throws {Error} If the blend mode is unknown
+	 * @fires Layer#update
+	 */
+	setBlend(blend) {
+		if (!Layer.blendModes.includes(blend))
+			throw new Error(`Unknown blend mode "${blend}"`);
+		this.blend = blend;
+		this.emit('update');
+	}
+
 	/**
 	 * Computes minimum scale across layers
 	 * @param {Object.<string, Layer>} layers - Map of layers
@@ -633,6 +745,8 @@ class Layer {
 		let done = true;
 		for (let control of Object.values(this.controls))
 			done = this.interpolateControl(control, now) && done;
+		if (this.opacityControl)
+			done = this.interpolateControl(this.opacityControl, now) && done;
 		return done;
 	}
 
@@ -681,13 +795,24 @@ class Layer {
 		this.tiles.delete(tile.index);
 	}
 
+	/**
+	 * Aborts the pending requests of a tile which is no longer needed.
+	 * Its partial textures are released once the loading fails.
+	 * @param {Object} tile - The tile being loaded
+	 * @private
+	 */
+	cancelTile(tile) {
+		if (tile?.controller && tile.missing !== 0)
+			tile.controller.abort();
+	}
+
 	/**
 	 * Clears layer resources and resets state
 	 * @private
 	 */
 	clear() {
 		this.ibuffer = this.vbuffer = null;
-		Cache.flushLayer(this);
+		Cache.getInstance().flushLayer(this);
 		this.tiles = new Map(); //TODO We need to drop these tile textures before clearing Map
 		this.setupTiles();
 		this.queue = [];
@@ -949,15 +1074,16 @@ class Layer {
 	 * Initiates tile prefetching based on viewport
 	 * @param {Transform} transform - Current view transform
 	 * @param {Object} viewport - Current viewport
+	 * @param {Object} [region] - { transform, viewport } of a region rendered in the background, its tiles are loaded along with the view ones
 	 * @private
 	 */
-	prefetch(transform, viewport) {
+	prefetch(transform, viewport, region) {
 		if (this.viewport)
 			viewport = this.viewport;
 
 		if (this.layers.length != 0) { //combine layers
 			for (let layer of this.layers)
-				layer.prefetch(transform, viewport);
+				layer.prefetch(transform, viewport, region);
 		}
 
 		if (this.rasters.length == 0)
@@ -983,7 +1109,13 @@ class Layer {
 			if (tile.missing != 0 && !this.requested[index])
 				tmp.push(tile);
 		} */
+		this.prefetchTime = performance.now(); //needed tiles get a newer time, older requested tiles can be cancelled.
+		this.prefetchView = { viewport, transform };
+		//the region first, so that the tiles needed by both keep the priority of the view.
+		const extra = region ? this.layout.needed(region.viewport, region.transform, this.transform, 0, this.mipmapBias, this.tiles) : [];
 		this.queue = this.layout.needed(viewport, transform, this.transform, this.prefetchBorder, this.mipmapBias, this.tiles);
+		const queued = new Set(this.queue.map(tile => tile.index));
+		this.queue.push(...extra.filter(tile => !queued.has(tile.index)));
 		/*		let needed = this.layout.neededBox(viewport, transform, this.prefetchBorder, this.mipmapBias);
 				if (this.previouslyNeeded && this.sameNeeded(this.previouslyNeeded, needed))
 					return;
@@ -1013,6 +1145,101 @@ class Layer {
 					this.queue = this.queue.concat(tmp);
 				}*/
 		Cache.getInstance().setCandidates(this);
+		this.updateProgress();
+	}
+
+	/**
+	 * Finds the tiles which are not drawn for the current view because finer loaded tiles cover them
+	 * (e.g. coarse tiles evicted after zooming in).
+	 * @private
+	 * @returns {Function} Predicate (tile) => true if the tile area is drawn by finer tiles only
+	 */
+	drawnByFinerTiles() {
+		const layout = this.layout.pyramid || this.layout;
+		if (!layout.neededBox) //single image
+			return () => false;
+		const { viewport, transform } = this.prefetchView;
+		const { level: minlevel, pyramid } = layout.neededBox(viewport, transform, this.transform, 0, this.mipmapBias);
+		const box = pyramid[minlevel];
+		const finer = new Set();   //tiles with part of their area drawn by finer tiles
+		const coarser = new Set(); //tiles with part of their area drawn by coarser tiles (or not drawn)
+		for (let y = box.yLow; y < box.yHigh; y++) {
+			for (let x = box.xLow; x < box.xHigh; x++) {
+				//the finest loaded tile over the cell is drawn, as in Layout.available.
+				let drawn = minlevel;
+				while (drawn >= 0 && this.tiles.get(layout.index(drawn, x >> (minlevel - drawn), y >> (minlevel - drawn)))?.missing !== 0)
+					drawn--;
+				for (let level = 0; level <= minlevel; level++) {
+					const index = layout.index(level, x >> (minlevel - level), y >> (minlevel - level));
+					if (level < drawn)
+						finer.add(index);
+					else if (level > drawn)
+						coarser.add(index);
+				}
+			}
+		}
+		return (tile) => finer.has(tile.index) && !coarser.has(tile.index);
+	}
+
+	/**
+	 * Counts the tiles needed for the current view (as computed by the last {@link Layout#needed} call,
+	 * prefetch border included) and how many of them are loaded, and emits 'progress' if anything changed.
+	 * Coarser tiles whose area is drawn by finer loaded tiles (see {@link Layout#available}) are not needed.
+	 * @private
+	 * @fires Layer#progress
+	 */
+	updateProgress() {
+		if (!this.prefetchTime)
+			return;
+		//tiles in the queue might not be in this.tiles yet, needed() marks the others with the prefetch time.
+		const needed = new Map(this.queue.map(tile => [tile.index, tile]));
+		for (const tile of this.tiles.values())
+			if (tile.time >= this.prefetchTime)
+				needed.set(tile.index, tile);
+
+		const drawnByFiner = this.drawnByFinerTiles();
+		let count = 0;
+		let loaded = 0;
+		let failed = 0;
+		for (const tile of needed.values()) {
+			if (tile.missing === 0 && !tile.error)
+				loaded++;
+			else if (tile.error)
+				failed++;
+			else if (drawnByFiner(tile))
+				continue;
+			count++;
+		}
+		const progress = {
+			needed: count,
+			loaded,
+			failed,
+			bytes: this.bytesLoaded,
+			progress: count ? (loaded + failed) / count : 1
+		};
+		const last = this.progress;
+		if (last.needed == progress.needed && last.loaded == progress.loaded && last.failed == progress.failed && last.bytes == progress.bytes)
+			return;
+		this.progress = progress;
+		/**
+		 * The event is fired when the loading progress of the tiles needed for the current view changes.
+		 * @event Layer#progress
+		 * @type {Object}
+		 * @property {number} needed - Tiles needed for the current view (prefetch border included)
+		 * @property {number} loaded - Needed tiles which are loaded
+		 * @property {number} failed - Needed tiles which failed loading
+		 * @property {number} bytes - Total bytes downloaded by the layer
+		 * @property {number} progress - Fraction of the needed tiles which are done (loaded or failed), 1 if nothing is needed
+		 */
+		this.emit('progress', progress);
+	}
+
+	/**
+	 * Gets the loading progress of the current view.
+	 * @returns {Object} { needed, loaded, failed, bytes, progress }, see {@link Layer#event:progress}
+	 */
+	getProgress() {
+		return this.progress;
 	}
 
 	/**
@@ -1050,6 +1277,7 @@ class Layer {
 		this.requested.set(tile.index, true);
 
 		// Initialize progress tracking
+		tile.controller = new AbortController();
 		tile.size = 0;
 		tile.missing = this.shader.samplers.length;
 		tile.tex = [];
@@ -1064,10 +1292,119 @@ class Layer {
 		} catch (error) {
 			// Clean up after error
 			this.requested.delete(tile.index);
-			this.tiles.delete(tile.index);
-			console.error(`Error loading tile ${tile.index}:`, error);
+			if (tile.controller?.signal.aborted)
+				this.tiles.delete(tile.index);
+			else
+				this.tileFailed(tile, error);
 			callback(error);
+		} finally {
+			tile.batch = null; //release the merged request data.
+		}
+	}
+
+	/**
+	 * Computes the byte ranges of a tile (one for each raster, one for interleaved layouts) without loading it.
+	 * Used by the {@link Cache} to merge the requests of adjacent tiles.
+	 * @private
+	 * @param {Object} tile - The tile
+	 * @returns {Object[]} Ranges { url, start, end }, empty if the layout doesn't use range requests
+	 */
+	tileRanges(tile) {
+		const ids = this.layout.type == 'itarzoom' ? [null] : this.shader.samplers.map(sampler => sampler.id);
+		const ranges = [];
+		for (const id of ids) {
+			const range = { index: tile.index, level: tile.level, x: tile.x, y: tile.y };
+			range.url = this.layout.getTileURL(id, range);
+			if (!range.end)
+				return [];
+			ranges.push({ url: range.url, start: range.start, end: range.end });
 		}
+		return ranges;
+	}
+
+	/**
+	 * Retries a tile load with exponential backoff.
+	 * Only network errors and transient HTTP statuses (408, 429, 5xx) are retried.
+	 * The cache request slot of the tile is given back during the backoff (see tile.slot, set by {@link Cache}).
+	 * @private
+	 * @async
+	 * @param {Object} tile - Tile being loaded
+	 * @param {Function} load - Async function performing one attempt
+	 * @returns {Promise<any>} Result of the successful attempt
+	 * @throws {Error} The last error, with the number of attempts in error.attempts
+	 */
+	async retryTile(tile, load) {
+		for (let attempt = 0; ; attempt++) {
+			try {
+				return await load();
+			} catch (error) {
+				error.attempts = attempt + 1;
+				const status = error.status;
+				//4xx are not retried (but timeouts and rate limits), nor errors of unknown status (null).
+				const transient = status !== undefined ?
+					status == 0 || status == 408 || status == 429 || status >= 500 :
+					error.name == 'TypeError'; //fetch network failure
+				if (!transient || attempt >= this.tileRetries || tile.controller?.signal.aborted)
+					throw error;
+				//the request slot of the cache is free for other tiles during the backoff.
+				tile.slot?.release();
+				await new Promise(resolve => setTimeout(resolve, this.tileRetryDelay * (1 << attempt)));
+				await tile.slot?.acquire();
+			}
+		}
+	}
+
+	/**
+	 * Marks a tile as permanently failed: its partial textures are released and it is not requested again
+	 * (see {@link Layer#retryFailedTiles}).
+	 * @private
+	 * @param {Object} tile - The failed tile
+	 * @param {Error} error - The last error
+	 * @fires Layer#tileerror
+	 */
+	tileFailed(tile, error) {
+		for (let tex of tile.tex)
+			if (tex) this.gl.deleteTexture(tex);
+		tile.tex = [];
+		tile.size = 0;
+		tile.error = {
+			url: error.url || tile.url,
+			status: error.status ?? null,
+			attempts: error.attempts || 1,
+			message: error.message
+		};
+		console.error(`Error loading tile ${tile.index}:`, error);
+		/**
+		 * The event is fired when a tile cannot be loaded after all the retries.
+		 * @event Layer#tileerror
+		 * @type {Object}
+		 * @property {Object} tile - The failed tile (tile.error holds the same information)
+		 * @property {string} url - Url of the failed request
+		 * @property {number|null} status - HTTP status, null for network or decoding errors
+		 * @property {number} level - Tile level
+		 * @property {number} attempts - Number of attempts
+		 * @property {Error} error - The last error
+		 */
+		this.emit('tileerror', { tile, url: tile.error.url, status: tile.error.status, level: tile.level, attempts: tile.error.attempts, error });
+		this.updateProgress();
+	}
+
+	/**
+	 * Gets the tiles which failed loading.
+	 * @returns {Object[]} Failed tiles, each with an `error` property { url, status, attempts, message }
+	 */
+	getFailedTiles() {
+		return [...this.tiles.values()].filter(tile => tile.error);
+	}
+
+	/**
+	 * Forgets the failed tiles, so that they are requested again when needed.
+	 * @fires Layer#update
+	 */
+	retryFailedTiles() {
+		for (let tile of this.getFailedTiles())
+			this.tiles.delete(tile.index);
+		this.emit('update');
 	}
 
 	/**
@@ -1082,25 +1419,35 @@ class Layer {
 	async _loadInterleaved(tile, callback) {
 		// Configure URL and fetch options
 		tile.url = this.layout.getTileURL(null, tile);
-		const options = {};
-
-		// Set range headers if we're using byte ranges
-		if (tile.end) {
-			options.headers = {
-				range: `bytes=${tile.start}-${tile.end}`,
-				'Accept-Encoding': 'identity'  // Prevent compression which breaks byte ranges
-			};
-		}
 
 		// Use HTTP/2 if available through the fetch() API
-		const response = await fetch(tile.url, options);
+		const fetchRange = async (range) => {
+			const options = { signal: range.controller?.signal };
+
+			// Set range headers if we're using byte ranges
+			if (range.end) {
+				options.headers = {
+					range: `bytes=${range.start}-${range.end}`,
+					'Accept-Encoding': 'identity'  // Prevent compression which breaks byte ranges
+				};
+			}
 
-		if (!response.ok) {
-			throw new Error(`Failed loading ${tile.url}: ${response.statusText} (${response.status})`);
-		}
+			const response = await RequestPolicy.fetch(range.url, options, this.requestPolicy);
 
-		// Get whole blob and then process parts of it for each texture
-		const blob = await response.blob();
+			if (!response.ok) {
+				const error = new Error(`Failed loading ${range.url}: ${response.statusText} (${response.status})`);
+				throw Object.assign(error, { url: range.url, status: response.status });
+			}
+			const blob = await response.blob();
+			this.bytesLoaded += blob.size;
+			return blob;
+		};
+		// Adjacent tiles share a single merged range request (see Cache).
+		const fetchBlob = () => tile.batch ? tile.batch.load(tile, fetchRange) : fetchRange(tile);
+
+		// Get whole blob (from the persistent store if any) and then process parts of it for each texture
+		const store = Cache.getInstance().store;
+		const blob = await this.retryTile(tile, () => store ? store.load(tile, this.cacheKey, fetchBlob) : fetchBlob());
 
 		// Process each sampler in the shader
 		for (let i = 0; i < this.shader.samplers.length; i++) {
@@ -1113,9 +1460,10 @@ class Layer {
 			// Convert to image and create texture - use texture pool if available
 			const img = await raster.blobToImage(imgblob, this.gl);
 			const tex = raster.loadTexture(this.gl, img);
+			this.updateColorProfile(raster);
 
 			// Store result and track size
-			const size = img.width * img.height * this.getPixelSize(sampler.id);
+			const size = raster.textureBytes;
 			tile.size += size;
 			tile.tex[sampler.id] = tex;
 			tile.w = img.width;
@@ -1128,6 +1476,7 @@ class Layer {
 		// Trigger updates and notify
 		this.emit('update');
 		this.requested.delete(tile.index);
+		this.updateProgress();
 
 		if (callback) callback(null, tile.size);
 	}
@@ -1150,13 +1499,20 @@ class Layer {
 		const loadPromises = this.shader.samplers.map(async (sampler) => {
 			try {
 				const raster = this.rasters[sampler.id];
-				tile.url = this.layout.getTileURL(sampler.id, tile);
+				raster.requestPolicy = this.requestPolicy;
+
+				// Load the image using the raster loader, the url is set again at each attempt (tile is shared among rasters)
+				const [tex, size, bytes] = await this.retryTile(tile, () => {
+					tile.url = this.layout.getTileURL(sampler.id, tile);
+					const provided = this.tileProvider ? this.provideTile(tile, sampler.id) :
+						(this.layout.tileData(tile, sampler.id) || this.storedTile(tile, raster));
+					return raster.loadImage(tile, this.gl, provided);
+				});
 
-				// Load the image using the raster loader
-				const [tex, size] = await raster.loadImage(tile, this.gl);
+				this.updateColorProfile(raster);
 
-				// For image layout, we might need to update layer dimensions
-				if (this.layout.type === "image") {
+				// For image layout, we might need to update layer dimensions (split images know it already)
+				if (this.layout.type === "image" && !this.layout.pyramid) {
 					this.layout.width = raster.width;
 					this.layout.height = raster.height;
 					this.layout.emit('updateSize');
@@ -1165,6 +1521,7 @@ class Layer {
 				// Update tile information
 				tile.size += size;
 				tile.tex[sampler.id] = tex;
+				this.bytesLoaded += bytes || 0;
 
 				// Track completion status
 				tile.missing--;
@@ -1192,6 +1549,15 @@ class Layer {
 		// Handle errors and clean up
 		this.requested.delete(tile.index);
 
+		// Cancelled tiles: free the partial textures, the tile will be requested again when needed.
+		if (tile.controller?.signal.aborted) {
+			this.dropTile(tile);
+			Object.assign(tile, { tex: [], missing: null, size: 0, controller: null });
+		} else if (errors.length > 0)
+			this.tileFailed(tile, errors[0]);
+		else
+			this.updateProgress();
+
 		if (errors.length > 0) {
 			callback(errors[0]); // Return first error
 		} else {
@@ -1200,33 +1566,56 @@ class Layer {
 	}
 
 	/**
-	* Determines the number of bytes per pixel for a given sampler
+	* Gives the shader the ICC profile read by a raster with colorManagement 'shader'.
 	* 
 	* @private
-	* @param {number} samplerId - Sampler identifier
-	* @returns {number} Bytes per pixel
+	* @param {Raster} raster - The raster
 	*/
-	getPixelSize(samplerId) {
-		// Default to 3 bytes per pixel (RGB)
-		let bytesPerPixel = 3;
-
-		// Check format of the raster if available
-		const raster = this.rasters[samplerId];
-		if (raster && raster.format) {
-			switch (raster.format) {
-				case 'vec4':
-					bytesPerPixel = 4; // RGBA
-					break;
-				case 'vec3':
-					bytesPerPixel = 3; // RGB
-					break;
-				case 'float':
-					bytesPerPixel = 1; // Single channel
-					break;
-			}
+	updateColorProfile(raster) {
+		if (raster.colorProfile && this.shader.colorProfile !== raster.colorProfile)
+			this.shader.setColorProfile(raster.colorProfile);
+	}
+
+	/**
+	* Gets the tile data from the tileProvider, raw pixels are given the layout tile size.
+	* Must be called before awaiting anything: tile.url is shared among rasters.
+	* 
+	* @private
+	* @async
+	* @param {Object} tile - Tile specification object
+	* @param {number} rasterid - Raster index
+	* @returns {Promise<Blob|ImageBitmap|ImageData|Object>} Tile data for Raster.loadImage
+	*/
+	async provideTile(tile, rasterid) {
+		let data = await this.tileProvider(tile, this.layout, rasterid);
+		if (!data)
+			throw new Error(`Tile provider returned no data for tile ${tile.index}`);
+		if (ArrayBuffer.isView(data)) {
+			const [width, height] = this.layout.getTileSize();
+			data = { data, width, height };
 		}
+		return data;
+	}
 
-		return bytesPerPixel;
+	/**
+	* Gets the tile data through the persistent tile store of the Cache, if any.
+	* Must be called before awaiting anything: tile.url is shared among rasters.
+	* 
+	* @private
+	* @param {Object} tile - Tile specification object
+	* @param {Raster} raster - Raster fetching the data on a store miss
+	* @returns {Promise<Blob>|null} Tile data for Raster.loadImage, null if there is no store
+	*/
+	storedTile(tile, raster) {
+		const store = Cache.getInstance().store;
+		if (!store)
+			return null;
+		const request = { url: tile.url, start: tile.start, end: tile.end, controller: tile.controller, batch: tile.batch };
+		return store.load(request, this.cacheKey, async () => {
+			const blob = await raster.fetchBlob(request);
+			this.bytesLoaded += blob.size;
+			return blob;
+		});
 	}
 
 	/**
@@ -1399,6 +1788,12 @@ class Layer {
 }
 
 Layer.prototype.types = {}
-addSignals(Layer, 'ready', 'update', 'loaded', 'updateSize');
+/**
+ * Blend modes of the layers over the layers below (see {@link Canvas}): the usual alpha compositing ('normal'),
+ * 'multiply', 'screen', 'overlay', 'difference' and 'additive'. Colors are blended in linear light.
+ * @type {string[]}
+ */
+Layer.blendModes = ['normal', 'multiply', 'screen', 'overlay', 'difference', 'additive'];
+addSignals(Layer, 'ready', 'update', 'loaded', 'updateSize', 'tileerror', 'progress');
 
 export { Layer }
@@ -1,6 +1,7 @@
 import { Annotation } from './Annotation.js';
 import { Layer } from './Layer.js'
 import { addSignals } from './Signals.js';
+import { RequestPolicy } from './RequestPolicy.js';
 
 /**
  * @typedef {Object} LayerAnnotationOptions
@@ -114,10 +115,10 @@ class LayerAnnotation extends Layer { //FIXME CustomData Object template {name:
 		const headers = new Headers();
 		headers.append('pragma', 'no-cache');
 		headers.append('cache-control', 'no-cache');
-		var response = await fetch(url, {
+		var response = await RequestPolicy.fetch(url, {
 			method: 'GET',
 			headers: headers,
-		});
+		}, this.requestPolicy);
 		if (!response.ok) {
 			this.status = "Failed loading " + this.url + ": " + response.statusText;
 			return;
@@ -2,6 +2,7 @@ import { Layer } from './Layer.js';
 import { LayerImage } from './LayerImage.js'
 import { ShaderDstretch } from './ShaderDstretch.js';
 import { Raster } from './Raster.js';
+import { RequestPolicy } from './RequestPolicy.js';
 
 /**
  * @typedef {Object} LayerDStretchOptions
@@ -103,7 +104,7 @@ class LayerDstretch extends LayerImage {
 			let json
 			try {
 				let dstretchUrl = this.url.substring(0, this.url.lastIndexOf(".")) + ".dstretch";
-				let response = await fetch(dstretchUrl);
+				let response = await RequestPolicy.fetch(dstretchUrl, {}, this.requestPolicy);
 				console.log(response.ok);
 				json = await response.json();
 			}
@@ -151,6 +152,7 @@ class LayerDstretch extends LayerImage {
 		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
 		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
 		gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, img);
+		this.rasters[0].textureBytes = Raster.textureBytes(img.width, img.height, 4);
 
 		// Sample the texture
 		// Temporarily print the texture on a canvas
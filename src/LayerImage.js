@@ -6,7 +6,9 @@ import { Shader } from './Shader.js'
  * @typedef {Object} LayerImageOptions
  * @property {string} url - URL of the image to display (required)
  * @property {string|Layout} [layout='image'] - Layout format for image display
- * @property {string} [format='vec4'] - Image data format for WebGL processing
+ * @property {Raster#Format} [format='vec4'] - Image data format for WebGL processing ('r8' for grayscale images)
+ * @property {string} [orientation='from-image'] - EXIF orientation handling, 'none' to ignore it where the browser supports it (see {@link Raster})
+ * @property {string} [colorManagement='browser'] - ICC profile handling: 'browser', 'shader' or 'none' (see {@link Raster})
  * @property {string} [type='image'] - Must be 'image' when using Layer factory
  * @extends LayerOptions
  */
@@ -25,7 +27,7 @@ import { Shader } from './Shader.js'
  * 
  * Technical Details:
  * - Uses WebGL textures for image data
- * - Supports various color formats (vec3, vec4)
+ * - Supports various color formats (vec3, vec4, and r8/rg8 for grayscale with a fraction of the GPU memory)
  * - Integrates with OpenLIME layout system
  * - Manages raster data automatically
  * - Provides standard RGB shader by default
@@ -71,6 +73,10 @@ class LayerImage extends Layer {
 
 		const rasterFormat = this.format != null ? this.format : 'vec4';
 		let raster = new Raster({ format: rasterFormat }); //FIXME select format for GEO stuff
+		if (this.orientation)
+			raster.orientation = this.orientation;
+		if (this.colorManagement)
+			raster.colorManagement = this.colorManagement;
 
 		this.rasters.push(raster);
 
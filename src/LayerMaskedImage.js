@@ -172,6 +172,7 @@ class LayerMaskedImage extends Layer {
 		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
 
 		gl.texImage2D(gl.TEXTURE_2D, 0, gl.R8, gl.RED, gl.UNSIGNED_BYTE, img);
+		this.rasters[0].textureBytes = Raster.textureBytes(img.width, img.height, 1);
 
 		return tex;
 	}
@@ -119,6 +119,8 @@ class LayerMultispectral extends Layer {
       case 'zoomify': return path + filename + '/ImageProperties.xml';
       case 'iip': return url;
       case 'iiif': throw new Error("Unimplemented");
+      case 'tiff': return path + filename + '.tif';
+      case 'zip': return path + filename + '.zip';
       default: throw new Error("Unknown layout: " + this.layout.type);
     }
   }
@@ -139,7 +141,7 @@ class LayerMultispectral extends Layer {
       // Need to handle embedded info.json when using IIP and TIFF image stacks
       if (this.layout.type == "iip") infoUrl = (this.server ? this.server + '?FIF=' : '') + url + "&obj=description";
 
-      this.info = await Util.loadJSON(infoUrl);
+      this.info = await Util.loadJSON(infoUrl, this.requestPolicy);
       console.log("Multispectral info loaded:", this.info);
 
       // Check if basename is present
@@ -220,7 +222,7 @@ class LayerMultispectral extends Layer {
    */
   async loadPresets() {
     if (typeof this.presets === 'string' && this.presets.trim() !== '') {
-      this.presets = await Util.loadJSON(this.presets);
+      this.presets = await Util.loadJSON(this.presets, this.requestPolicy);
     }
     if (typeof this.presets !== 'object') {
       throw new Error("presets not well formed");
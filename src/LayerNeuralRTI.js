@@ -4,6 +4,7 @@ import { Layout } from './Layout.js'
 import { Transform } from './Transform.js'
 import { Shader } from './Shader.js'
 import { ShaderNeural } from './ShaderNeural.js'
+import { RequestPolicy } from './RequestPolicy.js'
 
 /**
  * @typedef {Object} LayerNeuralRTIOptions
@@ -193,7 +194,7 @@ class LayerNeuralRTI extends Layer {
 	// little set of functions to get model, coeff and info
 	/** @ignore */
 	async loadJSON(info_file) {
-		const info_response = await fetch(info_file);
+		const info_response = await RequestPolicy.fetch(info_file, {}, this.requestPolicy);
 		const info = await info_response.json();
 		return info;
 	}
@@ -2,6 +2,7 @@ import { Layer } from './Layer.js'
 import { Raster } from './Raster.js'
 import { ShaderRTI } from './ShaderRTI.js'
 import { Transform } from './Transform.js'
+import { RequestPolicy } from './RequestPolicy.js'
 
 /**
  * @typedef {Object} LayerRTIOptions
@@ -109,7 +110,9 @@ class LayerRTI extends Layer {
 			case 'itarzoom': return path + 'planes.tzi'; break;
 			case 'zoomify': return path + plane + '/ImageProperties.xml'; break;
 			case 'iip': return url; break;
-			case 'iiif': throw Error("Unimplemented");
+			case 'iiif': return path + plane + '/info.json'; break;
+			case 'tiff': return path + plane + '.tif'; break;
+			case 'zip': return path + plane + '.zip'; break;
 			default: throw Error("Unknown layout: " + layout.type);
 		}
 	}
@@ -136,7 +139,7 @@ class LayerRTI extends Layer {
 			// Need to handle embedded RTI info.json when using IIP and TIFF image stacks
 			if (this.layout.type == "iip") infoUrl = (this.server ? this.server + '?FIF=' : '') + url + "&obj=description";
 
-			var response = await fetch(infoUrl);
+			var response = await RequestPolicy.fetch(infoUrl, {}, this.requestPolicy);
 			if (!response.ok) {
 				this.status = "Failed loading " + infoUrl + ": " + response.statusText;
 				return;
@@ -200,7 +200,12 @@ class LayerSvgAnnotation extends LayerAnnotation {
 
 		const svgTransform = this.getSvgGroupTransform(transform);
 		this.svgGroup.setAttribute("transform", svgTransform);
-		return true;
+
+		//opacity and blend mode of the SVG are applied by the browser over the canvas.
+		const done = this.interpolateControls();
+		this.svgElement.style.opacity = this.getOpacity();
+		this.svgElement.style.mixBlendMode = this.blend == 'additive' ? 'plus-lighter' : this.blend;
+		return done;
 	}
 
 	/**
@@ -219,6 +224,31 @@ class LayerSvgAnnotation extends LayerAnnotation {
 			`translate(${t.x} ${t.y}) rotate(${-t.a} 0 0) scale(${t.z} ${t.z}) translate(${c.x} ${c.y})`;
 	}
 
+	/**
+	 * Creates a standalone SVG with the annotations as seen through a transform, used to draw them
+	 * over exported images (see {@link Viewer#exportRegion}).
+	 * @param {Transform} transform - View transform
+	 * @param {Object} viewport - Viewport (the output image size)
+	 * @returns {string|null} The SVG document, null if the annotations are not loaded
+	 */
+	exportSvg(transform, viewport) {
+		if (!this.svgElement)
+			return null;
+		const svg = this.svgElement.cloneNode(true);
+		svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+		svg.setAttribute('width', viewport.w);
+		svg.setAttribute('height', viewport.h);
+		svg.setAttribute('viewBox', `${-viewport.w / 2} ${-viewport.h / 2} ${viewport.w} ${viewport.h}`);
+		svg.style.display = 'block';
+		svg.querySelector('g').setAttribute('transform', this.getSvgGroupTransform(transform));
+		if (this.style) {
+			const style = document.createElementNS('http://www.w3.org/2000/svg', 'style');
+			style.textContent = this.style;
+			svg.prepend(style);
+		}
+		return new XMLSerializer().serializeToString(svg);
+	}
+
 	/**
 	 * Prepares annotations for rendering
 	 * Handles SVG element creation and updates
@@ -15,28 +15,36 @@ import { CoordinateSystem } from "./CoordinateSystem";
  * @property {WebGLTexture[]} tex - Array of textures (one per channel)
  * @property {number} time - Tile creation timestamp for cache management
  * @property {number} priority - Loading priority for cache management
+ * @property {boolean} [prefetch] - Whether the tile is in the prefetch border, outside the visible area
+ * @property {number} [distance] - Distance from the viewport center, relative to the visible area
  * @property {number} size - Total tile size in bytes
  */
 
 /**
- * @typedef {'image'|'deepzoom'|'deepzoom1px'|'google'|'zoomify'|'iiif'|'tarzoom'|'itarzoom'} LayoutType
+ * @typedef {'image'|'deepzoom'|'deepzoom1px'|'google'|'zoomify'|'iiif'|'tarzoom'|'itarzoom'|'tiff'|'xyz'|'zip'} LayoutType
  * @description Supported image format types:
  * - image: Single-resolution web images (jpg, png, etc.)
  * - deepzoom: Microsoft Deep Zoom with root tile > 1px
  * - deepzoom1px: Microsoft Deep Zoom with 1px root tile
  * - google: Google Maps tiling scheme
+ * - xyz: Generic XYZ/TMS tile server (URL template)
  * - zoomify: Zoomify format
  * - iiif: International Image Interoperability Framework
  * - tarzoom: OpenLIME tar-based tiling
  * - itarzoom: OpenLIME indexed tar-based tiling
+ * - tiff: Tiled pyramidal TIFF / Cloud Optimized GeoTIFF read with range requests
+ * - zip: DeepZoom or Google Maps pyramid stored in a ZIP archive
  */
 
 /**
  * @typedef {Object} LayoutOptions
- * @property {number} [width] - Image width (required for google layout)
- * @property {number} [height] - Image height (required for google layout)
+ * @property {number} [width] - Image width (required for google and xyz layouts)
+ * @property {number} [height] - Image height (required for google and xyz layouts)
  * @property {string} [suffix='jpg'] - Tile file extension
  * @property {string} [subdomains='abc'] - Available subdomains for URL templates
+ * @property {RequestPolicy} [requestPolicy] - Policy for the layout requests (set by the layer if missing)
+ * @property {number} [maxTextureSize] - Largest texture for 'image' layouts (default: the WebGL MAX_TEXTURE_SIZE), larger images are split in tiles
+ * @property {number} [splitTilesize=1024] - Tile size used when splitting a large 'image'
  */
 
 /**
@@ -63,6 +71,8 @@ import { CoordinateSystem } from "./CoordinateSystem";
  * 1. Single-resolution images:
  * - Direct URL to image file
  * - Supports all standard web formats (jpg, png, etc)
+ * - Images larger than the maximum texture size of the device are split, once decoded, in a virtual pyramid
+ *   of tiles and mip levels (the decoded images are kept in memory to build the tiles)
  * 
  * 2. Tiled formats:
  * - DeepZoom (Microsoft): Uses .dzi config file
@@ -117,6 +127,8 @@ class Layout {
 	 * @returns {number[]} [width, height] of tiles
 	 */
 	getTileSize() {
+		if (this.pyramid)
+			return this.pyramid.getTileSize();
 		return [this.width, this.height];
 	}
 
@@ -133,7 +145,12 @@ class Layout {
 			suffix: 'jpg',
 			urls: [],
 			status: null,
-			subdomains: 'abc'
+			subdomains: 'abc',
+			requestPolicy: null,
+			maxTextureSize: null,
+			splitTilesize: 1024,
+			pyramid: null,  //tiled layout of a split image.
+			images: []      //decoded images of a split image, one per raster.
 		});
 	}
 
@@ -160,7 +177,11 @@ class Layout {
 	 */
 	setUrls(urls) {
 		this.urls = urls;
-		this.getTileURL = (rasterid, tile) => { return this.urls[rasterid]; }
+		this.getTileURL = (rasterid, tile) => {
+			if (!this.pyramid) //the size is checked once decoded.
+				tile.decode = (blob, raster, gl) => this.decodeImage(blob, raster, gl, rasterid, tile);
+			return this.urls[rasterid];
+		}
 		this.status = 'ready';
 		this.emit('ready');
 	}
@@ -202,6 +223,8 @@ class Layout {
 	 * @returns {{coords: Float32Array, tcoords: Float32Array}} Image and texture coordinates
 	 */
 	tileCoords(tile) {
+		if (this.pyramid)
+			return this.pyramid.tileCoords(tile);
 		let w = this.width;
 		let h = this.height;
 		//careful: here y is inverted due to textures not being flipped on load (Firefox fault!).
@@ -220,6 +243,8 @@ class Layout {
 	 * @private
 	 */
 	newTile(index) {
+		if (this.pyramid)
+			return this.pyramid.newTile(index);
 		let tile = new Tile();
 		tile.index = index;
 		return tile;
@@ -237,6 +262,8 @@ class Layout {
 	 * @returns {TileObj[]} Array of needed tiles
 	 */
 	needed(viewport, transform, layerTransform, border, bias, tiles, maxtiles = 8) {
+		if (this.pyramid)
+			return this.pyramid.needed(viewport, transform, layerTransform, border, bias, tiles, maxtiles);
 		//FIXME should check if image is withing the viewport (+ border)
 		let tile = tiles.get(0) || this.newTile(0); //{ index, x, y, missing, tex: [], level };
 		tile.time = performance.now();
@@ -258,6 +285,8 @@ class Layout {
 	 * @returns {Object.<number, TileObj>} Map of available tiles
 	 */
 	available(viewport, transform, layerTransform, border, bias, tiles) {
+		if (this.pyramid)
+			return this.pyramid.available(viewport, transform, layerTransform, border, bias, tiles);
 		//FIXME should check if image is withing the viewport (+ border)
 		let torender = {};
 
@@ -266,6 +295,85 @@ class Layout {
 		return torender;
 	}
 
+	/**
+	 * Gets tile data generated by the layout itself instead of being fetched (the tiles of a split image).
+	 * @param {TileObj} tile - The tile
+	 * @param {number} rasterid - Raster index
+	 * @returns {Promise<HTMLCanvasElement>|null} The tile image, null if the tile must be fetched
+	 */
+	tileData(tile, rasterid) {
+		if (!this.pyramid || !this.images[rasterid])
+			return null;
+		return Promise.resolve(this.cropImage(this.images[rasterid], tile));
+	}
+
+	/**
+	 * Decodes the image and, if it does not fit in a texture, splits it in a virtual pyramid:
+	 * the layout becomes tiled and the tile being loaded becomes the root tile.
+	 * @param {Blob} blob - Encoded image
+	 * @param {Raster} raster - Raster decoding the image
+	 * @param {WebGLRenderingContext} gl - The WebGL rendering context
+	 * @param {number} rasterid - Raster index
+	 * @param {TileObj} tile - The tile being loaded
+	 * @returns {Promise<ImageBitmap|HTMLImageElement|HTMLCanvasElement>} The image for the texture
+	 * @fires Layout#updateSize
+	 * @private
+	 */
+	async decodeImage(blob, raster, gl, rasterid, tile) {
+		const image = await raster.blobToImage(blob, gl);
+		const max = this.maxTextureSize || gl.getParameter(gl.MAX_TEXTURE_SIZE);
+		if (!this.pyramid && image.width <= max && image.height <= max)
+			return image;
+
+		if (!this.pyramid) {
+			if (!this.types['deepzoom'])
+				throw Error("Image larger than the maximum texture size, LayoutTiles module needed to split it.");
+			const tilesize = Math.min(this.splitTilesize, max);
+			const pyramid = this.types['deepzoom'](null, 'deepzoom', { requestPolicy: this.requestPolicy });
+			Object.assign(pyramid, {
+				width: image.width,
+				height: image.height,
+				tilesize,
+				nlevels: Math.ceil(Math.log2(Math.max(image.width, image.height) / tilesize)) + 1
+			});
+			pyramid.initBoxes();
+			pyramid.status = 'ready';
+			this.pyramid = pyramid;
+			this.tilesize = tilesize;
+			this.nlevels = pyramid.nlevels;
+			this.width = image.width;
+			this.height = image.height;
+			this.emit('updateSize');
+		}
+		this.images[rasterid] = image;
+		Object.assign(tile, this.pyramid.reverseIndex(tile.index)); //the root tile.
+		return this.cropImage(image, tile);
+	}
+
+	/**
+	 * Extracts a tile of the virtual pyramid from a split image.
+	 * @param {ImageBitmap|HTMLImageElement} image - The full image
+	 * @param {TileObj} tile - The tile
+	 * @returns {HTMLCanvasElement} The tile image
+	 * @private
+	 */
+	cropImage(image, tile) {
+		const scale = 1 << (this.nlevels - 1 - tile.level);
+		const side = this.tilesize * scale; //tile size in image pixels
+		const sx = tile.x * side;
+		const sy = tile.y * side;
+		const sw = Math.min(side, this.width - sx);
+		const sh = Math.min(side, this.height - sy);
+
+		const canvas = document.createElement('canvas');
+		canvas.width = Math.ceil(sw / scale);
+		canvas.height = Math.ceil(sh / scale);
+		const context = canvas.getContext('2d');
+		context.imageSmoothingQuality = 'high';
+		context.drawImage(image, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height);
+		return canvas;
+	}
+
 	/**
 	 * Calculates viewport bounding box
 	 * @param {Object} viewport - Viewport parameters
@@ -2,6 +2,7 @@ import { Layout } from './Layout.js';
 import { BoundingBox } from './BoundingBox.js';
 import { Tile } from './Tile.js';
 import { Annotation } from './Annotation.js';
+import { RequestPolicy } from './RequestPolicy.js';
 /*
  * @fileoverview
  * LayoutTileImages module provides management for collections of image tiles with associated regions.
@@ -69,7 +70,7 @@ class LayoutTileImages extends Layout {
 	 */
 	async loadDescriptors(url) {
 		// Load tile descriptors from annotation file
-		let response = await fetch(url);
+		let response = await RequestPolicy.fetch(url, {}, this.requestPolicy);
 		if (!response.ok) {
 			this.status = "Failed loading " + url + ": " + response.statusText;
 			return;
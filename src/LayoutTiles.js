@@ -1,21 +1,25 @@
 import { BoundingBox } from "./BoundingBox";
 import { Layout } from "./Layout";
 import { Transform } from "./Transform";
+import { RequestPolicy } from "./RequestPolicy";
 
 // Tile level x y  index ----- tex missing() start/end (tarzoom) ----- time, priority size(byte)
 
 /**
- * @typedef {'image'|'deepzoom'|'deepzoom1px'|'google'|'zoomify'|'iiif'|'iip'|'tarzoom'|'itarzoom'} Layout#Type
+ * @typedef {'image'|'deepzoom'|'deepzoom1px'|'google'|'zoomify'|'iiif'|'iip'|'tarzoom'|'itarzoom'|'tiff'|'xyz'|'zip'} Layout#Type
  * Supported image layout types including both single-resolution and multi-resolution formats.
  * - image: Standard web image formats (jpg, png, gif, etc.)
  * - deepzoom: Microsoft Deep Zoom format with root tile > 1px
  * - deepzoom1px: Microsoft Deep Zoom format with 1px root tile
  * - google: Google Maps tiling scheme
+ * - xyz: Generic XYZ/TMS tile server with a URL template
  * - zoomify: Zoomify tiling format
  * - iiif: International Image Interoperability Framework
  * - iip: Internet Imaging Protocol
  * - tarzoom: OpenLIME custom format (single TAR of DeepZoom pyramid)
  * - itarzoom: OpenLIME custom interleaved TAR format
+ * - tiff: Tiled pyramidal TIFF, BigTIFF or Cloud Optimized GeoTIFF (COG)
+ * - zip: DeepZoom or Google Maps pyramid stored in a ZIP archive
  */
 
 /**
@@ -33,18 +37,33 @@ import { Transform } from "./Transform";
  * * **google** - The URL points directly to the directory containing the pyramid of images (for instance, 'https://my.example/image'). 
  * The standard does not require any configuration file, so it is mandatory to indicate in the `options` the 
  * width and height in pixels of the original image. See: {@link https://www.microimages.com/documentation/TechGuides/78googleMapsStruc.pdf Google Maps}
+ * * **xyz** - The URL is a template (for instance, 'https://{s}.my.example/tiles/{z}/{x}/{y}.png') where `{z}`, `{x}`, `{y}` are replaced
+ * by the zoom level and tile position, `{-y}` by the flipped (TMS) row and `{s}` by one of the `subdomains`. As for google, width and height
+ * of the image must be specified in the `options`; `tilesize`, `tms` (rows counted from the bottom) and `zoomOffset` (added to the level) are optional.
  * * **zoomify** - The URL indicates the location of Zoomify configuration file (for instance, 'https://my.example/image/ImageProperties.xml').
  * See: {@link http://www.zoomify.com/ZIFFileFormatSpecification.htm Zoomify}
  * * **iip** - The server parameter (optional) indicates the URL of the IIPImage endpoint (for example '/fcgi-bin/iipsrv.fcgi').
  * The URL parameter indicates either just the name of the path and image file (for instance 'image.tif') if the server parameter has been set or the full IIP URL if not
  * (for instance '/fcgi-bin/iipsrv.fcgi?FIF=image.tif' or 'https://you.server//fcgi-bin/iipsrv.fcgi?FIF=image.tif' if image is hosted elsewhere)
  * See: {@link https://iipimage.sourceforge.io/ IIPImage Server}
- * * **iiif** - According to the standard, the URL is the address of a IIIF server (for instance, 'https://myiiifserver.example/').
+ * * **iiif** - The URL is the address of the *info.json* of a IIIF image (for instance, 'https://myiiifserver.example/image/info.json'),
+ * or the image base URI, in which case '/info.json' is appended. Both Image API 2.x and 3.0 are supported: tile size (also non-square),
+ * scale factors, `sizes`, `maxWidth`/`maxHeight`/`maxArea` limits and the supported formats and qualities are read from the info.json.
+ * For multi-plane layers each plane is expected to be a IIIF image whose identifier is the plane name (e.g. 'plane_0/info.json').
  * See: {@link https://iiif.io/api/image/3.0/ IIIF }
  * * **tarzoom** and **itarzoom** - This is a custom format of the OpenLIME framework. It can be described as the TAR of a DeepZoom (all the DeepZoom image pyramid is stored in a single file).
  * It takes advantage of the fact that current web servers are able to handle partial-content HTTP requests. Tarzoom facilitates
  * the work of the server, which is not penalised by having to manage a file system with many small files. The URL is the address of the *.tzi* file 
  * (for instance, 'https://my.example/image.tzi'). Warning: tarzoom|itarzoom may not work on older web servers.
+ * Queued tiles whose byte ranges are contiguous are downloaded with a single request (see the `maxBatch` option of {@link Cache}).
+ * * **tiff** - The URL is the address of a tiled TIFF, BigTIFF or Cloud Optimized GeoTIFF (for instance, 'https://my.example/image.tif').
+ * The IFDs are read with partial-content requests and each tile is fetched with its own byte range.
+ * Pyramid levels are taken from the reduced resolution IFDs (or SubIFDs) which must halve in size; tiles can be
+ * JPEG, WebP, deflate or uncompressed (8 bits per sample, chunky). The server must support partial content requests.
+ * * **zip** - The URL is the address of a ZIP archive (for instance, 'https://my.example/image.zip') containing a deepzoom pyramid
+ * (the *.dzi* file and its *_files* folder) or a google pyramid (`level/y/x.jpg`, width and height must be specified in the `options`).
+ * As for tarzoom, the central directory is read once and each tile is fetched with a partial-content request.
+ * Store the tiles uncompressed (`zip -0`), deflated entries are supported but waste CPU on already compressed images.
  * 
  * @extends Layout
  * 
@@ -62,6 +81,14 @@ import { Transform } from "./Transform";
  *   suffix: 'png'
  * });
  * 
+ * // XYZ/TMS tile server
+ * const xyzLayout = new LayoutTiles('https://{s}.tiles.example/{z}/{x}/{y}.png', 'xyz', {
+ *   width: 16384,
+ *   height: 8192,
+ *   tms: true,
+ *   zoomOffset: 2
+ * });
+ * 
  * // IIIF layout
  * const iiifLayout = new LayoutTiles('https://server/image', 'iiif');
  * ```
@@ -79,8 +106,12 @@ class LayoutTiles extends Layout {
 	 * @param {number} [options.height] - Height of original image (required for 'google' type)
 	 * @param {string} [options.suffix='jpg'] - Tile file extension
 	 * @param {string} [options.subdomains='abc'] - Available subdomains for Google URL template
+	 * @param {number} [options.tilesize=256] - Tile size (for xyz type only, other types read it from their configuration)
+	 * @param {boolean} [options.tms=false] - Rows are counted from the bottom (for xyz type only)
+	 * @param {number} [options.zoomOffset=0] - Offset added to the level to get the {z} of the template (for xyz type only)
 	 * @param {number} [options.cachelevels=10] - Number of levels above current to cache
 	 * @param {string} [options.server] - IIP server URL (for IIP type only)
+	 * @param {string} [options.quality='default'] - IIIF quality (for IIIF type only), falls back to 'default' if not supported by the server
 	 * @fires Layout#ready
 	 * @fires Layout#updateSize
 	 */
@@ -99,12 +130,17 @@ class LayoutTiles extends Layout {
 		super.setDefaults(type);
 		Object.assign(this, {
 			tilesize: 256,
+			tileheight: null,  //tile height for non square tiles (IIIF), defaults to tilesize.
 			overlap: 0,
 			nlevels: 1,        //level 0 is the top, single tile level.
 			qbox: [],          //array of bounding box in tiles, one for mipmap 
 			bbox: [],          //array of bounding box in pixels (w, h)
 			urls: [],
 			cachelevels: 10,
+			quality: 'default',
+			tms: false,
+			zoomOffset: 0,
+			tiffChunkSize: 65536, //bytes fetched at once when reading TIFF IFDs.
 		});
 	}
 
@@ -124,13 +160,16 @@ class LayoutTiles extends Layout {
 		try {
 			switch (this.type) {
 				case 'google': await this.initGoogle(); break;        // No Url needed
+				case 'xyz': await this.initXYZ(); break;            // all urls needed (templates)
 				case 'deepzoom1px': await this.initDeepzoom(true); break;  // urls[0] only needed
 				case 'deepzoom': await this.initDeepzoom(false); break; // urls[0] only needed
 				case 'zoomify': await this.initZoomify(); break;       // urls[0] only needed
-				case 'iiif': await this.initIIIF(); break;          // urls[0] only needed
+				case 'iiif': await this.initIIIF(); break;          // all urls needed (one info.json per plane)
 				case 'iip': await this.initIIP(); break;           // urls[0] only needed
 				case 'tarzoom': await this.initTarzoom(); break;       // all urls needed
 				case 'itarzoom': await this.initITarzoom(); break;      // actually it has just one url
+				case 'tiff': await this.initTIFF(); break;          // all urls needed
+				case 'zip': await this.initZip(); break;            // all urls needed
 			}
 			this.initBoxes();
 			this.status = 'ready';
@@ -159,7 +198,10 @@ class LayoutTiles extends Layout {
 			case 'itarzoom': return path + 'planes.tzi'; break;
 			case 'zoomify': return path + plane + '/ImageProperties.xml'; break;
 			case 'iip': return url + "&SDS=" + plane.substring(plane.lastIndexOf('_') + 1, plane.length); break;
-			case 'iiif': throw Error("Unimplemented");
+			case 'iiif': return path + plane + '/info.json'; break;
+			case 'tiff': return path + plane + '.tif'; break;
+			case 'xyz': return url.replace(/\/(?=[^/]*{(?:z|x|y|-y)})/, '/' + plane + '/'); break; //plane folder before the tile path of the template
+			case 'zip': return path + plane + '.zip'; break;
 			default: throw Error("Unknown layout: " + this.type);
 		}
 	}
@@ -169,7 +211,7 @@ class LayoutTiles extends Layout {
 	 * @returns {number[]} Array containing [width, height] of tiles
 	 */
 	getTileSize() {
-		return [this.tilesize, this.tilesize];
+		return [this.tilesize, this.tileheight || this.tilesize];
 	}
 
 	/**
@@ -233,12 +275,13 @@ class LayoutTiles extends Layout {
 			return 1;
 		}
 
+		const [tw, th] = this.getTileSize();
 		for (let level = this.nlevels - 1; level >= 0; level--) {
 			this.qbox[level] = new BoundingBox({ xLow: 0, yLow: 0, xHigh: 0, yHigh: 0 });
 			this.bbox[level] = new BoundingBox({ xLow: 0, yLow: 0, xHigh: w, yHigh: h });
 
-			this.qbox[level].yHigh = Math.ceil(h / this.tilesize);
-			this.qbox[level].xHigh = Math.ceil(w / this.tilesize);
+			this.qbox[level].yHigh = Math.ceil(h / th);
+			this.qbox[level].xHigh = Math.ceil(w / tw);
 
 			w >>>= 1;
 			h >>>= 1;
@@ -263,20 +306,24 @@ class LayoutTiles extends Layout {
 		let coords = new Float32Array([0, 0, 0, 0, 1, 0, 1, 1, 0, 1, 0, 0]); // FIXME 32 bit and errors
 
 		let ilevel = this.nlevels - 1 - level;
-		let side = this.tilesize * (1 << (ilevel)); //tile size in imagespace
-		let tx = side;
-		let ty = side;
-
-		if (side * (x + 1) > this.width) {
-			tx = (this.width - side * x);
-			if (this.type == 'google')
-				tcoords[4] = tcoords[6] = tx / side;
+		const [tw, th] = this.getTileSize();
+		let sidex = tw * (1 << (ilevel)); //tile size in imagespace
+		let sidey = th * (1 << (ilevel));
+		let tx = sidex;
+		let ty = sidey;
+		//border tiles are padded, zip archives hold deepzoom or google pyramids.
+		const padded = ['google', 'tiff', 'xyz'].includes(this.type == 'zip' ? this.pyramid : this.type);
+
+		if (sidex * (x + 1) > this.width) {
+			tx = (this.width - sidex * x);
+			if (padded)
+				tcoords[4] = tcoords[6] = tx / sidex;
 		}
 
-		if (side * (y + 1) > this.height) {
-			ty = (this.height - side * y);
-			if (this.type == 'google')
-				tcoords[1] = tcoords[7] = ty / side;
+		if (sidey * (y + 1) > this.height) {
+			ty = (this.height - sidey * y);
+			if (padded)
+				tcoords[1] = tcoords[7] = ty / sidey;
 		}
 
 		var lx = this.qbox[level].xHigh - 1; //last tile x pos, if so no overlap.
@@ -299,8 +346,8 @@ class LayoutTiles extends Layout {
 		tcoords[3] = tcoords[5] = tmp;
 
 		for (let i = 0; i < coords.length; i += 3) {
-			coords[i] = coords[i] * tx + side * x - this.width / 2;
-			coords[i + 1] = -coords[i + 1] * ty - side * y + this.height / 2;
+			coords[i] = coords[i] * tx + sidex * x - this.width / 2;
+			coords[i + 1] = -coords[i + 1] * ty - sidey * y + this.height / 2;
 		}
 
 		return { coords: coords, tcoords: tcoords }
@@ -330,7 +377,8 @@ class LayoutTiles extends Layout {
 	 * @returns {TileObj[]} Array of needed tiles sorted by priority
 	 */
 	needed(viewport, transform, layerTransform, border, bias, tiles, maxtiles = 8) {
-		let neededBox = this.neededBox(viewport, transform, layerTransform, 0, bias);
+		let neededBox = this.neededBox(viewport, transform, layerTransform, border, bias);
+		let visibleBox = this.neededBox(viewport, transform, layerTransform, 0, bias);
 
 		//if (this.previouslyNeeded && this.sameNeeded(this.previouslyNeeded, neededBox))
 		//		return;
@@ -343,6 +391,9 @@ class LayoutTiles extends Layout {
 
 		for (let level = 0; level <= neededBox.level; level++) {
 			let box = neededBox.pyramid[level];
+			let visible = visibleBox.pyramid[level];
+			let c = visible.center();
+			let radius = Math.max(1, Math.hypot(visible.width(), visible.height()) / 2);
 			let tmp = [];
 			for (let y = box.yLow; y < box.yHigh; y++) {
 				for (let x = box.xLow; x < box.xHigh; x++) {
@@ -350,14 +401,16 @@ class LayoutTiles extends Layout {
 					let tile = tiles.get(index) || this.newTile(index); //{ index, x, y, missing, tex: [], level };
 					tile.time = now;
 					tile.priority = neededBox.level - level;
+					//tiles in the border are prefetched after the visible ones, the closer to the center the sooner.
+					tile.prefetch = x < visible.xLow || x >= visible.xHigh || y < visible.yLow || y >= visible.yHigh;
+					tile.distance = Math.hypot(x + 0.5 - c.x, y + 0.5 - c.y) / radius;
 					if (tile.priority > this.cachelevels) continue;
 					if (tile.missing === null) // || tile.missing != 0 && !this.requested[index])
 						tmp.push(tile);
 				}
 			}
-			let c = box.center();
-			//sort tiles by distance to the center TODO: check it's correct!
-			tmp.sort(function (a, b) { return Math.abs(a.x - c.x) + Math.abs(a.y - c.y) - Math.abs(b.x - c.x) - Math.abs(b.y - c.y); });
+			//sort tiles by distance to the center
+			tmp.sort(function (a, b) { return a.distance - b.distance; });
 			needed = needed.concat(tmp);
 		}
 		return needed;
@@ -430,13 +483,14 @@ class LayoutTiles extends Layout {
 
 		const bbox = this.getViewportBox(viewport, transform, layerTransform);
 
+		const [tw, th] = this.getTileSize();
 		let pyramid = [];
 		for (let level = 0; level <= minlevel; level++) {
 			let ilevel = this.nlevels - 1 - level;
-			let side = this.tilesize * Math.pow(2, ilevel);
+			let scale = Math.pow(2, ilevel);
 
 			let qbox = new BoundingBox(bbox);
-			qbox.quantize(side);
+			qbox.quantize(tw * scale, th * scale);
 
 			//clamp!
 			qbox.xLow = Math.max(qbox.xLow - border, this.qbox[level].xLow);
@@ -487,6 +541,29 @@ class LayoutTiles extends Layout {
 			};
 	}
 
+	/**
+	 * Initializes XYZ/TMS template layout.
+	 * @private
+	 * @async
+	 * @throws {Error} If width or height not specified
+	 */
+	async initXYZ() {
+		if (!this.width || !this.height)
+			throw "XYZ rasters require to specify width and height";
+
+		this.overlap = 0;
+		const [tw, th] = this.getTileSize();
+		let max = Math.max(this.width / tw, this.height / th);
+		this.nlevels = Math.max(1, Math.ceil(Math.log(max) / Math.LN2) + 1);
+
+		this.getTileURL = (rasterid, tile) => {
+			let s = this.subdomains ? this.subdomains[Math.abs(tile.x + tile.y) % this.subdomains.length] : '';
+			let flipped = this.qbox[tile.level].yHigh - 1 - tile.y;
+			let vars = { s, x: tile.x, y: this.tms ? flipped : tile.y, '-y': flipped, z: tile.level + this.zoomOffset };
+			return this.urls[rasterid].replace(/{(.+?)}/g, (match, p) => p in vars ? vars[p] : match);
+		};
+	}
+
 	/**
 	 * Initializes DeepZoom layout.
 	 * @private
@@ -496,7 +573,7 @@ class LayoutTiles extends Layout {
 	 */
 	async initDeepzoom(onepixel) {
 		let url = this.urls.filter(u => u)[0];
-		var response = await fetch(url);
+		var response = await RequestPolicy.fetch(url, {}, this.requestPolicy);
 		if (!response.ok) {
 			this.status = "Failed loading " + url + ": " + response.statusText;
 			throw new Error(this.status);
@@ -537,7 +614,7 @@ class LayoutTiles extends Layout {
 	async initTarzoom() {
 		this.tarzoom = [];
 		for (let url of this.urls) {
-			var response = await fetch(url);
+			var response = await RequestPolicy.fetch(url, {}, this.requestPolicy);
 			if (!response.ok) {
 				this.status = "Failed loading " + url + ": " + response.statusText;
 				throw new Error(this.status);
@@ -564,7 +641,7 @@ class LayoutTiles extends Layout {
 	 */
 	async initITarzoom() {
 		const url = this.urls[0];
-		var response = await fetch(url);
+		var response = await RequestPolicy.fetch(url, {}, this.requestPolicy);
 		if (!response.ok) {
 			this.status = "Failed loading " + url + ": " + response.statusText;
 			throw new Error(this.status);
@@ -584,6 +661,432 @@ class LayoutTiles extends Layout {
 		};
 	}
 
+	/**
+	 * Initializes TIFF layout (tiled pyramidal TIFF, BigTIFF or COG).
+	 * Reads the IFDs of every url and maps each pyramid level to an IFD.
+	 * @private
+	 * @async
+	 * @throws {Error} If the file is not a tiled TIFF or the pyramid is not supported
+	 */
+	async initTIFF() {
+		this.tiff = [];
+		for (let url of this.urls) {
+			const levels = await this.readTIFF(url);
+			const full = levels[levels.length - 1];
+			if (this.tiff.length && (full.width != this.width || full.height != this.height))
+				throw new Error("TIFF planes must have the same size: " + url);
+			this.width = full.width;
+			this.height = full.height;
+			this.tilesize = full.tileWidth;
+			this.tileheight = full.tileHeight != full.tileWidth ? full.tileHeight : null;
+			this.nlevels = levels.length;
+			this.tiff.push({ url, levels });
+		}
+		this.overlap = 0;
+
+		this.getTileURL = (rasterid, tile) => {
+			const tiff = this.tiff[rasterid];
+			const ifd = tiff.levels[tile.level];
+			const i = tile.y * ifd.tilesAcross + tile.x;
+			const count = ifd.counts[i];
+			tile.start = ifd.offsets[i];
+			tile.end = ifd.offsets[i] + Math.max(count, 1) - 1; //http ranges are inclusive
+			tile.decode = (blob, raster, gl) => this.decodeTIFFTile(count ? blob : null, ifd, raster, gl);
+			return tiff.url;
+		};
+	}
+
+	/**
+	 * Reads the IFDs of a TIFF file using range requests.
+	 * @private
+	 * @async
+	 * @param {string} url - TIFF file URL
+	 * @returns {Promise<Object[]>} IFDs ordered by pyramid level (level 0 is the smallest)
+	 */
+	async readTIFF(url) {
+		const chunks = [];
+		//returns a DataView and the position of offset in it, fetching the bytes if needed.
+		const read = async (offset, length) => {
+			let chunk = chunks.find(c => c.start <= offset && offset + length <= c.start + c.view.byteLength);
+			if (!chunk) {
+				const size = Math.max(length, this.tiffChunkSize);
+				const response = await RequestPolicy.fetch(url, { headers: { range: `bytes=${offset}-${offset + size - 1}` } }, this.requestPolicy);
+				if (!response.ok) {
+					this.status = "Failed loading " + url + ": " + response.statusText;
+					throw new Error(this.status);
+				}
+				let buffer = await response.arrayBuffer();
+				if (response.status != 206) //whole file returned
+					buffer = buffer.slice(offset, offset + size);
+				chunk = { start: offset, view: new DataView(buffer) };
+				if (chunk.view.byteLength < length)
+					throw new Error("Truncated TIFF file: " + url);
+				chunks.push(chunk);
+			}
+			return [chunk.view, offset - chunk.start];
+		};
+
+		let [view, pos] = await read(0, 16);
+		const order = view.getUint16(pos);
+		if (order != 0x4949 && order != 0x4d4d)
+			throw new Error("Not a TIFF file: " + url);
+		const le = order == 0x4949;
+		const version = view.getUint16(pos + 2, le);
+		if (version != 42 && version != 43)
+			throw new Error("Not a TIFF file: " + url);
+		const big = version == 43;
+		const u64 = (v, p) => Number(v.getBigUint64(p, le));
+		const offsetAt = big ? u64 : (v, p) => v.getUint32(p, le);
+
+		const sizes = { 1: 1, 2: 1, 3: 2, 4: 4, 6: 1, 7: 1, 8: 2, 9: 4, 16: 8, 17: 8, 18: 8 };
+		const getters = {
+			1: (v, p) => v.getUint8(p), 2: (v, p) => v.getUint8(p), 3: (v, p) => v.getUint16(p, le), 4: (v, p) => v.getUint32(p, le),
+			6: (v, p) => v.getInt8(p), 7: (v, p) => v.getUint8(p), 8: (v, p) => v.getInt16(p, le), 9: (v, p) => v.getInt32(p, le),
+			16: u64, 17: (v, p) => Number(v.getBigInt64(p, le)), 18: u64
+		};
+
+		const readIFD = async (offset) => {
+			let [view, pos] = await read(offset, big ? 8 : 2);
+			const count = big ? u64(view, pos) : view.getUint16(pos, le);
+			const entrySize = big ? 20 : 12;
+			const start = offset + (big ? 8 : 2);
+			[view, pos] = await read(start, count * entrySize + (big ? 8 : 4));
+
+			const tags = {};
+			for (let i = 0; i < count; i++) {
+				const p = pos + i * entrySize;
+				const tag = view.getUint16(p, le);
+				const type = view.getUint16(p + 2, le);
+				const n = big ? u64(view, p + 4) : view.getUint32(p + 4, le);
+				if (!(type in sizes)) //rationals, floats and doubles are not needed
+					continue;
+				const length = n * sizes[type];
+				const inline = length <= (big ? 8 : 4);
+				const valuePos = p + (big ? 12 : 8);
+				tags[tag] = { type, n, pos: inline ? null : offsetAt(view, valuePos), view: inline ? view : null, valuePos };
+			}
+			const next = offsetAt(view, pos + count * entrySize);
+
+			const values = async (tag) => {
+				const t = tags[tag];
+				if (!t)
+					return null;
+				let [v, p] = t.view ? [t.view, t.valuePos] : await read(t.pos, t.n * sizes[t.type]);
+				if (t.type == 7)
+					return new Uint8Array(v.buffer, v.byteOffset + p, t.n).slice();
+				const get = getters[t.type];
+				const out = new Array(t.n);
+				for (let i = 0; i < t.n; i++)
+					out[i] = get(v, p + i * sizes[t.type]);
+				return out;
+			};
+			const value = async (tag, def) => { const v = await values(tag); return v ? v[0] : def; };
+
+			const ifd = {
+				subfile: await value(254, 0),
+				width: await value(256),
+				height: await value(257),
+				tileWidth: await value(322),
+				tileHeight: await value(323),
+				bits: await value(258, 1),
+				compression: await value(259, 1),
+				photometric: await value(262, 1),
+				samples: await value(277, 1),
+				planar: await value(284, 1),
+				predictor: await value(317, 1),
+				subIFDs: await values(330) || [],
+				next: next
+			};
+			if (ifd.tileWidth && !(ifd.subfile & 4)) { //skip transparency masks
+				ifd.offsets = await values(324);
+				ifd.counts = await values(325);
+				ifd.jpegTables = await values(347);
+				ifd.tilesAcross = Math.ceil(ifd.width / ifd.tileWidth);
+			}
+			return ifd;
+		};
+
+		//malformed files could link the IFDs in a loop.
+		const visited = new Set();
+		const maxIFDs = 1024;
+		const readNewIFD = async (offset) => {
+			if (visited.has(offset))
+				throw new Error("Invalid TIFF file, the IFDs are linked in a loop: " + url);
+			if (visited.size >= maxIFDs)
+				throw new Error(`Invalid TIFF file, more than ${maxIFDs} IFDs: ` + url);
+			visited.add(offset);
+			return await readIFD(offset);
+		};
+
+		let ifds = [];
+		let offset = offsetAt(view, pos + (big ? 8 : 4));
+		while (offset) {
+			const ifd = await readNewIFD(offset);
+			ifds.push(ifd);
+			for (let sub of ifd.subIFDs)
+				ifds.push(await readNewIFD(sub));
+			offset = ifd.next;
+		}
+
+		//the full resolution is the largest tiled image which is not a reduced one (e.g. files may start with a stripped thumbnail).
+		ifds = ifds.filter(ifd => ifd.offsets).sort((a, b) => b.width - a.width);
+		const full = ifds.find(ifd => !(ifd.subfile & 1));
+		if (!full)
+			throw new Error("Only tiled TIFF files are supported: " + url);
+
+		//each level must be half the size of the previous one.
+		const levels = [full];
+		for (let ifd of ifds) {
+			const prev = levels[levels.length - 1];
+			if (ifd.tileWidth != full.tileWidth || ifd.tileHeight != full.tileHeight)
+				continue;
+			if (Math.abs(ifd.width - prev.width / 2) <= 1 && Math.abs(ifd.height - prev.height / 2) <= 1)
+				levels.push(ifd);
+		}
+		if (levels.length == 1 && Math.max(full.width, full.height) > 4 * full.tileWidth)
+			console.warn("TIFF without reduced resolution levels, all tiles will be loaded when zooming out: " + url);
+
+		for (let ifd of levels) {
+			if (ifd.bits != 8 || ifd.planar != 1)
+				throw new Error("Only 8 bits per sample, chunky TIFF files are supported: " + url);
+			if (![1, 7, 8, 32946, 50001].includes(ifd.compression))
+				throw new Error("Unsupported TIFF compression " + ifd.compression + ": " + url);
+		}
+		return levels.reverse();
+	}
+
+	/**
+	 * Decodes a TIFF tile into an image which can be uploaded as a texture.
+	 * JPEG and WebP tiles are decoded by the browser, deflate and uncompressed tiles are expanded to RGBA.
+	 * @private
+	 * @async
+	 * @param {Blob|null} blob - Tile data, null for sparse (empty) tiles
+	 * @param {Object} ifd - IFD of the tile level
+	 * @param {Raster} raster - Raster loading the tile
+	 * @param {WebGL2RenderingContext} gl - The WebGL rendering context
+	 * @returns {Promise<ImageBitmap|HTMLImageElement>} Decoded tile
+	 */
+	async decodeTIFFTile(blob, ifd, raster, gl) {
+		const w = ifd.tileWidth, h = ifd.tileHeight;
+		if (!blob)
+			return await createImageBitmap(new ImageData(w, h));
+
+		switch (ifd.compression) {
+			case 7: //jpeg, tables are shared and stripped from the tiles: merge them back (skipping EOI and SOI).
+				if (ifd.jpegTables)
+					blob = new Blob([ifd.jpegTables.subarray(0, ifd.jpegTables.length - 2), blob.slice(2)], { type: 'image/jpeg' });
+				return await raster.blobToImage(blob, gl);
+			case 50001: //webp
+				return await raster.blobToImage(blob, gl);
+		}
+
+		if (ifd.compression != 1)
+			blob = await new Response(blob.stream().pipeThrough(new DecompressionStream('deflate'))).blob();
+		const data = new Uint8Array(await blob.arrayBuffer());
+		const n = ifd.samples;
+		if (ifd.predictor == 2) { //horizontal differencing
+			for (let y = 0; y < h; y++) {
+				const row = y * w * n;
+				for (let i = n; i < w * n; i++)
+					data[row + i] += data[row + i - n];
+			}
+		}
+
+		const rgba = new Uint8ClampedArray(w * h * 4);
+		for (let i = 0, j = 0; i < w * h; i++, j += n) {
+			if (n < 3) {
+				const v = ifd.photometric == 0 ? 255 - data[j] : data[j];
+				rgba[i * 4] = rgba[i * 4 + 1] = rgba[i * 4 + 2] = v;
+				rgba[i * 4 + 3] = n == 2 ? data[j + 1] : 255;
+			} else {
+				rgba[i * 4] = data[j];
+				rgba[i * 4 + 1] = data[j + 1];
+				rgba[i * 4 + 2] = data[j + 2];
+				rgba[i * 4 + 3] = n > 3 ? data[j + 3] : 255;
+			}
+		}
+		return await createImageBitmap(new ImageData(rgba, w, h));
+	}
+
+	/**
+	 * Initializes ZIP layout: a deepzoom (.dzi) or google (level/y/x) pyramid stored in a ZIP archive.
+	 * The central directory is read once, tiles are then fetched with range requests.
+	 * @private
+	 * @async
+	 * @throws {Error} If the archive cannot be read or does not contain a supported pyramid
+	 */
+	async initZip() {
+		this.zip = [];
+		for (let url of this.urls)
+			this.zip.push({ url, entries: await this.readZipDirectory(url) });
+
+		const entries = this.zip[0].entries;
+		const names = [...entries.keys()];
+		const dzi = names.find(name => name.endsWith('.dzi'));
+		if (dzi) {
+			let text = await (await this.readZipEntry(this.zip[0], dzi)).text();
+			let doc = (new window.DOMParser()).parseFromString(text, "text/xml").documentElement;
+			this.suffix = doc.getAttribute('Format');
+			this.tilesize = parseInt(doc.getAttribute('TileSize'));
+			this.overlap = parseInt(doc.getAttribute('Overlap'));
+			let size = doc.querySelector('Size');
+			this.width = parseInt(size.getAttribute('Width'));
+			this.height = parseInt(size.getAttribute('Height'));
+			this.prefix = dzi.slice(0, dzi.lastIndexOf(".")) + '_files/';
+			this.pyramid = 'deepzoom';
+
+			//standard deepzoom pyramids start from a 1px level.
+			let max = Math.max(this.width, this.height) / this.tilesize;
+			this.nlevels = Math.ceil(Math.log(max) / Math.LN2) + 1;
+			let top = Math.ceil(Math.log(Math.max(this.width, this.height)) / Math.LN2);
+			this.skiplevels = entries.has(`${this.prefix}${top}/0_0.${this.suffix}`) ? top - (this.nlevels - 1) : 0;
+			this.tileName = (tile) => `${this.prefix}${tile.level + this.skiplevels}/${tile.x}_${tile.y}.${this.suffix}`;
+
+		} else {
+			let match = names.map(name => name.match(/^(.*?)(\d+)\/(\d+)\/(\d+)\.(\w+)$/)).find(m => m);
+			if (!match)
+				throw new Error("No deepzoom or google pyramid found in " + this.urls[0]);
+			if (!this.width || !this.height)
+				throw "Google pyramids in ZIP archives require to specify width and height";
+			this.prefix = match[1];
+			this.suffix = match[5];
+			this.pyramid = 'google';
+			this.tilesize = 256;
+			this.overlap = 0;
+			let max = Math.max(this.width, this.height) / this.tilesize;
+			this.nlevels = Math.ceil(Math.log(max) / Math.LN2) + 1;
+			this.tileName = (tile) => `${this.prefix}${tile.level}/${tile.y}/${tile.x}.${this.suffix}`;
+		}
+
+		this.getTileURL = (rasterid, tile) => {
+			const zip = this.zip[rasterid];
+			const name = this.tileName(tile);
+			const entry = zip.entries.get(name);
+			if (!entry)
+				throw new Error(`Missing ${name} in ${zip.url}`);
+			//the local header extra field may differ from the central directory one: fetch some more bytes.
+			tile.start = entry.offset;
+			tile.end = entry.offset + 30 + name.length + entry.extra + 256 + entry.size - 1;
+			tile.decode = async (blob, raster, gl) => raster.blobToImage(await this.unzipEntry(blob, entry), gl);
+			return zip.url;
+		};
+	}
+
+	/**
+	 * Reads the central directory of a ZIP archive (ZIP64 included).
+	 * @private
+	 * @async
+	 * @param {string} url - ZIP archive URL
+	 * @returns {Promise<Map<string, Object>>} Entries by name: { offset, size, method, extra }
+	 */
+	async readZipDirectory(url) {
+		const fetchRange = async (range) => {
+			const response = await RequestPolicy.fetch(url, { headers: { range: `bytes=${range}` } }, this.requestPolicy);
+			if (!response.ok) {
+				this.status = "Failed loading " + url + ": " + response.statusText;
+				throw new Error(this.status);
+			}
+			if (response.status != 206)
+				throw new Error("The server doesn't support partial content requests (206).");
+			return new DataView(await response.arrayBuffer());
+		};
+
+		//end of central directory record is in the last 22 bytes + comment (max 64KB).
+		let tail = await fetchRange('-65557');
+		let eocd = tail.byteLength - 22;
+		while (eocd >= 0 && tail.getUint32(eocd, true) != 0x06054b50)
+			eocd--;
+		if (eocd < 0)
+			throw new Error("Not a ZIP archive: " + url);
+
+		let count = tail.getUint16(eocd + 10, true);
+		let size = tail.getUint32(eocd + 12, true);
+		let offset = tail.getUint32(eocd + 16, true);
+		if (offset == 0xffffffff || size == 0xffffffff || count == 0xffff) { //zip64
+			if (eocd < 20 || tail.getUint32(eocd - 20, true) != 0x07064b50)
+				throw new Error("Invalid ZIP64 archive: " + url);
+			let start = Number(tail.getBigUint64(eocd - 12, true));
+			let eocd64 = await fetchRange(`${start}-${start + 55}`);
+			count = Number(eocd64.getBigUint64(32, true));
+			size = Number(eocd64.getBigUint64(40, true));
+			offset = Number(eocd64.getBigUint64(48, true));
+		}
+
+		const directory = await fetchRange(`${offset}-${offset + size - 1}`);
+		const decoder = new TextDecoder();
+		const entries = new Map();
+		let pos = 0;
+		for (let i = 0; i < count; i++) {
+			if (directory.getUint32(pos, true) != 0x02014b50)
+				throw new Error("Invalid ZIP central directory: " + url);
+			const method = directory.getUint16(pos + 10, true);
+			let size = directory.getUint32(pos + 20, true);
+			const nameLength = directory.getUint16(pos + 28, true);
+			const extraLength = directory.getUint16(pos + 30, true);
+			const commentLength = directory.getUint16(pos + 32, true);
+			let offset = directory.getUint32(pos + 42, true);
+			const name = decoder.decode(new Uint8Array(directory.buffer, pos + 46, nameLength));
+
+			//zip64 extra field holds the 64 bit values set to 0xffffffff.
+			let extra = pos + 46 + nameLength;
+			const extraEnd = extra + extraLength;
+			while (extra + 4 <= extraEnd) {
+				const id = directory.getUint16(extra, true);
+				const length = directory.getUint16(extra + 2, true);
+				if (id == 0x0001) {
+					let p = extra + 4;
+					if (directory.getUint32(pos + 24, true) == 0xffffffff) p += 8; //uncompressed size
+					if (size == 0xffffffff) { size = Number(directory.getBigUint64(p, true)); p += 8; }
+					if (offset == 0xffffffff) offset = Number(directory.getBigUint64(p, true));
+				}
+				extra += 4 + length;
+			}
+			if (method == 0 || method == 8)
+				entries.set(name, { offset, size, method, extra: extraLength });
+			pos = extraEnd + commentLength;
+		}
+		return entries;
+	}
+
+	/**
+	 * Fetches and extracts a single entry of a ZIP archive.
+	 * @private
+	 * @async
+	 * @param {Object} zip - Archive { url, entries }
+	 * @param {string} name - Entry name
+	 * @returns {Promise<Blob>} Entry content
+	 */
+	async readZipEntry(zip, name) {
+		const entry = zip.entries.get(name);
+		const end = entry.offset + 30 + name.length + entry.extra + 256 + entry.size - 1;
+		const response = await RequestPolicy.fetch(zip.url, { headers: { range: `bytes=${entry.offset}-${end}` } }, this.requestPolicy);
+		if (!response.ok) {
+			this.status = "Failed loading " + zip.url + ": " + response.statusText;
+			throw new Error(this.status);
+		}
+		return await this.unzipEntry(await response.blob(), entry);
+	}
+
+	/**
+	 * Extracts the data of an entry from the bytes starting at its local header.
+	 * @private
+	 * @async
+	 * @param {Blob} blob - Bytes starting at the local file header
+	 * @param {Object} entry - Central directory entry
+	 * @returns {Promise<Blob>} Entry content
+	 * @throws {Error} If the local header is invalid
+	 */
+	async unzipEntry(blob, entry) {
+		const header = new DataView(await blob.slice(0, 30).arrayBuffer());
+		if (header.getUint32(0, true) != 0x04034b50)
+			throw new Error("Invalid ZIP local header");
+		const start = 30 + header.getUint16(26, true) + header.getUint16(28, true);
+		let data = blob.slice(start, start + entry.size);
+		if (entry.method == 8)
+			data = await new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+		return data;
+	}
+
 	/**
 	 * Initializes Zoomify layout.
 	 * @private
@@ -593,7 +1096,7 @@ class LayoutTiles extends Layout {
 	async initZoomify() {
 		const url = this.urls[0];
 		this.overlap = 0;
-		var response = await fetch(url);
+		var response = await RequestPolicy.fetch(url, {}, this.requestPolicy);
 		if (!response.ok) {
 			this.status = "Failed loading " + url + ": " + response.statusText;
 			throw new Error(this.status);
@@ -618,50 +1121,163 @@ class LayoutTiles extends Layout {
 	}
 
 	/**
-	 * Initializes IIIF layout.
+	 * Initializes IIIF layout (Image API 2.x and 3.0).
+	 * Every url is the info.json of an image (one per raster), the first one defines the pyramid.
 	 * @private
 	 * @async
 	 * @throws {Error} If unable to fetch or parse info.json
 	 */
 	async initIIIF() {
-		const url = this.urls[0];
 		this.overlap = 0;
+		//the info.json of all the planes are requested together.
+		this.iiif = await Promise.all(this.urls.map(async (url) => {
+			if (!url)
+				return null;
+			if (!url.endsWith('info.json'))
+				url = url.replace(/\/$/, '') + '/info.json';
+
+			var response = await RequestPolicy.fetch(url, {}, this.requestPolicy);
+			if (!response.ok) {
+				this.status = "Failed loading " + url + ": " + response.statusText;
+				throw new Error(this.status);
+			}
+			let info = await response.json();
+			return this.parseIIIFInfo(info, url);
+		}));
+
+		const info = this.iiif.find(i => i);
+		if (!info)
+			throw new Error("Missing IIIF info.json url");
 
-		var response = await fetch(url);
-		if (!response.ok) {
-			this.status = "Failed loading " + url + ": " + response.statusText;
-			throw new Error(this.status);
-		}
-		let info = await response.json();
 		this.width = info.width;
 		this.height = info.height;
-		this.nlevels = info.tiles[0].scaleFactors.length;
-		this.tilesize = info.tiles[0].width;
+		this.tilesize = info.tileWidth;
+		this.tileheight = info.tileHeight;
+		this.nlevels = LayoutTiles.iiifLevels(info);
 
 		this.getTileURL = (rasterid, tile) => {
-			const tileUrl = this.urls[rasterid].slice(0, url.lastIndexOf("/"));
-			let tw = this.tilesize;
-			let ilevel = parseInt(this.nlevels - 1 - tile.level);
-			let s = Math.pow(2, tile.level);
-
-			//region parameters
-			let xr = tile.x * tw * s;
-			let yr = tile.y * tw * s;
-			let wr = Math.min(tw * s, this.width - xr)
-			let hr = Math.min(tw * s, this.height - yr);
-
-			// pixel size parameters /ws,hs/
-			let ws = tw
-			if (xr + tw * s > this.width)
-				ws = (this.width - xr + s - 1) / s
-			let hs = tw
-			if (yr + tw * s > this.height)
-				hs = (this.height - yr + s - 1) / s
-
-			return `${tileUrl}/${xr},${yr},${wr},${hr}/${ws},${hs}/0/default.jpg`;
+			return this.iiifTileURL(this.iiif[rasterid], tile);
 		};
 	}
 
+	/**
+	 * Extracts from a IIIF info.json (v2 or v3) the parameters needed to request tiles.
+	 * @private
+	 * @param {Object} info - Parsed info.json
+	 * @param {string} url - URL of the info.json
+	 * @returns {Object} Image id, version, size, tiling, sizes, format and quality to use in requests
+	 */
+	parseIIIFInfo(info, url) {
+		const context = [].concat(info['@context'] || []);
+		const version = context.some(c => typeof (c) == 'string' && c.includes('/image/3')) ? 3 : 2;
+		const id = (info.id || info['@id'] || url.slice(0, url.lastIndexOf('/'))).replace(/\/$/, '');
+
+		//v2 lists features in the profile array, v3 at top level.
+		const profiles = [].concat(info.profile || []).filter(p => typeof (p) == 'object');
+		const feature = (name) => info[name] !== undefined ? info[name] : profiles.map(p => p[name]).find(v => v !== undefined);
+
+		if (!info.width || !info.height)
+			throw new Error("IIIF info.json is missing width or height: " + url);
+
+		const tiles = info.tiles && info.tiles[0];
+		let tileWidth = tiles ? tiles.width : this.tilesize;
+		let tileHeight = tiles ? (tiles.height || tiles.width) : tileWidth;
+		const scaleFactors = tiles && tiles.scaleFactors ? tiles.scaleFactors : [1];
+
+		//tiles must fit the size limits of the server: they are halved, so that they still align with the server grid
+		//(level 0 servers can only serve the regions of their tiles).
+		const maxWidth = feature('maxWidth');
+		const maxHeight = feature('maxHeight') || maxWidth;
+		const maxArea = feature('maxArea');
+		while (tileWidth > 1 && ((maxWidth && tileWidth > maxWidth) || (maxArea && tileWidth * tileHeight > maxArea && tileWidth >= tileHeight)))
+			tileWidth /= 2;
+		while (tileHeight > 1 && ((maxHeight && tileHeight > maxHeight) || (maxArea && tileWidth * tileHeight > maxArea)))
+			tileHeight /= 2;
+		tileWidth = Math.ceil(tileWidth);
+		tileHeight = Math.ceil(tileHeight);
+
+		const sizes = (info.sizes || []).filter(s =>
+			(!maxWidth || s.width <= maxWidth) && (!maxHeight || s.height <= maxHeight) && (!maxArea || s.width * s.height <= maxArea));
+
+		//jpg and default are always available.
+		const formats = ['jpg', ...[].concat(feature('formats') || []), ...(info.extraFormats || [])];
+		const qualities = ['default', ...[].concat(feature('qualities') || []), ...(info.extraQualities || [])];
+
+		let format = this.suffix;
+		if (!formats.includes(format)) {
+			const decodable = ['jpg', 'png', 'webp', 'gif'];
+			format = (info.preferredFormats || []).find(f => formats.includes(f) && decodable.includes(f)) || 'jpg';
+			console.warn(`IIIF format '${this.suffix}' not supported by ${id}, using '${format}'`);
+		}
+		let quality = this.quality;
+		if (!qualities.includes(quality)) {
+			console.warn(`IIIF quality '${quality}' not supported by ${id}, using 'default'`);
+			quality = 'default';
+		}
+
+		return { id, version, width: info.width, height: info.height, tileWidth, tileHeight, scaleFactors, sizes, format, quality };
+	}
+
+	/**
+	 * Computes the number of levels of a IIIF pyramid. Only the scale factors advertised by the server can be
+	 * requested as tiles (the powers of two from 1, as the levels are halved each time); coarser levels are added
+	 * only if the whole image fits a single tile of one of the advertised sizes.
+	 * @private
+	 * @param {Object} info - IIIF parameters as returned by parseIIIFInfo
+	 * @returns {number} Number of levels
+	 */
+	static iiifLevels(info) {
+		let levels = 1;
+		while (info.scaleFactors.includes(1 << levels))
+			levels++;
+		const single = (s) => Math.ceil(info.width / s) <= info.tileWidth && Math.ceil(info.height / s) <= info.tileHeight;
+		while (levels < 31 && !single(1 << (levels - 1))) {
+			const s = 1 << levels;
+			const w = Math.ceil(info.width / s);
+			const h = Math.ceil(info.height / s);
+			if (!single(s) || !info.sizes.some(sz => Math.abs(sz.width - w) <= 1 && Math.abs(sz.height - h) <= 1))
+				break;
+			levels++;
+		}
+		return levels;
+	}
+
+	/**
+	 * Builds the IIIF request for a tile.
+	 * @private
+	 * @param {Object} info - IIIF parameters as returned by parseIIIFInfo
+	 * @param {TileObj} tile - The tile
+	 * @returns {string} Tile URL
+	 */
+	iiifTileURL(info, tile) {
+		const [tw, th] = this.getTileSize();
+		const s = 1 << (this.nlevels - 1 - tile.level);
+
+		//region parameters
+		const xr = tile.x * tw * s;
+		const yr = tile.y * th * s;
+		const wr = Math.min(tw * s, this.width - xr);
+		const hr = Math.min(th * s, this.height - yr);
+
+		// pixel size parameters /ws,hs/
+		let ws = Math.ceil(wr / s);
+		let hs = Math.ceil(hr / s);
+
+		let region = `${xr},${yr},${wr},${hr}`;
+		if (xr == 0 && yr == 0 && wr == this.width && hr == this.height) {
+			region = 'full';
+			//prefer the sizes the server advertises (level 0 servers can only serve those).
+			const size = info.sizes.find(sz => Math.abs(sz.width - ws) <= 1 && Math.abs(sz.height - hs) <= 1);
+			if (size) {
+				ws = size.width;
+				hs = size.height;
+			}
+		}
+		//'w,' is the canonical (and level 1) form in v2, 'w,h' in v3.
+		const size = info.version == 3 ? `${ws},${hs}` : `${ws},`;
+		return `${info.id}/${region}/${size}/0/${info.quality}.${info.format}`;
+	}
+
 	/**
 	 * Initializes IIP layout.
 	 * @private
@@ -673,7 +1289,7 @@ class LayoutTiles extends Layout {
 		const server = this.server ? (this.server + '?FIF=') : '';
 		const url = server + this.urls[0] + "&obj=Max-size&obj=Tile-size&obj=Resolution-number";
 
-		let response = await fetch(url);
+		let response = await RequestPolicy.fetch(url, {}, this.requestPolicy);
 		if (!response.ok) {
 			this.status = "Failed loading " + url + ": " + response.statusText;
 			throw new Error(this.status);
@@ -737,7 +1353,7 @@ const factory = (url, type, options) => {
 };
 
 // Register supported layout types
-for (let type of ['google', 'deepzoom1px', 'deepzoom', 'zoomify', 'iiif', 'iip', 'tarzoom', 'itarzoom'])
+for (let type of ['google', 'deepzoom1px', 'deepzoom', 'zoomify', 'iiif', 'iip', 'tarzoom', 'itarzoom', 'tiff', 'xyz', 'zip'])
 	Layout.prototype.types[type] = factory;
 
 export { LayoutTiles }
@@ -0,0 +1,242 @@
+import { Layer } from './Layer.js'
+import { RequestPolicy } from './RequestPolicy.js'
+
+/**
+ * LocalFiles serves files from the user disk (dropped or picked with a file input) to OpenLIME layers, without a server.
+ *
+ * Files are addressed with virtual urls ('local-files/<id>/<path>'), so that layouts can derive the urls
+ * of tiles and planes from the url of the descriptor as usual. Descriptors (.dzi, .tzi, info.json, annotations)
+ * are fetched through blob urls created by the layer {@link RequestPolicy}, tiles are given to the layer
+ * through its `tileProvider` (tarzoom byte ranges are sliced from the .tzb file).
+ *
+ * Recognized datasets:
+ * - images (jpg, png, webp, gif, avif, bmp)
+ * - deepzoom: a .dzi file and its _files folder
+ * - tarzoom: a .tzi file and its .tzb
+ * - RTI: an info.json with its planes (plane_0.jpg, plane_0.dzi or plane_0.tzi, ...)
+ * - annotations: any other .json file, shown in a 'svg_annotations' layer
+ *
+ * Folders can be dropped where the browser supports directory handles (or the older directory entries),
+ * or picked with `<input type="file" webkitdirectory>`.
+ *
+ * @example
+ * ```javascript
+ * viewer.containerElement.addEventListener('dragover', (e) => e.preventDefault());
+ * viewer.containerElement.addEventListener('drop', async (e) => {
+ *   e.preventDefault();
+ *   const layers = await viewer.openFiles(e.dataTransfer);
+ * });
+ * ```
+ */
+class LocalFiles {
+	/**
+	 * Creates an empty set of files, use {@link LocalFiles.from} instead.
+	 */
+	constructor() {
+		this.files = new Map(); //path -> File
+		this.blobUrls = new Map(); //path -> object url
+		this.prefix = `local-files/${LocalFiles.count++}/`;
+		this.requestPolicy = new RequestPolicy({ rewriteUrl: (url) => this.blobUrl(url) });
+		this.tileProvider = (tile) => this.tileData(tile);
+	}
+
+	/**
+	 * Collects the files of a drop event, a file input or an array of files.
+	 * Must be called in the drop event handler: the items of a DataTransfer are not available afterwards.
+	 * @param {DataTransfer|FileList|File[]} source - Dropped data or files
+	 * @returns {Promise<LocalFiles>} The files, with their paths relative to the dropped folders
+	 */
+	static async from(source) {
+		const local = new LocalFiles();
+		if (source.items) {
+			//read all the handles synchronously, the items are cleared at the first await.
+			const handles = [...source.items].filter(item => item.kind == 'file').map(item =>
+				item.getAsFileSystemHandle?.() || item.webkitGetAsEntry?.() || item.getAsFile());
+			for (const handle of handles)
+				await local.addHandle(await handle, '');
+		} else {
+			for (const file of source)
+				local.add(file.webkitRelativePath || file.name, file);
+		}
+		return local;
+	}
+
+	/**
+	 * Adds a file.
+	 * @param {string} path - Path relative to the dropped folders
+	 * @param {File|Blob} file - The file
+	 */
+	add(path, file) {
+		this.files.set(path, file);
+	}
+
+	/**
+	 * Adds a file or recursively the content of a folder.
+	 * @private
+	 * @param {FileSystemHandle|FileSystemEntry|File|null} handle - Directory handle, directory entry or file
+	 * @param {string} path - Path of the parent folder
+	 */
+	async addHandle(handle, path) {
+		if (!handle)
+			return;
+		if (handle instanceof Blob) {
+			this.add(path + handle.name, handle);
+
+		} else if (handle.kind == 'file') {
+			this.add(path + handle.name, await handle.getFile());
+
+		} else if (handle.kind == 'directory') {
+			for await (const child of handle.values())
+				await this.addHandle(child, path + handle.name + '/');
+
+		} else if (handle.isFile) {
+			this.add(path + handle.name, await new Promise((resolve, reject) => handle.file(resolve, reject)));
+
+		} else if (handle.isDirectory) {
+			const reader = handle.createReader();
+			let entries;
+			do { //readEntries returns the entries in chunks.
+				entries = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+				for (const entry of entries)
+					await this.addHandle(entry, path + handle.name + '/');
+			} while (entries.length);
+		}
+	}
+
+	/**
+	 * Gets the virtual url of a file.
+	 * @param {string} path - File path
+	 * @returns {string} Url to be given to layers and layouts
+	 */
+	url(path) {
+		return this.prefix + path;
+	}
+
+	/**
+	 * Gets the file of a virtual url.
+	 * @param {string} url - Virtual url
+	 * @returns {File|null} The file, null if the url is not a local one or the file is missing
+	 */
+	file(url) {
+		if (!url?.startsWith(this.prefix))
+			return null;
+		return this.files.get(url.substring(this.prefix.length)) || null;
+	}
+
+	/**
+	 * Maps a virtual url to a blob url (other urls are not changed), used by the request policy.
+	 * @private
+	 * @param {string} url - Requested url
+	 * @returns {string} Url to fetch
+	 * @throws {Error} If the file was not dropped
+	 */
+	blobUrl(url) {
+		if (!url.startsWith(this.prefix))
+			return url;
+		const file = this.file(url);
+		if (!file)
+			throw Object.assign(new Error(`Missing local file: ${url.substring(this.prefix.length)}`), { url, status: 404 });
+		if (!this.blobUrls.has(url))
+			this.blobUrls.set(url, URL.createObjectURL(file));
+		return this.blobUrls.get(url);
+	}
+
+	/**
+	 * Gets the data of a tile, used as layer tileProvider.
+	 * @private
+	 * @param {Object} tile - The tile, with url (and start and end for tarzoom) set by the layout
+	 * @returns {Blob|null} The tile data
+	 */
+	tileData(tile) {
+		const file = this.file(tile.url);
+		if (!file)
+			return null;
+		return tile.end ? file.slice(tile.start, tile.end) : file;
+	}
+
+	/**
+	 * Recognizes the datasets among the files.
+	 * @returns {Object.<string, Object>} Layer options by name (the file or folder name)
+	 */
+	datasets() {
+		const paths = [...this.files.keys()].sort();
+		const used = new Set();
+		const datasets = {};
+		const add = (name, options) => {
+			let id = name;
+			for (let i = 2; id in datasets; i++)
+				id = `${name} (${i})`;
+			datasets[id] = Object.assign({ requestPolicy: this.requestPolicy, tileProvider: this.tileProvider, label: id }, options);
+		};
+		const folder = (path) => path.substring(0, path.lastIndexOf('/') + 1);
+		const name = (path) => path.substring(path.lastIndexOf('/') + 1);
+		const stem = (path) => path.substring(0, path.lastIndexOf('.'));
+
+		//RTI: info.json and planes.
+		for (const path of paths.filter(p => name(p) == 'info.json')) {
+			const dir = folder(path);
+			const layout = [['image', 'plane_0.jpg'], ['deepzoom', 'plane_0.dzi'], ['tarzoom', 'plane_0.tzi']]
+				.find(([, plane]) => this.files.has(dir + plane))?.[0];
+			if (!layout)
+				continue;
+			used.add(path);
+			for (const p of paths)
+				if (p.startsWith(dir + 'plane_'))
+					used.add(p);
+			add(name(dir.slice(0, -1)) || 'rti', { type: 'rti', layout, url: this.url(path) });
+		}
+
+		for (const path of paths.filter(p => !used.has(p))) {
+			if (path.endsWith('.dzi')) {
+				for (const p of paths)
+					if (p.startsWith(stem(path) + '_files/'))
+						used.add(p);
+				add(name(stem(path)), { type: 'image', layout: 'deepzoom', url: this.url(path) });
+
+			} else if (path.endsWith('.tzi')) {
+				used.add(stem(path) + '.tzb');
+				add(name(stem(path)), { type: 'image', layout: 'tarzoom', url: this.url(path) });
+
+			} else
+				continue;
+			used.add(path);
+		}
+
+		for (const path of paths.filter(p => !used.has(p))) {
+			if (/\.(jpe?g|png|webp|gif|avif|bmp)$/i.test(path))
+				add(name(path), { type: 'image', layout: 'image', url: this.url(path) });
+
+			else if (/\.json$/i.test(path) && Layer.prototype.types['svg_annotations'])
+				add(name(stem(path)), { type: 'svg_annotations', annotations: this.url(path), tileProvider: null });
+		}
+		return datasets;
+	}
+
+	/**
+	 * Creates the layers of the recognized datasets.
+	 * Each layer keeps the files in `localFiles`: the blob urls are released when the last one is removed from its canvas.
+	 * @returns {Object.<string, Layer>} Layers by name
+	 */
+	createLayers() {
+		const layers = {};
+		for (const [id, options] of Object.entries(this.datasets())) {
+			layers[id] = new Layer(options);
+			layers[id].localFiles = this;
+		}
+		return layers;
+	}
+
+	/**
+	 * Releases the blob urls (they are created again if the files are requested afterwards).
+	 */
+	close() {
+		for (const url of this.blobUrls.values())
+			URL.revokeObjectURL(url);
+		this.blobUrls.clear();
+	}
+}
+
+/** Counter for the virtual url prefixes. @private */
+LocalFiles.count = 0;
+
+export { LocalFiles }
@@ -0,0 +1,219 @@
+import { Transform } from './Transform.js'
+
+/**
+ * Minimap shows a thumbnail of a layer in a corner of the viewer, with the area currently seen
+ * (rotated with the camera), so that users do not get lost when zoomed into large images.
+ * Clicking or dragging on the thumbnail moves the camera there.
+ *
+ * The thumbnail is rendered once the layer is ready, with its shader and controls (e.g. the light of an RTI),
+ * from the top levels of its pyramid: call {@link Minimap#refresh} to render it again.
+ *
+ * @example
+ * ```javascript
+ * const minimap = new OpenLIME.Minimap(viewer, { layer: 'scan', size: 240 });
+ * ```
+ */
+class Minimap {
+	/**
+	 * Creates the minimap in the viewer container.
+	 * @param {Viewer} viewer - The OpenLIME viewer instance
+	 * @param {Object} [options] - Configuration options
+	 * @param {string|Layer} [options.layer] - Layer (or its id) shown in the thumbnail (default: the first layer)
+	 * @param {number} [options.size=200] - Size in CSS pixels of the longer side of the thumbnail
+	 * @param {string} [options.corner='top-left'] - 'top-left', 'top-right', 'bottom-left' or 'bottom-right'
+	 * @param {number} [options.margin=10] - Distance from the borders of the viewer in CSS pixels
+	 * @param {number} [options.dt=250] - Duration of the camera animation when clicking, in milliseconds
+	 * @param {string} [options.color='#f00'] - Color of the view rectangle
+	 */
+	constructor(viewer, options) {
+		Object.assign(this, {
+			viewer: viewer,
+			camera: viewer.camera,
+			canvas: viewer.canvas,
+			layer: null,
+			size: 200,
+			corner: 'top-left',
+			margin: 10,
+			dt: 250,
+			color: '#f00',
+			visible: true,
+			box: null, //scene box of the thumbnail
+			scale: 1   //thumbnail CSS pixels per scene unit
+		});
+		Object.assign(this, options);
+
+		this.element = document.createElement('div');
+		this.element.classList.add('openlime-minimap');
+		const [v, h] = this.corner.split('-');
+		this.element.style.cssText = `position:absolute; ${v}:${this.margin}px; ${h}:${this.margin}px; z-index:1000; display:none;` +
+			'border:1px solid rgba(255,255,255,0.8); background:rgba(0,0,0,0.5); box-shadow:0 0 4px #000; cursor:crosshair; touch-action:none;';
+
+		this.thumbnail = document.createElement('canvas');
+		this.thumbnail.style.cssText = 'display:block; width:100%; height:100%;';
+
+		this.svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+		this.svg.style.cssText = 'position:absolute; left:0; top:0; width:100%; height:100%; pointer-events:none; overflow:visible;';
+		this.view = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+		this.view.setAttribute('fill', 'rgba(255,255,255,0.15)');
+		this.view.setAttribute('stroke', this.color);
+		this.view.setAttribute('stroke-width', '1.5');
+		this.view.setAttribute('vector-effect', 'non-scaling-stroke');
+		this.svg.appendChild(this.view);
+
+		this.element.append(this.thumbnail, this.svg);
+		this.viewer.containerElement.appendChild(this.element);
+
+		this.element.addEventListener('pointerdown', (e) => this.startDrag(e));
+		//the draw event is fired at each frame, also during the camera animations.
+		this.onDraw = () => this.update();
+		this.onReady = () => this.refresh();
+		this.onResize = () => { if (this.canvas.ready) this.refresh(); };
+		this.viewer.addEvent('draw', this.onDraw);
+		this.canvas.addEvent('ready', this.onReady);
+		this.canvas.addEvent('updateSize', this.onResize);
+		if (this.canvas.ready)
+			this.refresh();
+	}
+
+	/**
+	 * Removes the minimap from the viewer.
+	 */
+	destroy() {
+		this.destroyed = true;
+		this.viewer.removeEvent('draw', this.onDraw);
+		this.canvas.removeEvent('ready', this.onReady);
+		this.canvas.removeEvent('updateSize', this.onResize);
+		this.element.remove();
+	}
+
+	/**
+	 * Shows or hides the minimap.
+	 * @param {boolean} visible - Whether to show the minimap
+	 */
+	setVisible(visible) {
+		this.visible = visible;
+		this.element.style.display = visible && this.box ? 'block' : 'none';
+	}
+
+	/**
+	 * Changes the layer of the thumbnail.
+	 * @param {string|Layer} layer - Layer or its id
+	 * @returns {Promise<void>} Resolved when the new thumbnail is rendered
+	 */
+	async setLayer(layer) {
+		this.layer = layer;
+		await this.refresh();
+	}
+
+	/**
+	 * Gets the layer of the thumbnail.
+	 * @private
+	 * @returns {Layer|undefined} The layer
+	 */
+	getLayer() {
+		const layers = this.canvas.layers;
+		if (!this.layer)
+			return Object.values(layers).find(layer => !layer.overlay);
+		return typeof this.layer == 'string' ? layers[this.layer] : this.layer;
+	}
+
+	/**
+	 * Renders the thumbnail again, e.g. after changing the light or the mode of the layer.
+	 * @returns {Promise<void>} Resolved when the thumbnail is rendered
+	 */
+	async refresh() {
+		const layer = this.getLayer();
+		if (!layer || layer.status != 'ready')
+			return;
+		const box = layer.boundingBox();
+		if (box.isEmpty())
+			return;
+
+		this.box = box;
+		this.scale = this.size / Math.max(box.width(), box.height());
+		const width = Math.max(1, Math.round(box.width() * this.scale));
+		const height = Math.max(1, Math.round(box.height() * this.scale));
+		this.element.style.width = `${width}px`;
+		this.element.style.height = `${height}px`;
+		this.svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+		const d = window.devicePixelRatio;
+		//the tiles of the thumbnail are loaded along with the view ones, which keep loading meanwhile.
+		const image = await this.canvas.renderRegion(box, Math.round(width * d), Math.round(height * d), { layers: [layer.id], timeout: 10000, background: true });
+		if (this.destroyed)
+			return;
+		this.thumbnail.width = image.width;
+		this.thumbnail.height = image.height;
+		this.thumbnail.getContext('2d').drawImage(image, 0, 0);
+		this.setVisible(this.visible);
+		this.update();
+	}
+
+	/**
+	 * Draws the area seen by the camera.
+	 * @private
+	 */
+	update() {
+		const viewport = this.camera.viewport;
+		if (!this.box || !viewport || !this.visible)
+			return;
+		//same as Transform.getInverseBox, but keeping the corners in order, so that the rectangle rotates with the camera.
+		const inverse = this.camera.getCurrentTransform(performance.now()).inverse();
+		const { x, y, dx, dy, w, h } = viewport;
+		const corners = [[x, y], [x + dx, y], [x + dx, y + dy], [x, y + dy]];
+		const points = corners.map(([cx, cy]) => this.toMinimap(inverse.apply(cx - w / 2, -cy + h / 2)));
+		this.view.setAttribute('points', points.map(p => `${p.x},${p.y}`).join(' '));
+	}
+
+	/**
+	 * Converts scene coordinates (y up) to thumbnail coordinates (y down).
+	 * @private
+	 * @param {{x: number, y: number}} p - Scene point
+	 * @returns {{x: number, y: number}} Thumbnail point
+	 */
+	toMinimap(p) {
+		return { x: (p.x - this.box.xLow) * this.scale, y: (this.box.yHigh - p.y) * this.scale };
+	}
+
+	/**
+	 * Moves the camera to the clicked point and follows the pointer until it is released.
+	 * @private
+	 * @param {PointerEvent} e - Pointer down event
+	 */
+	startDrag(e) {
+		if (e.button != 0 || !this.box)
+			return;
+		e.preventDefault();
+		e.stopPropagation();
+		this.element.setPointerCapture(e.pointerId);
+		this.moveTo(e, this.dt);
+
+		const move = (e) => this.moveTo(e, 0);
+		const end = () => {
+			this.element.removeEventListener('pointermove', move);
+			this.element.removeEventListener('pointerup', end);
+			this.element.removeEventListener('pointercancel', end);
+		};
+		this.element.addEventListener('pointermove', move);
+		this.element.addEventListener('pointerup', end);
+		this.element.addEventListener('pointercancel', end);
+	}
+
+	/**
+	 * Centers the camera on the point of the thumbnail under the pointer, keeping zoom and rotation.
+	 * @private
+	 * @param {PointerEvent} e - Pointer event
+	 * @param {number} dt - Animation duration in milliseconds
+	 */
+	moveTo(e, dt) {
+		const rect = this.element.getBoundingClientRect();
+		const x = this.box.xLow + (e.clientX - rect.left) / this.scale;
+		const y = this.box.yHigh - (e.clientY - rect.top) / this.scale;
+		const { z, a } = this.camera.target;
+		//the camera maps the scene point to the center of the viewport: R(a) * p * z + t = 0.
+		const r = Transform.rotate(x, y, a);
+		this.camera.setPosition(dt, -r.x * z, -r.y * z, z, a);
+	}
+}
+
+export { Minimap }
@@ -1,4 +1,7 @@
 import { addSignals } from './Signals.js'
+import { RequestPolicy } from './RequestPolicy.js'
+import { DecoderPool } from './DecoderPool.js'
+import { ColorProfile } from './ColorProfile.js'
 
 /*
 * @fileoverview 
@@ -7,11 +10,13 @@ import { addSignals } from './Signals.js'
 */
 
 /**
-* @typedef {('vec3'|'vec4'|'float')} Raster#Format
+* @typedef {('vec3'|'vec4'|'float'|'r8'|'rg8')} Raster#Format
 * Defines the color format for image data storage in textures and renderbuffers.
 * @property {'vec3'} vec3 - RGB format (3 components without alpha)
 * @property {'vec4'} vec4 - RGBA format (4 components with alpha)
 * @property {'float'} float - Single-channel format for coefficient data
+* @property {'r8'} r8 - Single 8 bit channel (the red channel of the image), sampled in .r
+* @property {'rg8'} rg8 - Two 8 bit channels (red and green of the image), sampled in .rg (.ra with WebGL1, see {@link Raster.glFormat})
 */
 
 /**
@@ -32,11 +37,24 @@ class Raster {
 	 *   - 'vec3' for RGB images
 	 *   - 'vec4' for RGBA images
 	 *   - 'float' for coefficient data
+	 *   - 'r8' and 'rg8' for one and two channel data (grayscale, coefficient planes), using 1/4 and 1/2 of the GPU memory of RGB
+	 * @param {string} [options.orientation='from-image'] - 'from-image' rotates images as in their EXIF orientation, 'none' ignores it.
+	 *   Current browsers follow the revised createImageBitmap spec, where 'none' is the same as 'from-image':
+	 *   there the images are rotated anyway, strip the EXIF orientation on the server to keep them as stored.
+	 * @param {string} [options.colorManagement='browser'] - How embedded ICC profiles are handled:
+	 *   - 'browser': the browser converts the colors while decoding (to sRGB, clipping wider gamuts)
+	 *   - 'shader': the colors are decoded unchanged and the profile (read from the first tile having one) is applied
+	 *     in the shader, see {@link Shader#setColorProfile}
+	 *   - 'none': profiles are ignored (e.g. for coefficient planes and normal maps)
 	 */
 	constructor(options) {
 
 		Object.assign(this, {
-			format: 'vec3'
+			format: 'vec3',
+			requestPolicy: null, //set by the layer, defaults to RequestPolicy.default
+			orientation: 'from-image',
+			colorManagement: 'browser',
+			colorProfile: undefined, //read from the first tile with colorManagement 'shader', null if none.
 		});
 
 		this._texture = null;
@@ -52,49 +70,95 @@ class Raster {
 	 * @param {string} tile.url - URL of the image
 	 * @param {number} [tile.start] - Start byte for partial requests
 	 * @param {number} [tile.end] - End byte for partial requests
+	 * @param {Function} [tile.decode] - Custom decoder (blob, raster, gl) => image for the fetched bytes
 	 * @param {WebGLRenderingContext} gl - The WebGL rendering context
-	 * @returns {Promise<Array>} Promise resolving to [texture, size]:
+	 * @param {Promise<Blob|ImageBitmap|ImageData|Object>} [provided] - Tile data from a layer tileProvider, replaces the fetch
+	 * @returns {Promise<Array>} Promise resolving to [texture, size, bytes]:
 	 *   - texture: WebGLTexture object
-	 *   - size: Size of the image in bytes (width * height * components)
+	 *   - size: GPU memory of the texture in bytes, mipmaps included (see {@link Raster.textureBytes})
+	 *   - bytes: Downloaded bytes (0 if provided or unknown)
 	 * @throws {Error} If server doesn't support partial content requests when required
 	 */
-	async loadImage(tile, gl) {
+	async loadImage(tile, gl, provided = null) {
 		let img;
-		let cors = (new URL(tile.url, window.location.href)).origin !== window.location.origin;
-		if (tile.end || typeof createImageBitmap == 'undefined') {
+		let bytes = 0;
+		const decode = tile.decode; //tiles are shared among rasters: read it before awaiting.
+		const policy = this.requestPolicy || RequestPolicy.default;
+		const pool = DecoderPool.getInstance();
+		let cors = provided ? false : (new URL(tile.url, window.location.href)).origin !== window.location.origin;
+		if (provided) {
+			img = await provided;
+			if (img instanceof Blob)
+				img = decode ? await decode(img, this, gl) : await this.blobToImage(img, gl);
+		} else if (!decode && !tile.batch && pool.available && this.colorManagement != 'shader') { //fetch and decode off the main thread.
+			let url = tile.url;
 			let options = {};
-			options.headers = { range: `bytes=${tile.start}-${tile.end}`, 'Accept-Encoding': 'indentity', mode: cors ? 'cors' : 'same-origin' };
-			let response = await fetch(tile.url, options);
-			if (!response.ok) {
-				console.error(`Failed to load ${tile.url}: ${response.status} ${response.statusText}`);
-				return;
-			}
-
-			if (response.status != 206)
-				throw new Error("The server doesn't support partial content requests (206).");
-
-			let blob = await response.blob();
-			img = await this.blobToImage(blob, gl);
+			if (tile.end)
+				options.headers = { range: `bytes=${tile.start}-${tile.end}`, 'Accept-Encoding': 'identity' };
+			if (policy)
+				[url, options] = await policy.apply(url, options);
+			({ image: img, bytes } = await pool.decodeImage({ url, options, decode: this.decodeOptions() }, tile.controller?.signal));
+		} else if (tile.end || decode || policy || typeof createImageBitmap != 'undefined') { //decode with createImageBitmap for a consistent orientation.
+			let blob = await this.fetchBlob(tile, policy);
+			bytes = blob.size;
+			img = decode ? await decode(blob, this, gl) : await this.blobToImage(blob, gl);
 		} else {
 			img = document.createElement('img');
 			if (cors) img.crossOrigin = "";
-			img.onerror = function (e) { console.log("Texture loading error!"); };
-			img.src = tile.url;
+			const url = tile.url;
+			img.src = url;
 			await new Promise((resolve, reject) => {
 				img.onload = () => { resolve(); }
+				//the status is unknown (e.g. a 404 or a network failure): not retried.
+				img.onerror = () => reject(Object.assign(new Error(`Failed to load ${url}`), { url, status: null }));
+				tile.controller?.signal.addEventListener('abort', () => {
+					img.src = '';
+					reject(new DOMException("Tile request aborted", 'AbortError'));
+				});
 			});
+			//transfer size is available only for same origin or Timing-Allow-Origin resources.
+			bytes = performance.getEntriesByName?.(img.src).pop()?.encodedBodySize || 0;
 		}
 		const tex = this.loadTexture(gl, img);
-		//TODO 3 is not accurate for type of image, when changing from rgb to grayscale, fix this value.
-		let nchannels = 3; // Channel is important only for tarzoom data. Tarzoom data inside format is JPG = RGB = 3 channels
-		const size = img.width * img.height * nchannels;
+		const size = this.textureBytes; //set by loadTexture, before awaiting anything else.
 		this.emit('loaded');
-		return [tex, size];
+		return [tex, size, bytes];
+	}
+
+	/**
+	 * Fetches the encoded data of a tile, using a range request if tile.end is set.
+	 * @async
+	 * @param {Object} tile - The tile to fetch (url, start, end, the AbortController of the request and the range batch if any)
+	 * @param {RequestPolicy} [policy] - Request policy, defaults to the raster one
+	 * @returns {Promise<Blob>} The tile data
+	 * @throws {Error} If the request fails (error.url and error.status are set)
+	 *   or the server doesn't support partial content requests when required
+	 */
+	async fetchBlob(tile, policy = this.requestPolicy) {
+		if (tile.batch) //adjacent tiles share a single merged range request (see Cache).
+			return await tile.batch.load(tile, (range) => this.fetchBlob(range, policy));
+		let options = { signal: tile.controller?.signal };
+		if (tile.end) {
+			let cors = (new URL(tile.url, window.location.href)).origin !== window.location.origin;
+			options.headers = { range: `bytes=${tile.start}-${tile.end}`, 'Accept-Encoding': 'identity' };
+			options.mode = cors ? 'cors' : 'same-origin';
+		}
+		let response = await RequestPolicy.fetch(tile.url, options, policy);
+		if (!response.ok) {
+			const error = new Error(`Failed to load ${tile.url}: ${response.status} ${response.statusText}`);
+			throw Object.assign(error, { url: tile.url, status: response.status });
+		}
+
+		if (tile.end && response.status != 206)
+			throw new Error("The server doesn't support partial content requests (206).");
+
+		return await response.blob();
 	}
 
 	/**
 	 * Converts a Blob to an Image or ImageBitmap.
-	 * Handles browser-specific differences in image orientation.
+	 * The image is decoded in the {@link DecoderPool} workers when available, on the main thread otherwise.
+	 * With colorManagement 'shader' the ICC profile of the first tile is read into `colorProfile`.
 	 * @private
 	 * @async
 	 * @param {Blob} blob - Image data as Blob
@@ -102,26 +166,24 @@ class Raster {
 	 * @returns {Promise<HTMLImageElement|ImageBitmap>} Promise resolving to the image
 	 */
 	async blobToImage(blob, gl) {
-		let img;
-		if (typeof createImageBitmap != 'undefined') {
-			var isFirefox = typeof InstallTrigger !== 'undefined';
-			//firefox does not support options for this call, BUT the image is automatically flipped.
-			if (isFirefox)
-				img = await createImageBitmap(blob);
-			else
-				img = await createImageBitmap(blob, { imageOrientation1: 'flipY' });
-
-		} else { //fallback for IOS
-			let urlCreator = window.URL || window.webkitURL;
-			img = document.createElement('img');
-			img.onerror = function (e) { console.log("Texture loading error!"); };
-			img.src = urlCreator.createObjectURL(blob);
-
-			await new Promise((resolve, reject) => { img.onload = () => resolve() });
-			urlCreator.revokeObjectURL(img.src);
-
+		if (this.colorManagement == 'shader' && this.colorProfile === undefined) {
+			this.colorProfile = null; //read once.
+			this.colorProfile = await ColorProfile.fromImage(blob);
 		}
-		return img;
+		const { image } = await DecoderPool.getInstance().decodeImage({ blob, decode: this.decodeOptions() });
+		return image;
+	}
+
+	/**
+	 * Gets the createImageBitmap options for the orientation and color management of the raster.
+	 * @private
+	 * @returns {Object} { imageOrientation, colorSpaceConversion }
+	 */
+	decodeOptions() {
+		return {
+			imageOrientation: this.orientation,
+			colorSpaceConversion: this.colorManagement == 'browser' ? 'default' : 'none'
+		};
 	}
 
 	/**
@@ -129,58 +191,91 @@ class Raster {
 	 * Handles different color formats and automatically creates mipmaps for large textures.
 	 * @private
 	 * @param {WebGLRenderingContext} gl - The WebGL rendering context
-	 * @param {HTMLImageElement|ImageBitmap} img - The source image
+	 * @param {HTMLImageElement|ImageBitmap|Object} img - The source image, or raw 8 bit pixels { data, width, height }
 	 * @returns {WebGLTexture} The created texture
 	 * 
 	 * @property {number} width - Width of the loaded image (set after loading)
 	 * @property {number} height - Height of the loaded image (set after loading)
+	 * @property {number} textureBytes - GPU memory of the texture (set after loading)
 	 */
 	loadTexture(gl, img) {
 		this.width = img.width;
 		this.height = img.height;
 		var tex = gl.createTexture();
 		gl.bindTexture(gl.TEXTURE_2D, tex);
-		let glFormat = gl.RGBA;
-		let internalFormat = gl.RGBA;
-
-		switch (this.format) {
-			case 'vec3':
-				glFormat = gl.RGB;
-				break;
-			case 'vec4':
-				glFormat = gl.RGBA;
-				break;
-			case 'float':
-				// Use RED instead of LUMINANCE for WebGL2
-				glFormat = gl instanceof WebGL2RenderingContext ? gl.RED : gl.LUMINANCE;
-				break;
-			default:
-				break;
-		}
-
-		// For WebGL2, use proper internal format for linear textures
-		if (this.format === 'float') {
-			// For float textures in WebGL2, use R8 as internal format
-			internalFormat = gl.R8;
-		} else {
-			internalFormat = glFormat === gl.RGB ? gl.RGB : gl.RGBA;
-		}
-		gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, glFormat, gl.UNSIGNED_BYTE, img);
+		const { internalFormat, glFormat, bytesPerPixel } = Raster.glFormat(gl, this.format);
+		//only image elements are converted on upload, bitmaps were converted (or not) while decoding.
+		gl.pixelStorei(gl.UNPACK_COLORSPACE_CONVERSION_WEBGL, this.colorManagement == 'browser' ? gl.BROWSER_DEFAULT_WEBGL : gl.NONE);
+		if (ArrayBuffer.isView(img.data) && !(typeof ImageData != 'undefined' && img instanceof ImageData)) {
+			gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1); //rgb and single channel rows are not 4 bytes aligned.
+			gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, img.width, img.height, 0, glFormat, gl.UNSIGNED_BYTE, img.data);
+			gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4);
+		} else
+			gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, glFormat, gl.UNSIGNED_BYTE, img);
 
 
 		gl.texParameterf(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
 		//build mipmap for large images.
-		if (this.width > 1024 || this.height > 1024) {
+		const mipmaps = this.width > 1024 || this.height > 1024;
+		if (mipmaps) {
 			gl.generateMipmap(gl.TEXTURE_2D);
 			gl.texParameterf(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
 		} else {
 			gl.texParameterf(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
 		}
+		this.textureBytes = Raster.textureBytes(this.width, this.height, bytesPerPixel, mipmaps);
 		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
 		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
 		this._texture = tex;
 		return tex;
 	}
+
+	/**
+	 * Maps a raster format to the WebGL texture formats.
+	 * WebGL2 uses the sized R8 and RG8 formats, WebGL1 falls back to LUMINANCE and LUMINANCE_ALPHA:
+	 * there the second channel of 'rg8' comes from the image alpha and is sampled in .a instead of .g.
+	 * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - The WebGL rendering context
+	 * @param {Raster#Format} format - Raster format
+	 * @returns {Object} { internalFormat, glFormat, bytesPerPixel }
+	 */
+	static glFormat(gl, format) {
+		const webgl2 = typeof WebGL2RenderingContext != 'undefined' && gl instanceof WebGL2RenderingContext;
+		switch (format) {
+			case 'vec3':
+				return { internalFormat: gl.RGB, glFormat: gl.RGB, bytesPerPixel: 4 };
+			case 'float':
+			case 'r8':
+				return webgl2 ?
+					{ internalFormat: gl.R8, glFormat: gl.RED, bytesPerPixel: 1 } :
+					{ internalFormat: gl.LUMINANCE, glFormat: gl.LUMINANCE, bytesPerPixel: 1 };
+			case 'rg8':
+				return webgl2 ?
+					{ internalFormat: gl.RG8, glFormat: gl.RG, bytesPerPixel: 2 } :
+					{ internalFormat: gl.LUMINANCE_ALPHA, glFormat: gl.LUMINANCE_ALPHA, bytesPerPixel: 2 };
+			case 'vec4':
+			default:
+				return { internalFormat: gl.RGBA, glFormat: gl.RGBA, bytesPerPixel: 4 };
+		}
+	}
+
+	/**
+	 * Computes the GPU memory used by a texture.
+	 * RGB textures should be counted as 4 bytes per pixel: GPUs (and ANGLE) store them padded to RGBA.
+	 * @param {number} width - Texture width
+	 * @param {number} height - Texture height
+	 * @param {number} bytesPerPixel - Bytes per pixel of the internal format
+	 * @param {boolean} [mipmaps=false] - Whether the texture has a full mipmap chain
+	 * @returns {number} Size in bytes
+	 */
+	static textureBytes(width, height, bytesPerPixel, mipmaps = false) {
+		let bytes = width * height * bytesPerPixel;
+		while (mipmaps && (width > 1 || height > 1)) {
+			width = Math.max(1, width >> 1);
+			height = Math.max(1, height >> 1);
+			bytes += width * height * bytesPerPixel;
+		}
+		return bytes;
+	}
 }
 
 /**
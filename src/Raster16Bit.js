@@ -1,4 +1,5 @@
 import { Raster } from './Raster.js';
+import { DecoderPool } from './DecoderPool.js';
 
 /**
 * @typedef {('r16f'|'rg16f'|'rgb16f'|'rgba16f'|'r16ui'|'rg16ui'|'rgb16ui'|'rgba16ui'|'r16i'|'rg16i'|'rgb16i'|'rgba16i'|'depth16')} Raster16Bit#Format
@@ -49,6 +50,10 @@ class Raster16Bit extends Raster {
    * @param {boolean} [options.premultiplyAlpha=false] - Whether to premultiply alpha during loading
    * @param {DataLoaderCallback} [options.dataLoader=null] - Custom data loader callback
    * @param {Object} [options.dataLoaderOptions={}] - Options to pass to the data loader
+   * @param {boolean|string} [options.workerLoader=false] - Run the data loader in a {@link DecoderPool} worker: true sends its source
+   *   (it must be self-contained, no closures or page globals, and the Content Security Policy must allow 'unsafe-eval'),
+   *   a string is the url of a script defining the same loader as a global `dataLoader` function. In the worker the loader
+   *   receives a null gl and its options must be cloneable; `dataLoader` is still used on the main thread when there are no workers.
    * @param {boolean} [options.debug=false] - Enable debug output
    */
   constructor(options) {
@@ -65,6 +70,7 @@ class Raster16Bit extends Raster {
     Object.assign(this, {
         dataLoader: null,
         dataLoaderOptions: {},
+        workerLoader: false,
         statInfo: {}
     });
 
@@ -112,12 +118,13 @@ class Raster16Bit extends Raster {
    * @param {number} [tile.start] - Start byte for partial requests
    * @param {number} [tile.end] - End byte for partial requests
    * @param {WebGL2RenderingContext} gl - The WebGL2 rendering context
+   * @param {Promise} [provided] - Tile data from a layer tileProvider (default loader only)
    * @returns {Promise<Array>} Promise resolving to [texture, size]:
    *   - texture: WebGLTexture object
-   *   - size: Size of the image in bytes (width * height * components * bytesPerComponent)
+   *   - size: GPU memory of the texture in bytes, mipmaps included
    * @throws {Error} If context is not WebGL2
    */
-  async loadImage(tile, gl) {
+  async loadImage(tile, gl, provided = null) {
     // Ensure we have a WebGL2 context
     if (!(gl instanceof WebGL2RenderingContext)) {
       throw new Error("WebGL2 context is required for 16-bit textures");
@@ -137,7 +144,10 @@ class Raster16Bit extends Raster {
       }
 
       try {
-        imageData = await this.dataLoader(tile, gl, this.dataLoaderOptions);
+        const pool = DecoderPool.getInstance();
+        imageData = this.workerLoader && pool.available ?
+          await pool.runLoader(typeof this.workerLoader == 'string' ? this.workerLoader : this.dataLoader, tile, this.dataLoaderOptions, tile.controller?.signal) :
+          await this.dataLoader(tile, gl, this.dataLoaderOptions);
         this.statInfo.maxValue = imageData.statistics.maxValue;
         this.statInfo.avgLuminance = imageData.statistics.avgLuminance;
         this.statInfo.percentileLuminance = imageData.statistics.percentileLuminance;
@@ -156,12 +166,8 @@ class Raster16Bit extends Raster {
       }
 
       try {
-        let [tex, size] = await super.loadImage(tile, gl);
-
-        // Adjust size calculation for 16-bit (2 bytes per component)
-        size = this.width * this.height * this._getComponentCount() * 2;
-
-        return [tex, size];
+        // the image is 8 bit: the size is the one of the texture uploaded by Raster.loadTexture.
+        return await super.loadImage(tile, gl, provided);
       } catch (error) {
         console.error("Error in default loader:", error);
         throw error;
@@ -179,11 +185,7 @@ class Raster16Bit extends Raster {
     // Create texture from the loaded data
     const tex = this._createTextureFromData(gl, imageData.data, imageData.width, imageData.height, imageData.channels);
 
-    // Calculate size in bytes
-    const bytesPerComponent = 2; // 16 bits = 2 bytes
-    const size = imageData.width * imageData.height * imageData.channels * bytesPerComponent;
-
-    return [tex, size];
+    return [tex, this.textureBytes];
   }
 
   getStatInfo() {
@@ -239,7 +241,8 @@ class Raster16Bit extends Raster {
     }
 
     // Set filtering and wrapping parameters
-    if (width > 1024 || height > 1024) {
+    const mipmaps = width > 1024 || height > 1024;
+    if (mipmaps) {
       gl.generateMipmap(gl.TEXTURE_2D);
       gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
     } else {
@@ -250,12 +253,25 @@ class Raster16Bit extends Raster {
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
 
+    this.textureBytes = Raster.textureBytes(width, height, this.bytesPerPixel(channels), mipmaps);
+
     // Store color space information on the texture
     this._texture = tex;
 
     return tex;
   }
 
+  /**
+   * Gets the GPU memory per pixel of the texture: 16 bit components, three channels formats are padded to four by the GPU.
+   * @private
+   * @param {number} channels - Number of channels in the data
+   * @returns {number} Bytes per pixel
+   */
+  bytesPerPixel(channels) {
+    const components = this.format === 'depth16' ? 1 : (channels == 3 ? 4 : channels);
+    return components * 2;
+  }
+
   /**
    * Get format parameters for WebGL texture creation based on format and channels.
    * @private
@@ -0,0 +1,116 @@
+/**
+ * @typedef {Object} RequestPolicyOptions
+ * @property {Object|Function} [headers] - Headers added to every request, or a function (url) => headers
+ *   (possibly async) for tokens which need to be refreshed
+ * @property {RequestCredentials} [credentials] - Fetch credentials mode ('include' to send cookies cross-origin)
+ * @property {Function} [rewriteUrl] - Function (url) => url (possibly async) used to sign urls
+ */
+
+/**
+ * RequestPolicy describes how OpenLIME requests protected resources: tiles, info files,
+ * annotations and layout descriptors.
+ *
+ * A policy can be set for the whole page ({@link RequestPolicy.setDefault}), per viewer (the `requestPolicy` option
+ * of {@link Viewer}, given to its layers without their own policy when they are added) or per layer
+ * (the `requestPolicy` option of {@link Layer}, used by the layer, its layout and its rasters).
+ *
+ * Layers and layouts start loading their info files when created: the policies needed by those
+ * requests must be in their options (or the page default), as the viewer one is set later.
+ *
+ * @example
+ * ```javascript
+ * // Bearer token for everything
+ * OpenLIME.RequestPolicy.setDefault({ headers: { Authorization: `Bearer ${token}` } });
+ *
+ * // Cookies for the tiles of the layers of a viewer
+ * const viewer = new OpenLIME.Viewer('#viewer', { requestPolicy: { credentials: 'include' } });
+ *
+ * // Signed urls for a single layer
+ * const layer = new OpenLIME.Layer({
+ *   type: 'image',
+ *   layout: 'deepzoom',
+ *   url: 'https://bucket.example/image.dzi',
+ *   requestPolicy: {
+ *     credentials: 'include',
+ *     rewriteUrl: async (url) => (await fetch('/sign?url=' + encodeURIComponent(url))).text()
+ *   }
+ * });
+ * ```
+ */
+class RequestPolicy {
+	/**
+	 * Creates a new RequestPolicy
+	 * @param {RequestPolicyOptions} [options] - Policy options
+	 */
+	constructor(options) {
+		Object.assign(this, {
+			headers: null,
+			credentials: null,
+			rewriteUrl: null,
+		});
+		Object.assign(this, options);
+	}
+
+	/**
+	 * Applies the policy to a request.
+	 * @param {string} url - Request url
+	 * @param {Object} [options] - Fetch options, not modified
+	 * @returns {Promise<Array>} [url, options] to be passed to fetch
+	 */
+	async apply(url, options = {}) {
+		if (this.rewriteUrl)
+			url = await this.rewriteUrl(url);
+		options = Object.assign({}, options);
+		const headers = typeof (this.headers) == 'function' ? await this.headers(url) : this.headers;
+		if (headers) {
+			const merged = new Headers(options.headers);
+			for (const [key, value] of Object.entries(headers))
+				merged.set(key, value);
+			options.headers = merged;
+		}
+		if (this.credentials)
+			options.credentials = this.credentials;
+		return [url, options];
+	}
+
+	/**
+	 * Converts policy options to a RequestPolicy.
+	 * @param {RequestPolicy|RequestPolicyOptions|null} policy - Policy or options
+	 * @returns {RequestPolicy|null} The policy
+	 */
+	static from(policy) {
+		if (!policy || policy instanceof RequestPolicy)
+			return policy || null;
+		return new RequestPolicy(policy);
+	}
+
+	/**
+	 * Sets the default policy, used when no layer policy is given.
+	 * @param {RequestPolicy|RequestPolicyOptions|null} policy - Policy or options, null to remove it
+	 */
+	static setDefault(policy) {
+		RequestPolicy.default = RequestPolicy.from(policy);
+	}
+
+	/**
+	 * Fetches a resource applying a policy (or the default one).
+	 * @param {string} url - Request url
+	 * @param {Object} [options] - Fetch options
+	 * @param {RequestPolicy} [policy] - Policy, defaults to RequestPolicy.default
+	 * @returns {Promise<Response>} The fetch response
+	 */
+	static async fetch(url, options = {}, policy = null) {
+		policy = policy || RequestPolicy.default;
+		if (policy)
+			[url, options] = await policy.apply(url, options);
+		return await fetch(url, options);
+	}
+}
+
+/**
+ * Default policy for the requests without their own policy, set by {@link RequestPolicy.setDefault}.
+ * @type {RequestPolicy|null}
+ */
+RequestPolicy.default = null;
+
+export { RequestPolicy }
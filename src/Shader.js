@@ -40,6 +40,7 @@ class Shader {
 	 * @param {boolean} [options.debug=false] - Enable debug output
 	 * @param {boolean} [options.isLinear=false] - Whether the shader works in linear color space
 	 * @param {boolean} [options.isSrgbSimplified=true] - Use simplified gamma 2.2 conversion instead of IEC standard
+	 * @param {ColorProfile} [options.colorProfile=null] - ICC profile of the images, converted to linear sRGB by profile2linear()
 	 * @fires Shader#update
 	 */
 	constructor(options) {
@@ -57,11 +58,37 @@ class Shader {
 			mode: null, // The current mode
 			needsUpdate: true,
 			autoSamplerDeclaration: true,
+			colorProfile: null,
 			tileSize: [0, 0]
 		});
 		addSignals(Shader, 'update');
 		Object.assign(this, options);
 		this.filters = [];
+		if (this.colorProfile)
+			this.setColorProfile(this.colorProfile);
+	}
+
+	/**
+	 * Sets the ICC profile of the images: the default data() converts colors with profile2linear() instead of srgb2linear().
+	 * Custom shaders can call profile2linear(vec4) too, it is declared whenever a profile is set.
+	 * @param {ColorProfile|null} profile - The profile, null for sRGB
+	 * @fires Shader#update
+	 */
+	setColorProfile(profile) {
+		this.colorProfile = profile;
+		delete this.uniforms.u_colorMatrix;
+		delete this.uniforms.u_colorCurve;
+		delete this.uniforms.u_colorCurveDEF;
+		if (profile) {
+			const { g, a, b, c, d, e = 0, f = 0 } = profile.curve;
+			Object.assign(this.uniforms, {
+				u_colorMatrix: { type: 'mat3', needsUpdate: true, value: profile.matrix },
+				u_colorCurve: { type: 'vec4', needsUpdate: true, value: [g, a, b, c] },
+				u_colorCurveDEF: { type: 'vec3', needsUpdate: true, value: [d, e, f] }
+			});
+		}
+		this.needsUpdate = true;
+		this.emit('update');
 	}
 
 	/**
@@ -257,6 +284,22 @@ float linear2srgb(float c) {
 `;
 		}
 
+		if (this.colorProfile) {
+			src += `
+// ICC profile of the images to linear sRGB
+uniform mat3 u_colorMatrix;
+uniform vec4 u_colorCurve; // g, a, b, c
+uniform vec3 u_colorCurveDEF; // d, e, f
+
+vec4 profile2linear(vec4 color) {
+    vec3 curve = pow(max(u_colorCurve.y * color.rgb + u_colorCurve.z, 0.0), vec3(u_colorCurve.x)) + u_colorCurveDEF.y;
+    vec3 segment = u_colorCurve.w * color.rgb + u_colorCurveDEF.z;
+    vec3 linear = mix(segment, curve, step(vec3(u_colorCurveDEF.x), color.rgb));
+    return vec4(u_colorMatrix * linear, color.a);
+}
+`;
+		}
+
 		if (this.autoSamplerDeclaration) {
 			for (let sampler of this.samplers) {
 				src += `uniform sampler2D ${sampler.name};\n`;
@@ -267,7 +310,7 @@ float linear2srgb(float c) {
 			}
 		}
 
-		src += this.fragShaderSrc() + '\n';
+		src += this.fragShaderSrc(gl) + '\n';
 
 		for (let f of this.filters) {
 			src += `		// Filter: ${f.name}\n`;
@@ -453,20 +496,43 @@ out vec2 v_texcoord;
 			} `;
 	}
 
+	/**
+	 * GLSL expression showing a texel of a one or two channel raster ('r8' or 'rg8') as grayscale (and alpha).
+	 * The second channel of 'rg8' is in .g with WebGL2 and in .a with the WebGL1 formats (see {@link Raster.glFormat}).
+	 * @param {WebGL2RenderingContext} gl - WebGL context
+	 * @param {Raster#Format} format - Raster format
+	 * @param {string} texel - GLSL vec4 expression of the sampled texel
+	 * @returns {string|null} GLSL vec4 expression, null for the other formats
+	 */
+	static grayscale(gl, format, texel) {
+		const webgl2 = typeof WebGL2RenderingContext != 'undefined' && gl instanceof WebGL2RenderingContext;
+		switch (format) {
+			case 'r8': return `vec4(${texel}.rrr, 1.0)`;
+			case 'rg8': return `vec4(${texel}.rrr, ${texel}.${webgl2 ? 'g' : 'a'})`;
+			default: return null;
+		}
+	}
+
 	/**
 	 * Gets fragment shader source code.
 	 * Must be overridden in derived classes for custom shading.
+	 * The default shader shows the `source` sampler, as grayscale for 'r8' and 'rg8' rasters:
+	 * shaders sampling such rasters with other samplers must convert them (see {@link Shader.grayscale}).
+	 * @param {WebGL2RenderingContext} gl - WebGL context
 	 * @returns {string} Fragment shader source code
 	 * @virtual
 	 */
-	fragShaderSrc() {
+	fragShaderSrc(gl) {
+		const type = this.samplers.find(s => s.name == 'source')?.type;
+		const gray = Shader.grayscale(gl, type, 'texel');
 		let str = `
 
 in vec2 v_texcoord;
 
 vec4 data() {
-	vec4 color = texture(source, v_texcoord);
-	${this.isLinear ? "" : "color = srgb2linear(color);"}
+	${gray ? `vec4 texel = texture(source, v_texcoord);
+	vec4 color = ${gray};` : `vec4 color = texture(source, v_texcoord);`}
+	${this.isLinear ? "" : this.colorProfile ? "color = profile2linear(color);" : "color = srgb2linear(color);"}
 	return color;
 }
 `;
@@ -0,0 +1,213 @@
+/**
+ * SplitDivider adds a draggable divider to the split viewport of a viewer (see {@link Canvas#setSplitViewport}),
+ * to compare two sets of layers by swiping.
+ *
+ * Modes:
+ * - vertical: left and right layers, the divider moves horizontally
+ * - horizontal: top and bottom layers, the divider moves vertically
+ * - circular: the right layers are revealed inside a circle which follows the handle
+ *
+ * The handle can be focused and moved with the arrow keys (Shift for larger steps), +/- and the mouse wheel
+ * resize the circle. Every change fires {@link Canvas#event:split}.
+ *
+ * @example
+ * ```javascript
+ * viewer.setSplitViewport(true, ['visible'], ['uv']);
+ * const divider = new OpenLIME.SplitDivider(viewer, { mode: 'circular' });
+ * viewer.canvas.addEvent('split', (split) => console.log(split.x, split.y));
+ * ```
+ */
+class SplitDivider {
+	/**
+	 * Creates the divider over the viewer.
+	 * @param {Viewer} viewer - The OpenLIME viewer instance
+	 * @param {Object} [options] - Configuration options
+	 * @param {string} [options.mode] - 'vertical', 'horizontal' or 'circular' (default: the canvas split mode)
+	 * @param {number} [options.step=0.01] - Keyboard step, as a fraction of the viewport
+	 * @param {boolean} [options.visible=true] - Whether the divider is initially shown
+	 */
+	constructor(viewer, options) {
+		Object.assign(this, {
+			viewer: viewer,
+			canvas: viewer.canvas,
+			mode: null,
+			step: 0.01,
+			visible: true,
+		});
+		Object.assign(this, options);
+
+		this.element = document.createElement('div');
+		this.element.classList.add('openlime-split-divider');
+		this.element.style.cssText = 'position:absolute; inset:0; overflow:hidden; pointer-events:none;';
+
+		this.line = document.createElement('div');
+		this.line.classList.add('openlime-split-line');
+
+		this.circle = document.createElement('div');
+		this.circle.classList.add('openlime-split-circle');
+		this.circle.style.cssText = 'position:absolute; box-sizing:border-box; border:2px solid #fff; border-radius:50%; box-shadow:0 0 3px #000;';
+
+		this.handle = document.createElement('div');
+		this.handle.classList.add('openlime-split-handle');
+		this.handle.tabIndex = 0;
+		this.handle.setAttribute('role', 'slider');
+		this.handle.setAttribute('aria-label', 'Split position');
+		this.handle.style.cssText = 'position:absolute; width:28px; height:28px; margin:-14px 0 0 -14px; box-sizing:border-box;' +
+			'border:2px solid #fff; border-radius:50%; background:rgba(0,0,0,0.5); box-shadow:0 0 3px #000; pointer-events:auto; touch-action:none;';
+
+		this.element.append(this.line, this.circle, this.handle);
+		this.viewer.containerElement.appendChild(this.element);
+
+		for (const target of [this.line, this.handle])
+			target.addEventListener('pointerdown', (e) => this.startDrag(e));
+		this.handle.addEventListener('keydown', (e) => this.keyDown(e));
+		//the UI shortcuts (e.g. Home, +, -) are triggered on key up on the document.
+		this.handle.addEventListener('keyup', (e) => {
+			if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', '+', '-'].includes(e.key))
+				e.stopPropagation();
+		});
+		this.handle.addEventListener('wheel', (e) => {
+			if (this.canvas.splitMode != 'circular')
+				return;
+			e.preventDefault();
+			e.stopPropagation();
+			this.canvas.setSplit({ radius: this.canvas.splitRadius * (e.deltaY < 0 ? 1.1 : 1 / 1.1) });
+		}, { passive: false });
+
+		this.onUpdate = () => this.update();
+		this.canvas.addEvent('split', this.onUpdate);
+		this.viewer.addEvent('resize', this.onUpdate);
+
+		if (this.mode)
+			this.canvas.setSplit({ mode: this.mode });
+		this.setVisible(this.visible);
+	}
+
+	/**
+	 * Shows or hides the divider.
+	 * @param {boolean} visible - Whether to show the divider
+	 */
+	setVisible(visible) {
+		this.visible = visible;
+		this.update();
+	}
+
+	/**
+	 * Changes the split mode.
+	 * @param {string} mode - 'vertical', 'horizontal' or 'circular'
+	 */
+	setMode(mode) {
+		this.mode = mode;
+		this.canvas.setSplit({ mode });
+	}
+
+	/**
+	 * Removes the divider from the viewer, the split of the canvas is left as it is.
+	 */
+	destroy() {
+		this.canvas.removeEvent('split', this.onUpdate);
+		this.viewer.removeEvent('resize', this.onUpdate);
+		this.element.remove();
+	}
+
+	/**
+	 * Places the line, circle and handle according to the canvas split state.
+	 * @private
+	 */
+	update() {
+		const split = this.canvas.getSplit();
+		this.element.style.display = this.visible && split.enabled ? 'block' : 'none';
+		const viewport = this.viewer.camera.viewport;
+		if (!viewport)
+			return;
+		const x = split.x * viewport.dx;
+		const y = split.y * viewport.dy;
+		const style = this.line.style;
+		//a wider transparent area around the visible line makes it easier to grab.
+		style.cssText = 'position:absolute; pointer-events:auto; touch-action:none; background-clip:content-box; background-color:#fff;';
+		if (split.mode == 'vertical')
+			Object.assign(style, { left: `${x - 5}px`, top: '0', width: '2px', height: '100%', padding: '0 4px', cursor: 'ew-resize' });
+		else if (split.mode == 'horizontal')
+			Object.assign(style, { left: '0', top: `${y - 5}px`, width: '100%', height: '2px', padding: '4px 0', cursor: 'ns-resize' });
+		else
+			style.display = 'none';
+
+		const radius = split.radius * Math.min(viewport.dx, viewport.dy);
+		Object.assign(this.circle.style, {
+			display: split.mode == 'circular' ? 'block' : 'none',
+			left: `${x - radius}px`, top: `${y - radius}px`, width: `${2 * radius}px`, height: `${2 * radius}px`
+		});
+
+		//the handle sits in the middle of the line, or at the center of the circle.
+		const hx = split.mode == 'horizontal' ? viewport.dx / 2 : x;
+		const hy = split.mode == 'vertical' ? viewport.dy / 2 : y;
+		Object.assign(this.handle.style, {
+			left: `${hx}px`, top: `${hy}px`,
+			cursor: { vertical: 'ew-resize', horizontal: 'ns-resize', circular: 'move' }[split.mode]
+		});
+		const value = split.mode == 'horizontal' ? split.y : split.x;
+		this.handle.setAttribute('aria-orientation', split.mode == 'horizontal' ? 'vertical' : 'horizontal');
+		this.handle.setAttribute('aria-valuenow', Math.round(value * 100));
+	}
+
+	/**
+	 * Starts dragging the divider, the pointer is captured until released.
+	 * @param {PointerEvent} e - Pointer down event
+	 * @private
+	 */
+	startDrag(e) {
+		if (e.button != 0)
+			return;
+		e.preventDefault();
+		e.stopPropagation();
+		const target = e.currentTarget;
+		target.setPointerCapture(e.pointerId);
+		this.handle.focus({ preventScroll: true });
+
+		const move = (e) => {
+			const rect = this.viewer.containerElement.getBoundingClientRect();
+			const x = (e.clientX - rect.left) / rect.width;
+			const y = (e.clientY - rect.top) / rect.height;
+			const mode = this.canvas.splitMode;
+			this.canvas.setSplit(mode == 'vertical' ? { x } : mode == 'horizontal' ? { y } : { x, y });
+		};
+		const end = () => {
+			target.removeEventListener('pointermove', move);
+			target.removeEventListener('pointerup', end);
+			target.removeEventListener('pointercancel', end);
+		};
+		target.addEventListener('pointermove', move);
+		target.addEventListener('pointerup', end);
+		target.addEventListener('pointercancel', end);
+	}
+
+	/**
+	 * Keyboard control: arrows move the divider (or the circle), +/- resize the circle.
+	 * @param {KeyboardEvent} e - Key down event
+	 * @private
+	 */
+	keyDown(e) {
+		const split = this.canvas.getSplit();
+		const step = e.shiftKey ? this.step * 10 : this.step;
+		const moveX = split.mode != 'horizontal';
+		const moveY = split.mode != 'vertical';
+		let change = null;
+		switch (e.key) {
+			case 'ArrowLeft': if (moveX) change = { x: split.x - step }; break;
+			case 'ArrowRight': if (moveX) change = { x: split.x + step }; break;
+			case 'ArrowUp': if (moveY) change = { y: split.y - step }; break;
+			case 'ArrowDown': if (moveY) change = { y: split.y + step }; break;
+			case 'Home': change = moveX ? { x: 0 } : { y: 0 }; break;
+			case 'End': change = moveX ? { x: 1 } : { y: 1 }; break;
+			case '+': if (split.mode == 'circular') change = { radius: split.radius * 1.1 }; break;
+			case '-': if (split.mode == 'circular') change = { radius: split.radius / 1.1 }; break;
+		}
+		if (!change)
+			return;
+		e.preventDefault();
+		e.stopPropagation();
+		this.canvas.setSplit(change);
+	}
+}
+
+export { SplitDivider }
@@ -11,10 +11,14 @@
  * @property {number} h - Tile height (for image layouts)
  * @property {number} start - Starting byte position in dataset (for tar-based formats)
  * @property {number} end - Ending byte position in dataset (for tar-based formats)
+ * @property {Function} decode - Optional decoder (blob, raster, gl) => image, set by layouts whose tiles are not plain images (tiff)
+ * @property {AbortController} controller - Aborts the pending requests of the tile when no longer needed
  * @property {WebGLTexture[]} tex - Array of WebGL textures (one per channel)
  * @property {number} missing - Count of pending channel data requests
  * @property {number} time - Creation timestamp for cache management
  * @property {number} priority - Loading priority for cache management
+ * @property {boolean} prefetch - Whether the tile is outside the visible area (prefetch border), loaded after the visible ones
+ * @property {number} distance - Distance from the viewport center (1 is the visible area half diagonal)
  * @property {number} size - Total size in bytes for cache management
  */
 
@@ -145,11 +149,15 @@ class Tile {
 
             start: null,
             end: null,
+            decode: null, // used only in LayoutTiles (tiff)
+            controller: null, // abort pending requests
 
             tex: [],
             missing: null,
             time: null,
             priority: null,
+            prefetch: false,
+            distance: 0,
             size: null
         });
     }
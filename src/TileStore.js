@@ -0,0 +1,301 @@
+/**
+ * @typedef {Object} TileStoreOptions
+ * @property {string} [name='openlime-tiles'] - IndexedDB database name
+ * @property {number} [quota=268435456] - Maximum size of the stored blobs in bytes (default: 256MB)
+ * @property {number} [touchDelay=2000] - Milliseconds between the writes of the access times of the read entries
+ */
+
+/**
+ * TileStore is a persistent tile cache tier based on IndexedDB.
+ *
+ * It keeps the fetched (still encoded) tile blobs across page reloads, below the GPU {@link Cache}:
+ * when a tile is requested the store is checked before going to the network.
+ * Entries are evicted in LRU order once the quota is exceeded.
+ *
+ * Each entry is saved with the `cacheKey` of its layer: changing the key of a dataset
+ * (e.g. a version or modification date) invalidates the entries stored with the previous one.
+ * If IndexedDB is not available the store is silently disabled.
+ *
+ * @example
+ * ```javascript
+ * OpenLIME.Cache.getInstance({ store: new OpenLIME.TileStore({ quota: 1 << 30 }) });
+ *
+ * const layer = new OpenLIME.Layer({
+ *   type: 'image',
+ *   layout: 'deepzoom',
+ *   url: 'museum/painting.dzi',
+ *   cacheKey: '2024-05-12' // change it when the dataset is updated
+ * });
+ * ```
+ */
+class TileStore {
+	/**
+	 * Creates a new TileStore and opens the database.
+	 * @param {TileStoreOptions} [options] - Configuration options
+	 */
+	constructor(options) {
+		Object.assign(this, {
+			name: 'openlime-tiles',
+			quota: 256 * (1 << 20),
+			touchDelay: 2000,
+			size: 0,
+			hits: 0,
+			misses: 0,
+		});
+		Object.assign(this, options);
+		this.touched = new Map; //id -> access time, written by touch()
+		this.stale = new Map;   //id -> current key, for the entries stored with an old one, deleted by touch()
+		this.touchTimeout = null;
+		this.db = this.open();
+	}
+
+	/**
+	 * Opens the database and computes the stored size.
+	 * @private
+	 * @async
+	 * @returns {Promise<IDBDatabase|null>} The database, null if IndexedDB is not available
+	 */
+	async open() {
+		try {
+			if (typeof indexedDB == 'undefined')
+				return null;
+			const request = indexedDB.open(this.name, 2);
+			request.onupgradeneeded = (event) => {
+				let store;
+				if (event.oldVersion < 1) {
+					store = request.result.createObjectStore('tiles', { keyPath: 'id' });
+					store.createIndex('time', 'time');
+					store.createIndex('key', 'key');
+				} else
+					store = request.transaction.objectStore('tiles');
+				store.createIndex('size', 'size'); //version 2
+			};
+			const db = await TileStore.promise(request);
+			//the keys of the size index are enough, without loading the blobs.
+			const sizes = db.transaction('tiles').objectStore('tiles').index('size').openKeyCursor();
+			this.size = await new Promise((resolve, reject) => {
+				let total = 0;
+				sizes.onerror = () => reject(sizes.error);
+				sizes.onsuccess = () => {
+					const cursor = sizes.result;
+					if (!cursor)
+						return resolve(total);
+					total += cursor.key;
+					cursor.continue();
+				};
+			});
+			return db;
+		} catch (error) {
+			console.warn("Tile store disabled:", error);
+			return null;
+		}
+	}
+
+	/**
+	 * Gets a tile blob from the store or from the network, storing it.
+	 * @param {Object} request - The tile request
+	 * @param {string} request.url - Tile url
+	 * @param {number} [request.start] - Start byte for partial requests
+	 * @param {number} [request.end] - End byte for partial requests
+	 * @param {string|null} key - Invalidation key of the dataset
+	 * @param {Function} fetcher - Async function returning the blob from the network
+	 * @returns {Promise<Blob>} The tile blob
+	 */
+	async load(request, key, fetcher) {
+		const id = request.end ? `${request.url}#${request.start}-${request.end}` : request.url;
+		let blob = await this.get(id, key || '');
+		if (blob) {
+			this.hits++;
+			return blob;
+		}
+		this.misses++;
+		blob = await fetcher();
+		this.put(id, key || '', blob);
+		return blob;
+	}
+
+	/**
+	 * Reads an entry in a readonly transaction, so that reads run in parallel.
+	 * The access time (for the LRU order) is updated later by {@link TileStore#touch}, which also drops the entries stored with a different key.
+	 * @private
+	 * @async
+	 * @param {string} id - Entry id
+	 * @param {string} key - Invalidation key
+	 * @returns {Promise<Blob|null>} The stored blob
+	 */
+	async get(id, key) {
+		const db = await this.db;
+		if (!db)
+			return null;
+		try {
+			const entry = await TileStore.promise(db.transaction('tiles').objectStore('tiles').get(id));
+			if (!entry)
+				return null;
+			if (entry.key !== key)
+				this.stale.set(id, key);
+			else
+				this.touched.set(id, Date.now());
+			if (!this.touchTimeout)
+				this.touchTimeout = setTimeout(() => this.touch(), this.touchDelay);
+			return entry.key === key ? entry.blob : null;
+		} catch (error) {
+			console.warn("Tile store read failed:", error);
+			return null;
+		}
+	}
+
+	/**
+	 * Writes the access times of the entries read since the last call and deletes the stale ones, in a single transaction.
+	 * @private
+	 * @async
+	 */
+	async touch() {
+		this.touchTimeout = null;
+		const touched = this.touched;
+		const stale = this.stale;
+		this.touched = new Map;
+		this.stale = new Map;
+		const db = await this.db;
+		if (!db)
+			return;
+		try {
+			const transaction = db.transaction('tiles', 'readwrite');
+			const store = transaction.objectStore('tiles');
+			let freed = 0;
+			for (const [id, time] of touched) {
+				const request = store.get(id);
+				request.onsuccess = () => { //it might have been evicted meanwhile.
+					if (request.result)
+						store.put(Object.assign(request.result, { time }));
+				};
+			}
+			for (const [id, key] of stale) {
+				const request = store.get(id);
+				request.onsuccess = () => { //it might have been stored again with the current key.
+					const entry = request.result;
+					if (entry && entry.key !== key) {
+						store.delete(id);
+						freed += entry.size;
+					}
+				};
+			}
+			await TileStore.complete(transaction);
+			this.size -= freed;
+		} catch (error) {
+			console.warn("Tile store update failed:", error);
+		}
+	}
+
+	/**
+	 * Stores an entry and evicts the least recently used ones if over quota.
+	 * @private
+	 * @async
+	 * @param {string} id - Entry id
+	 * @param {string} key - Invalidation key
+	 * @param {Blob} blob - Tile data
+	 */
+	async put(id, key, blob) {
+		const db = await this.db;
+		if (!db || blob.size > this.quota)
+			return;
+		try {
+			const store = db.transaction('tiles', 'readwrite').objectStore('tiles');
+			const previous = await TileStore.promise(store.get(id)); //rewritten entries replace their size.
+			await TileStore.promise(store.put({ id, key, blob, size: blob.size, time: Date.now() }));
+			this.size += blob.size - (previous ? previous.size : 0);
+			if (this.size > this.quota)
+				await this.evict(this.quota * 0.9);
+		} catch (error) { //quota exceeded for the browser too.
+			console.warn("Tile store write failed:", error);
+			await this.evict(this.size / 2);
+		}
+	}
+
+	/**
+	 * Deletes the least recently used entries.
+	 * @private
+	 * @async
+	 * @param {number} target - Size in bytes to reach
+	 */
+	async evict(target) {
+		const db = await this.db;
+		const cursors = db.transaction('tiles', 'readwrite').objectStore('tiles').index('time').openCursor();
+		await new Promise((resolve, reject) => {
+			cursors.onerror = () => reject(cursors.error);
+			cursors.onsuccess = () => {
+				const cursor = cursors.result;
+				if (!cursor || this.size <= target)
+					return resolve();
+				this.size -= cursor.value.size;
+				cursor.delete();
+				cursor.continue();
+			};
+		});
+	}
+
+	/**
+	 * Deletes all the entries stored with an invalidation key.
+	 * @param {string} key - Invalidation key
+	 * @returns {Promise<void>}
+	 */
+	async invalidate(key) {
+		const db = await this.db;
+		if (!db)
+			return;
+		const store = db.transaction('tiles', 'readwrite').objectStore('tiles');
+		const entries = await TileStore.promise(store.index('key').getAll(key));
+		for (const entry of entries) {
+			store.delete(entry.id);
+			this.size -= entry.size;
+		}
+	}
+
+	/**
+	 * Deletes all the entries.
+	 * @returns {Promise<void>}
+	 */
+	async clear() {
+		const db = await this.db;
+		if (!db)
+			return;
+		await TileStore.promise(db.transaction('tiles', 'readwrite').objectStore('tiles').clear());
+		this.size = 0;
+	}
+
+	/**
+	 * Gets the store statistics.
+	 * @returns {Object} { used, quota, hits, misses }
+	 */
+	getStats() {
+		return { used: this.size, quota: this.quota, hits: this.hits, misses: this.misses };
+	}
+
+	/**
+	 * Waits for a transaction to be committed.
+	 * @private
+	 * @param {IDBTransaction} transaction - The transaction
+	 * @returns {Promise<void>} Resolved when complete, rejected if it fails or is aborted
+	 */
+	static complete(transaction) {
+		return new Promise((resolve, reject) => {
+			transaction.oncomplete = () => resolve();
+			transaction.onerror = () => reject(transaction.error);
+			transaction.onabort = () => reject(transaction.error || new DOMException("Transaction aborted", 'AbortError'));
+		});
+	}
+
+	/**
+	 * Wraps an IDBRequest in a promise.
+	 * @private
+	 * @param {IDBRequest} request - The request
+	 * @returns {Promise<any>} The request result
+	 */
+	static promise(request) {
+		return new Promise((resolve, reject) => {
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+		});
+	}
+}
+
+export { TileStore }
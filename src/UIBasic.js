@@ -4,6 +4,7 @@ import { Controller2D } from './Controller2D'
 import { ControllerPanZoom } from './ControllerPanZoom'
 import { Ruler } from "./Ruler"
 import { ScaleBar } from './ScaleBar'
+import { SplitDivider } from './SplitDivider'
 import { addSignals } from './Signals'
 
 /**
@@ -45,6 +46,7 @@ import { addSignals } from './Signals'
  * - Keyboard shortcuts
  * - Scale bar
  * - Measurement tools
+ * - Local files dropped on the viewer (`dropFiles` option, see {@link Viewer#openFiles})
  * 
  * Built-in Actions:
  * - home: Reset camera view
@@ -55,7 +57,8 @@ import { addSignals } from './Signals'
  * - light: Light direction control
  * - ruler: Distance measurement
  * - help: Show help dialog
- * - snapshot: Save view as image
+ * - snapshot: Save the view as a PNG image, rendered offscreen at `snapshotScale` times the screen resolution
+ * - split: Compare two layers (`splitLayers` option) by swiping a divider, see {@link SplitDivider}
  *
  * Implementation Details
  * 
@@ -146,7 +149,20 @@ class UIBasic {
 				light: { title: 'Light', display: 'auto', key: 'l', task: (event) => { this.toggleLightController(); } },
 				ruler: { title: 'Ruler', display: false, task: (event) => { this.toggleRuler(); } },
 				help: { title: 'Help', display: false, key: '?', task: (event) => { this.toggleHelp(this.actions.help); }, html: '<p>Help here!</p>' }, //FIXME Why a boolean in toggleHelp?
-				snapshot: { title: 'Snapshot', display: false, task: (event) => { this.snapshot() } }, //FIXME not work!
+				snapshot: {
+					title: 'Snapshot', display: false, task: (event) => {
+						this.snapshot().catch(error => {
+							console.error(error);
+							this.showOverlayMessage("Could not save the snapshot: " + error.message, 4000);
+						});
+					}
+				},
+				split: {
+					title: 'Compare', display: false, task: (event) => { this.toggleSplit(); },
+					icon: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 73 73"><rect x="1" y="1" width="71" height="71" rx="12" ry="12" style="fill:#fff;stroke:#666;stroke-width:2"/>' +
+						'<rect x="14" y="14" width="22.5" height="45" style="fill:#666"/><rect x="14" y="14" width="45" height="45" style="fill:none;stroke:#666;stroke-width:2"/>' +
+						'<path d="M36.5 8v57" style="stroke:#666;stroke-width:3"/></svg>'
+				},
 			},
 			postInit: () => { },
 			showScale: true,
@@ -157,6 +173,10 @@ class UIBasic {
 			showLightDirections: false,
 			enableTooltip: true,
 			controlZoomMessage: null, //"Use Ctrl + Wheel to zoom instead of scrolling" ,
+			dropFiles: false,      //accept dropped local files (see Viewer.openFiles)
+			snapshotScale: 1,      //snapshot resolution, relative to the screen one (see Viewer.exportRegion)
+			splitLayers: null,     //[left, right] layer ids compared by the split action (default: the first two layers)
+			splitMode: 'vertical', //'vertical', 'horizontal' or 'circular'
 			menu: []
 		});
 
@@ -186,42 +206,8 @@ class UIBasic {
 		this.menu.push({ section: "Layers" });
 		// In the constructor section, replace this block:
 
-		for (let [id, layer] of Object.entries(this.viewer.canvas.layers)) {
-			let modes = []
-			for (let m of layer.getModes()) {
-				let mode = {
-					button: m,
-					mode: m,
-					layer: id,
-					// FIXED: use the ID to retrieve the correct layer
-					onclick: () => {
-						this.viewer.canvas.layers[id].setMode(m);
-						this.viewer.redraw(); // Force redraw to update the lens
-					},
-					// FIXED: use the ID to retrieve the correct layer
-					status: () => this.viewer.canvas.layers[id].getMode() == m ? 'active' : '',
-				};
-				if (m == 'specular' && layer.shader.setSpecularExp)
-					mode.list = [{ slider: '', oninput: (e) => { layer.shader.setSpecularExp(e.target.value); } }];
-				modes.push(mode);
-			}
-
-			let layerEntry = {
-				button: layer.label || id,
-				// FIXED: use the ID to retrieve the correct layer
-				onclick: () => { this.setLayer(this.viewer.canvas.layers[id]); },
-				// FIXED: use the ID to retrieve the correct layer  
-				status: () => this.viewer.canvas.layers[id].visible ? 'active' : '',
-				layer: id
-			};
-			if (modes.length > 1) layerEntry.list = modes;
-
-			if (layer.annotations) {
-				layerEntry.list = [];
-				layerEntry.list.push(layer.annotationsEntry());
-			}
-			this.menu.push(layerEntry);
-		}
+		for (let [id, layer] of Object.entries(this.viewer.canvas.layers))
+			this.menu.push(this.layerEntry(id, layer));
 
 		let controller = new Controller2D(
 			(x, y) => {
@@ -254,6 +240,7 @@ class UIBasic {
 		let lightLayers = [];
 		for (let [id, layer] of Object.entries(this.viewer.canvas.layers))
 			if (layer.controls.light) lightLayers.push(layer);
+		this.lightLayers = lightLayers; //dropped layers are added later.
 
 		if (lightLayers.length) {
 			this.createLightDirections();
@@ -268,6 +255,111 @@ class UIBasic {
 		else setTimeout(() => { this.init(); }, 0);
 	}
 
+	/**
+	 * Creates the menu entry of a layer, with its modes.
+	 * @param {string} id - Layer identifier
+	 * @param {Layer} layer - The layer
+	 * @returns {UIBasic~MenuEntry} The entry
+	 * @private
+	 */
+	layerEntry(id, layer) {
+		let modes = []
+		for (let m of layer.getModes()) {
+			let mode = {
+				button: m,
+				mode: m,
+				layer: id,
+				// FIXED: use the ID to retrieve the correct layer
+				onclick: () => {
+					this.viewer.canvas.layers[id].setMode(m);
+					this.viewer.redraw(); // Force redraw to update the lens
+				},
+				// FIXED: use the ID to retrieve the correct layer
+				status: () => this.viewer.canvas.layers[id].getMode() == m ? 'active' : '',
+			};
+			if (m == 'specular' && layer.shader.setSpecularExp)
+				mode.list = [{ slider: '', oninput: (e) => { layer.shader.setSpecularExp(e.target.value); } }];
+			modes.push(mode);
+		}
+
+		let layerEntry = {
+			button: layer.label || id,
+			// FIXED: use the ID to retrieve the correct layer
+			onclick: () => { this.setLayer(this.viewer.canvas.layers[id]); },
+			// FIXED: use the ID to retrieve the correct layer  
+			status: () => this.viewer.canvas.layers[id].visible ? 'active' : '',
+			layer: id
+		};
+		if (modes.length > 1) layerEntry.list = modes;
+
+		if (layer.annotations) {
+			layerEntry.list = [];
+			layerEntry.list.push(layer.annotationsEntry());
+		}
+		return layerEntry;
+	}
+
+	/**
+	 * Adds the layers of files dropped on the viewer (see {@link Viewer#openFiles}) and their menu entries.
+	 * @param {DataTransfer} dataTransfer - Dropped data
+	 * @private
+	 */
+	async openDroppedFiles(dataTransfer) {
+		const layers = await this.viewer.openFiles(dataTransfer);
+		const ids = Object.keys(layers);
+		if (!ids.length) {
+			this.showOverlayMessage("No image, RTI or annotation found in the dropped files.");
+			return;
+		}
+		for (const id of ids) {
+			const entry = this.layerEntry(id, layers[id]);
+			const last = this.menu.findLastIndex(e => e.layer || e.section == 'Layers');
+			this.menu.splice(last + 1, 0, entry);
+			if (layers[id].controls.light) {
+				this.lightLayers.push(layers[id]);
+				layers[id].controllers.push(this.lightcontroller);
+			}
+		}
+		this.layerMenu.remove();
+		this.createMenu();
+		if (this.viewer.canvas.layers[ids[0]].annotations == null)
+			this.setLayer(layers[ids[0]]);
+		this.updateMenu();
+	}
+
+	/**
+	 * Makes the viewer accept dropped files, highlighting it while dragging.
+	 * @private
+	 */
+	createDropZone() {
+		const container = this.viewer.containerElement;
+		const zone = document.createElement('div');
+		zone.classList.add('openlime-dropzone');
+		zone.style.cssText = 'position:absolute; inset:0; pointer-events:none; display:none; outline:3px dashed rgba(255,255,255,0.8); outline-offset:-12px; background:rgba(0,0,0,0.3);';
+		container.appendChild(zone);
+
+		let depth = 0; //dragenter and dragleave are fired also entering and leaving the children.
+		const show = (on) => { zone.style.display = on ? 'block' : 'none'; container.classList.toggle('openlime-dropping', on); };
+		const isFiles = (e) => e.dataTransfer?.types.includes('Files');
+		container.addEventListener('dragenter', (e) => { if (isFiles(e)) { depth++; show(true); } });
+		container.addEventListener('dragleave', (e) => { if (isFiles(e) && --depth <= 0) { depth = 0; show(false); } });
+		container.addEventListener('dragover', (e) => {
+			if (!isFiles(e)) return;
+			e.preventDefault();
+			e.dataTransfer.dropEffect = 'copy';
+		});
+		container.addEventListener('drop', (e) => {
+			if (!isFiles(e)) return;
+			e.preventDefault();
+			depth = 0;
+			show(false);
+			this.openDroppedFiles(e.dataTransfer).catch(error => {
+				console.error(error);
+				this.showOverlayMessage("Could not open the dropped files: " + error.message, 4000);
+			});
+		});
+	}
+
 	/**
 	 * Shows overlay message
 	 * @param {string} msg - Message to display
@@ -376,6 +468,8 @@ class UIBasic {
 			this.createMenu();
 			this.updateMenu();
 			this.viewer.canvas.addEvent('update', () => this.updateMenu());
+			if (this.dropFiles)
+				this.createDropZone();
 
 			if (this.actions.light && this.actions.light.display === 'auto')
 				this.actions.light.display = true;
@@ -646,6 +740,28 @@ class UIBasic {
 			this.ruler.end();
 	}
 
+	/**
+	 * Toggles the split viewport comparing two layers, with its divider
+	 * @private
+	 */
+	toggleSplit() {
+		const canvas = this.viewer.canvas;
+		const active = !canvas.splitViewport;
+		if (active) {
+			const ids = this.splitLayers || Object.keys(canvas.layers).filter(id => !canvas.layers[id].overlay).slice(0, 2);
+			if (ids.length < 2) {
+				this.showOverlayMessage("Two layers are needed to compare them.");
+				return;
+			}
+			if (!this.splitDivider)
+				this.splitDivider = new SplitDivider(this.viewer, { mode: this.splitMode, visible: false });
+			canvas.setSplitViewport(true, [ids[0]], [ids[1]]);
+		} else
+			canvas.setSplitViewport(false);
+		this.splitDivider?.setVisible(active);
+		this.actions.split.element?.classList.toggle('openlime-split-active', active);
+	}
+
 	/**
 	 * Toggles help dialog
 	 * @param {UIBasic~Action} help - Help action configuration
@@ -661,17 +777,24 @@ class UIBasic {
 	}
 
 	/**
-	 * Creates and downloads canvas snapshot
+	 * Renders the current view offscreen, with annotations and scale bar, and downloads it
 	 * @private
 	 */
-	snapshot() {
+	async snapshot() {
+		const blob = await this.viewer.exportRegion({
+			width: Math.round(this.viewer.canvasElement.width * this.snapshotScale),
+			scaleBar: !!this.scalebar,
+			pixelSize: this.pixelSize
+		});
+		const url = URL.createObjectURL(blob);
 		var e = document.createElement('a');
-		e.setAttribute('href', this.viewer.canvas.canvasElement.toDataURL());
+		e.setAttribute('href', url);
 		e.setAttribute('download', 'snapshot.png');
 		e.style.display = 'none';
 		document.body.appendChild(e);
 		e.click();
 		document.body.removeChild(e);
+		setTimeout(() => URL.revokeObjectURL(url), 1000);
 	}
 
 	/* Layer management */
@@ -1,3 +1,4 @@
+import { RequestPolicy } from './RequestPolicy.js'
 // HELPERS
 window.structuredClone = typeof (structuredClone) == "function" ? structuredClone : function (value) { return JSON.parse(JSON.stringify(value)); };
 
@@ -78,6 +79,7 @@ class Util {
     /**
      * Loads SVG file from URL
      * @param {string} url - URL to SVG file
+     * @param {RequestPolicy} [policy] - Request policy, defaults to RequestPolicy.default
      * @returns {Promise<SVGElement>} Loaded and parsed SVG
      * @throws {Error} If fetch fails or content isn't SVG
      * 
@@ -87,8 +89,8 @@ class Util {
      * document.body.appendChild(svg);
      * ```
      */
-    static async loadSVG(url) {
-        let response = await fetch(url);
+    static async loadSVG(url, policy = null) {
+        let response = await RequestPolicy.fetch(url, {}, policy);
         if (!response.ok) {
             const message = `An error has occured: ${response.status}`;
             throw new Error(message);
@@ -107,11 +109,12 @@ class Util {
     /**
      * Loads HTML content from URL
      * @param {string} url - URL to HTML file
+     * @param {RequestPolicy} [policy] - Request policy, defaults to RequestPolicy.default
      * @returns {Promise<string>} HTML content
      * @throws {Error} If fetch fails
      */
-    static async loadHTML(url) {
-        let response = await fetch(url);
+    static async loadHTML(url, policy = null) {
+        let response = await RequestPolicy.fetch(url, {}, policy);
         if (!response.ok) {
             const message = `An error has occured: ${response.status}`;
             throw new Error(message);
@@ -123,11 +126,12 @@ class Util {
     /**
      * Loads and parses JSON from URL
      * @param {string} url - URL to JSON file
+     * @param {RequestPolicy} [policy] - Request policy, defaults to RequestPolicy.default
      * @returns {Promise<Object>} Parsed JSON data
      * @throws {Error} If fetch or parsing fails
      */
-    static async loadJSON(url) {
-        let response = await fetch(url);
+    static async loadJSON(url, policy = null) {
+        let response = await RequestPolicy.fetch(url, {}, policy);
         if (!response.ok) {
             const message = `An error has occured: ${response.status}`;
             throw new Error(message);
@@ -3,6 +3,12 @@ import { Camera } from './Camera.js'
 import { PointerManager } from './PointerManager.js'
 import { Controller } from './Controller.js';
 import { addSignals } from './Signals.js'
+import { RequestPolicy } from './RequestPolicy.js'
+import { Cache } from './Cache.js'
+import { LocalFiles } from './LocalFiles.js'
+import { Transform } from './Transform.js'
+import { Layer } from './Layer.js'
+import { Units, ScaleBar } from './ScaleBar.js'
 
 /**
  * @typedef {Object} ViewerOptions
@@ -11,6 +17,31 @@ import { addSignals } from './Signals.js'
  * @property {boolean} [autofit=true] - Auto-fit camera to scene
  * @property {Object} [canvas={}] - Canvas configuration options
  * @property {Camera} [camera] - Custom camera instance
+ * @property {RequestPolicy|RequestPolicyOptions} [requestPolicy] - Headers, credentials and url signing for the requests
+ *   of the viewer layers without their own policy. It is given to the layers when they are added to the viewer:
+ *   the files a layer loads when created (e.g. its info.json) need the policy in the layer options.
+ *   Use {@link RequestPolicy.setDefault} for a policy shared by all the viewers of the page.
+ * @property {number} [cacheQuota] - GPU RAM in bytes reserved to the viewer layers in the shared {@link Cache},
+ *   so that several viewers on the same page do not evict each other tiles
+ * @property {string} [cachePartition] - Name of the viewer cache partition (default: 'viewer' followed by a counter)
+ */
+
+/**
+ * @typedef {Object} ExportOptions
+ * Options of {@link Viewer#exportRegion}
+ * @property {BoundingBox} [box] - Region in scene coordinates (default: the current view)
+ * @property {number} [width] - Output width in pixels (the height follows the box aspect ratio if not given)
+ * @property {number} [height] - Output height in pixels
+ * @property {number} [scale=1] - Output resolution as a multiple of the native resolution of the layers,
+ *   used when neither width nor height are given
+ * @property {string} [type='image/png'] - 'image/png' or 'image/jpeg'
+ * @property {number} [quality=0.92] - JPEG quality, from 0 to 1
+ * @property {string} [background] - CSS color under the transparent areas (default: white for JPEG)
+ * @property {boolean} [annotations=true] - Whether to draw the visible SVG annotation layers
+ * @property {boolean} [scaleBar=false] - Whether to draw a scale bar in the bottom right corner
+ * @property {number} [pixelSize] - Millimeters per scene unit for the scale bar (default: from the layers)
+ * @property {number} [tileSize=2048] - Size of the offscreen tiles the rendering is split into
+ * @property {number} [timeout=60000] - Milliseconds to wait for the tiles of each offscreen tile
  */
 
 /**
@@ -35,6 +66,16 @@ import { addSignals } from './Signals.js'
  * @property {Viewport} viewport - New viewport configuration
  */
 
+/**
+ * Fired when the loading progress of the visible layers changes, e.g. to show a progress bar.
+ * @event Viewer#progress
+ * @property {number} needed - Tiles needed for the current view
+ * @property {number} loaded - Needed tiles which are loaded
+ * @property {number} failed - Needed tiles which failed loading
+ * @property {number} bytes - Total bytes downloaded
+ * @property {number} progress - Fraction of the needed tiles which are done, from 0 to 1
+ */
+
 /**
  * 
  * Central class of the OpenLIME framework.
@@ -85,6 +126,7 @@ import { addSignals } from './Signals.js'
  * 
  * @fires Viewer#draw
  * @fires Viewer#resize
+ * @fires Viewer#progress
  * 
  * @example
  * ```javascript
@@ -126,7 +168,10 @@ class Viewer {
 			autofit: true,
 			canvas: {},
 			camera: new Camera(),
-			idleTime: 60 // in seconds
+			idleTime: 60, // in seconds
+			requestPolicy: null,
+			cacheQuota: null,
+			cachePartition: null
 		});
 
 		// Get container element
@@ -138,6 +183,7 @@ class Viewer {
 
 		// Apply options
 		Object.assign(this, options);
+		this.requestPolicy = RequestPolicy.from(this.requestPolicy);
 		if (this.background)
 			div.style.background = this.background;
 
@@ -155,9 +201,16 @@ class Viewer {
 
 		// Initialize Canvas
 		this.canvas = new Canvas(this.canvasElement, this.overlayElement, this.camera, this.canvas);
+		if (this.cacheQuota) {
+			this.cachePartition = this.cachePartition || 'viewer' + Viewer.partitions++;
+			Cache.getInstance().setPartition(this.cachePartition, this.cacheQuota);
+		}
+		this.canvas.cachePartition = this.cachePartition;
+		this.canvas.requestPolicy = this.requestPolicy;
 
 		// Event handling for rendering
 		this.canvas.addEvent('update', () => { this.redraw(); });
+		this.canvas.addEvent('progress', (progress) => { this.emit('progress', progress); });
 
 		// Better handling of auto-fit functionality
 		if (this.autofit) {
@@ -242,6 +295,26 @@ class Viewer {
 		}
 	}
 
+	/**
+	 * Destroys the viewer: its layers are removed (their tiles are released), together with the cache partition
+	 * created for the `cacheQuota` option, the WebGL resources and the overlay. The canvas element is left in the page.
+	 */
+	destroy() {
+		this.destroyed = true;
+		if (this.animaterequest)
+			cancelAnimationFrame(this.animaterequest);
+		this.animaterequest = null;
+		this.resizeObserver.disconnect();
+		this.canvas.dispose();
+		if (this.cacheQuota) {
+			//other viewers might share the partition.
+			const cache = Cache.getInstance();
+			if (!cache.getStats().partitions[this.cachePartition]?.layers.length)
+				cache.removePartition(this.cachePartition);
+		}
+		this.overlayElement.remove();
+	}
+
 
 	/**
 	 * Handles viewer resizing
@@ -270,7 +343,7 @@ class Viewer {
 	 * Uses requestAnimationFrame for optimal performance
 	 */
 	redraw() {
-		if (this.animaterequest) return;
+		if (this.animaterequest || this.destroyed) return;
 		this.animaterequest = requestAnimationFrame((time) => { this.draw(time); });
 		this.requestTime = performance.now();
 	}
@@ -302,14 +375,191 @@ class Viewer {
 	 * @param {boolean} enabled - Whether split viewport mode is enabled
 	 * @param {string[]} leftLayerIds - Array of layer IDs to show on left side
 	 * @param {string[]} rightLayerIds - Array of layer IDs to show on right side
+	 * @param {Object} [options] - Divider mode and position, see {@link Canvas#setSplit}
 	 * @fires Canvas#update
+	 * @fires Canvas#split
 	 */
-	setSplitViewport(enabled, leftLayerIds = [], rightLayerIds = []) {
-		this.canvas.setSplitViewport(enabled, leftLayerIds, rightLayerIds);
+	setSplitViewport(enabled, leftLayerIds = [], rightLayerIds = [], options = {}) {
+		this.canvas.setSplitViewport(enabled, leftLayerIds, rightLayerIds, options);
+	}
+
+	/**
+	 * Opens local files (dropped or picked with a file input) without a server, adding a layer for each recognized
+	 * dataset: images, deepzoom folders, tarzoom files, RTI (info.json and planes) and annotations (see {@link LocalFiles}).
+	 * Must be called in the drop event handler, before awaiting anything.
+	 * @param {DataTransfer|FileList|File[]} source - Dropped data or files
+	 * @returns {Promise<Object.<string, Layer>>} The added layers by id (the file names, made unique)
+	 * @fires Canvas#update
+	 * @example
+	 * ```javascript
+	 * viewer.containerElement.addEventListener('dragover', (e) => e.preventDefault());
+	 * viewer.containerElement.addEventListener('drop', (e) => {
+	 *     e.preventDefault();
+	 *     viewer.openFiles(e.dataTransfer).then(layers => console.log(Object.keys(layers)));
+	 * });
+	 * ```
+	 */
+	async openFiles(source) {
+		const local = await LocalFiles.from(source);
+		const layers = {};
+		for (const [name, layer] of Object.entries(local.createLayers())) {
+			let id = name;
+			for (let i = 2; id in this.canvas.layers; i++)
+				id = `${name} (${i})`;
+			this.addLayer(id, layer);
+			layers[id] = layer;
+		}
+		return layers;
+	}
+
+	/**
+	 * Renders a region of the scene offscreen at any resolution (also much larger than the screen) and encodes it.
+	 * The current state of the layers is used (shaders, light direction, filters), tiles are loaded
+	 * at the output resolution. Annotations and a scale bar can be drawn on top.
+	 * @param {ExportOptions} [options] - Region, size and format
+	 * @returns {Promise<Blob>} The encoded image
+	 * @example
+	 * ```javascript
+	 * // current view at twice the native resolution, with the scale bar
+	 * const blob = await viewer.exportRegion({ scale: 2, scaleBar: true });
+	 * // a 4000px wide JPEG of a region
+	 * const box = new OpenLIME.BoundingBox({ xLow: -500, yLow: -300, xHigh: 500, yHigh: 300 });
+	 * const jpeg = await viewer.exportRegion({ box, width: 4000, type: 'image/jpeg', quality: 0.95 });
+	 * ```
+	 */
+	async exportRegion(options = {}) {
+		options = Object.assign({
+			box: null,
+			width: null,
+			height: null,
+			scale: 1,
+			type: 'image/png',
+			quality: 0.92,
+			background: null,
+			annotations: true,
+			scaleBar: false,
+			pixelSize: null,
+			tileSize: 2048,
+			timeout: 60000
+		}, options);
+
+		const box = options.box || this.camera.getCurrentTransform(performance.now()).getInverseBox(this.camera.viewport);
+		let { width, height } = options;
+		if (!width && !height) {
+			const native = 1 / Layer.computeLayersMinScale(this.canvas.layers, true);
+			width = box.width() * native * options.scale;
+		}
+		if (!width)
+			width = height * box.width() / box.height();
+		if (!height)
+			height = width * box.height() / box.width();
+		width = Math.round(width);
+		height = Math.round(height);
+
+		const rendering = await this.canvas.renderRegion(box, width, height, options);
+
+		const output = document.createElement('canvas');
+		output.width = width;
+		output.height = height;
+		const context = output.getContext('2d');
+		const background = options.background || (options.type == 'image/jpeg' ? '#fff' : null);
+		if (background) {
+			context.fillStyle = background;
+			context.fillRect(0, 0, width, height);
+		}
+		context.drawImage(rendering, 0, 0);
+
+		//same transform used for the rendering, in output pixels.
+		const z = Math.min(width / box.width(), height / box.height());
+		const center = box.center();
+		const transform = new Transform({ x: -center.x * z, y: -center.y * z, z: z, a: 0, t: 0 });
+		const viewport = { x: 0, y: 0, dx: width, dy: height, w: width, h: height };
+
+		if (options.annotations) {
+			const ordered = Object.values(this.canvas.layers).sort((a, b) => a.zindex - b.zindex);
+			for (const layer of ordered) {
+				const svg = layer.visible && layer.exportSvg && layer.exportSvg(transform, viewport);
+				if (!svg)
+					continue;
+				const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+				try {
+					const image = new Image();
+					image.src = url;
+					await image.decode();
+					context.drawImage(image, 0, 0, width, height);
+				} finally {
+					URL.revokeObjectURL(url);
+				}
+			}
+		}
+
+		if (options.scaleBar)
+			this.drawExportScaleBar(context, z, options.pixelSize);
+
+		return await new Promise((resolve, reject) => output.toBlob(blob =>
+			blob ? resolve(blob) : reject(new Error("Could not encode the exported image")), options.type, options.quality));
+	}
+
+	/**
+	 * Draws a scale bar in the bottom right corner of an exported image.
+	 * @param {CanvasRenderingContext2D} context - Output context
+	 * @param {number} zoom - Output pixels per scene unit
+	 * @param {number} [pixelSize] - Millimeters per scene unit (default: from the first layer which has it)
+	 * @private
+	 */
+	drawExportScaleBar(context, zoom, pixelSize) {
+		if (!pixelSize)
+			pixelSize = Object.values(this.canvas.layers).map(layer => layer.pixelSizePerMM()).find(size => size);
+		if (!pixelSize) {
+			console.warn("The scale bar needs the pixel size of the layers.");
+			return;
+		}
+		const { width, height } = context.canvas;
+		const unit = Math.max(1, Math.min(width, height) / 400); //line width, grows with the output.
+		const max = Math.min(width / 4, 200 * unit);
+		const units = new Units();
+		units.precision = 0;
+		const s = ScaleBar.prototype.bestLength(max / 2, max, pixelSize, zoom);
+		if (!s.length)
+			return;
+		const x = width - 10 * unit - s.length;
+		const y = height - 10 * unit;
+		context.save();
+		context.strokeStyle = context.fillStyle = '#fff';
+		context.shadowColor = '#000';
+		context.shadowBlur = 2 * unit;
+		context.lineWidth = 2 * unit;
+		context.beginPath();
+		context.moveTo(x, y);
+		context.lineTo(x + s.length, y);
+		context.stroke();
+		context.font = `${12 * unit}px sans-serif`;
+		context.textAlign = 'center';
+		context.fillText(units.format(s.label), x + s.length / 2, y - 5 * unit);
+		context.restore();
+	}
+
+	/**
+	 * Gets the loading progress of the current view, summed over the visible layers.
+	 * @returns {Object} { needed, loaded, failed, bytes, progress }, see {@link Viewer#event:progress}
+	 * @example
+	 * ```javascript
+	 * viewer.addEvent('progress', (p) => {
+	 *     bar.style.width = `${p.progress * 100}%`;
+	 *     bar.hidden = p.progress == 1;
+	 * });
+	 * ```
+	 */
+	getProgress() {
+		return this.canvas.getProgress();
 	}
 
 }
+/** Counter for the default cache partition names. @private */
+Viewer.partitions = 0;
+
 addSignals(Viewer, 'draw');
 addSignals(Viewer, 'resize'); //args: viewport
+addSignals(Viewer, 'progress'); //args: progress
 
 export { Viewer };
\ No newline at end of file
@@ -0,0 +1,254 @@
+import { Transform } from './Transform.js'
+
+/**
+ * @typedef {Object} ViewerLink~Registration
+ * Placement of a viewer scene relative to the shared reference: a point p of the reference
+ * is at p * scale + offset in the viewer scene.
+ * @property {Object} [offset={x:0, y:0}] - Translation in scene units of the viewer
+ * @property {number} [scale=1] - Scale factor
+ */
+
+/**
+ * @typedef {Object} ViewerLinkOptions
+ * @property {boolean} [light=false] - Whether to sync the light direction of the layers with the same id
+ * @property {boolean} [modes=false] - Whether to sync the shader modes of the layers with the same id
+ */
+
+/**
+ * ViewerLink keeps the cameras of several viewers in sync, e.g. to compare visible and UV images
+ * or the same object before and after restoration side by side.
+ *
+ * Each viewer can be registered with an offset and a scale, so that the same point of the object is
+ * shown at the same position in all viewers even if the images are not aligned.
+ * Optionally the light direction and the shader modes are synced too, through {@link Canvas#getState}
+ * and {@link Canvas#setState}: layers are matched by id.
+ *
+ * Changes applied by the link are not sent back, so there are no feedback loops. Bounded cameras
+ * may stop at different positions when the scenes have different sizes.
+ *
+ * @example
+ * ```javascript
+ * const link = new OpenLIME.ViewerLink([visibleViewer, { viewer: uvViewer, offset: { x: 12, y: -4 }, scale: 0.5 }],
+ *     { light: true, modes: true });
+ * // later
+ * link.setRegistration(uvViewer, { offset: { x: 10, y: -4 }, scale: 0.5 });
+ * link.remove(uvViewer);
+ * ```
+ */
+class ViewerLink {
+	/**
+	 * Creates a link, the viewers are aligned to the first one.
+	 * @param {Array<Viewer|Object>} [viewers=[]] - Viewers, or objects { viewer, offset, scale }
+	 * @param {ViewerLinkOptions} [options] - What to sync besides the cameras
+	 */
+	constructor(viewers = [], options) {
+		Object.assign(this, {
+			light: false,
+			modes: false,
+		});
+		Object.assign(this, options);
+
+		this.entries = []; //{ viewer, registration, state, onCamera, onDraw }
+		this.syncing = false;
+		for (const item of viewers) {
+			if (item.viewer)
+				this.add(item.viewer, item);
+			else
+				this.add(item);
+		}
+	}
+
+	/**
+	 * Adds a viewer to the link, aligning its camera (and state) to the first viewer.
+	 * @param {Viewer} viewer - The viewer
+	 * @param {ViewerLink~Registration} [registration] - Placement of the viewer scene
+	 */
+	add(viewer, registration = {}) {
+		if (this.entry(viewer))
+			throw new Error("Viewer already linked");
+		const entry = { viewer };
+		this.setEntryRegistration(entry, registration);
+		entry.onCamera = () => this.cameraChanged(entry);
+		entry.onDraw = () => this.stateChanged(entry);
+		viewer.camera.addEvent('update', entry.onCamera);
+		if (this.light || this.modes)
+			viewer.addEvent('draw', entry.onDraw);
+
+		const first = this.entries[0];
+		this.entries.push(entry);
+		entry.state = this.getState(entry);
+		if (first) {
+			if (first.viewer.camera.viewport && viewer.camera.viewport)
+				this.syncCamera(first, entry, 0);
+			if (this.light || this.modes)
+				this.applyState(entry, first.viewer.canvas.getState(this.stateMask()));
+		}
+	}
+
+	/**
+	 * Removes a viewer from the link.
+	 * @param {Viewer} viewer - The viewer
+	 */
+	remove(viewer) {
+		const entry = this.entry(viewer);
+		if (!entry)
+			return;
+		viewer.camera.removeEvent('update', entry.onCamera);
+		viewer.removeEvent('draw', entry.onDraw);
+		this.entries.splice(this.entries.indexOf(entry), 1);
+	}
+
+	/**
+	 * Removes all the viewers.
+	 */
+	destroy() {
+		for (const entry of [...this.entries])
+			this.remove(entry.viewer);
+	}
+
+	/**
+	 * Changes the placement of a viewer scene, the viewer is moved to match the others.
+	 * @param {Viewer} viewer - The viewer
+	 * @param {ViewerLink~Registration} registration - New placement
+	 */
+	setRegistration(viewer, registration) {
+		const entry = this.entry(viewer);
+		if (!entry)
+			throw new Error("Viewer not linked");
+		this.setEntryRegistration(entry, registration);
+		const other = this.entries.find(e => e !== entry);
+		if (other)
+			this.syncCamera(other, entry, 0);
+	}
+
+	/**
+	 * Gets the entry of a viewer.
+	 * @private
+	 * @param {Viewer} viewer - The viewer
+	 * @returns {Object|undefined} The entry
+	 */
+	entry(viewer) {
+		return this.entries.find(e => e.viewer === viewer);
+	}
+
+	/**
+	 * Stores the registration as the transform from the reference to the viewer scene.
+	 * @private
+	 * @param {Object} entry - Viewer entry
+	 * @param {ViewerLink~Registration} registration - Placement
+	 */
+	setEntryRegistration(entry, registration) {
+		const offset = Object.assign({ x: 0, y: 0 }, registration.offset);
+		entry.registration = new Transform({ x: offset.x, y: offset.y, z: registration.scale || 1, a: 0, t: 0 });
+	}
+
+	/**
+	 * Moves the other cameras when a camera target changes.
+	 * @private
+	 * @param {Object} entry - Entry of the moved viewer
+	 */
+	cameraChanged(entry) {
+		if (this.syncing)
+			return;
+		const dt = Math.max(0, entry.viewer.camera.target.t - performance.now());
+		for (const other of this.entries)
+			if (other !== entry && other.viewer.camera.viewport)
+				this.syncCamera(entry, other, dt);
+	}
+
+	/**
+	 * Moves a camera to show what another one is showing.
+	 * Camera transforms map the viewer scene to the screen: the target transform
+	 * goes from its scene to the reference, to the source scene and to the screen.
+	 * @private
+	 * @param {Object} from - Source entry
+	 * @param {Object} to - Target entry
+	 * @param {number} dt - Animation duration in milliseconds
+	 */
+	syncCamera(from, to, dt) {
+		const camera = from.viewer.camera;
+		const t = to.registration.inverse().compose(from.registration).compose(camera.target);
+		this.syncing = true;
+		try {
+			to.viewer.camera.setPosition(dt, t.x, t.y, t.z, t.a, camera.easing);
+		} finally {
+			this.syncing = false;
+		}
+	}
+
+	/**
+	 * Mask for {@link Canvas#getState} selecting the synced properties.
+	 * @private
+	 * @returns {Object} The mask
+	 */
+	stateMask() {
+		const mask = { controls: {} };
+		if (this.light)
+			mask.controls.light = true;
+		if (this.modes)
+			mask.mode = true;
+		return mask;
+	}
+
+	/**
+	 * Gets the synced state of a viewer, serialized for comparison.
+	 * @private
+	 * @param {Object} entry - Viewer entry
+	 * @returns {string} The state
+	 */
+	getState(entry) {
+		return JSON.stringify(entry.viewer.canvas.getState(this.stateMask()));
+	}
+
+	/**
+	 * Checks after each frame (when the controls are interpolated) if the synced state changed, and sends it to the other viewers.
+	 * @private
+	 * @param {Object} entry - Entry of the drawn viewer
+	 */
+	stateChanged(entry) {
+		if (this.syncing)
+			return;
+		const state = this.getState(entry);
+		if (state == entry.state)
+			return;
+		entry.state = state;
+		for (const other of this.entries)
+			if (other !== entry)
+				this.applyState(other, JSON.parse(state));
+	}
+
+	/**
+	 * Applies a state to the layers of a viewer with the same id, skipping controls and modes they do not have.
+	 * @private
+	 * @param {Object} entry - Viewer entry
+	 * @param {Object} state - State from {@link Canvas#getState}
+	 */
+	applyState(entry, state) {
+		const layers = entry.viewer.canvas.layers;
+		const filtered = { layers: {} };
+		for (const [id, layerState] of Object.entries(state.layers || {})) {
+			const layer = layers[id];
+			if (!layer)
+				continue;
+			const controls = {};
+			for (const [name, value] of Object.entries(layerState.controls || {}))
+				if (name in layer.controls)
+					controls[name] = value;
+			filtered.layers[id] = { controls };
+			if (layerState.mode && layerState.mode != layer.getMode() && layer.getModes().includes(layerState.mode))
+				filtered.layers[id].mode = layerState.mode;
+		}
+		this.syncing = true;
+		try {
+			entry.viewer.canvas.setState(filtered, 0);
+		} finally {
+			this.syncing = false;
+		}
+		//the new values are already the current ones, so that the next frame of this viewer does not send them back.
+		for (const layer of Object.values(layers))
+			layer.interpolateControls();
+		entry.state = this.getState(entry);
+	}
+}
+
+export { ViewerLink }
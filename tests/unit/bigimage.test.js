@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Layout } = require('./openlime.js');
+
+test('images larger than the maximum texture size are split in a virtual pyramid', async (t) => {
+	//canvases recording the crops.
+	const document = globalThis.document;
+	t.after(() => globalThis.document = document);
+	globalThis.document = {
+		createElement: () => {
+			const canvas = { style: {} };
+			canvas.getContext = () => ({ drawImage: (image, ...rect) => canvas.crop = rect });
+			return canvas;
+		}
+	};
+
+	const layout = new Layout('https://example.org/big.jpg', 'image', { maxTextureSize: 100, splitTilesize: 64 });
+	let resized = false;
+	layout.addEvent('updateSize', () => resized = true);
+	const image = { width: 300, height: 150 };
+	const raster = { blobToImage: async () => image };
+
+	const tile = { index: 0 };
+	layout.getTileURL(0, tile);
+	const root = await tile.decode(null, raster, null);
+	assert.ok(resized);
+	assert.deepEqual([layout.width, layout.height, layout.tilesize], [300, 150, 64]);
+	//300 pixels are 5 tiles of 64 at full resolution: 4 levels.
+	assert.equal(layout.nlevels, 4);
+	assert.deepEqual(layout.getTileSize(), [64, 64]);
+	assert.deepEqual([tile.level, tile.x, tile.y], [0, 0, 0]);
+	//the root tile covers 512 image pixels, scaled by 8.
+	assert.deepEqual(root.crop, [0, 0, 300, 150, 0, 0, 38, 19]);
+	assert.deepEqual([root.width, root.height], [38, 19]);
+
+	//the bottom right tile of the full resolution level is cropped at the image border.
+	const corner = layout.pyramid.newTile(layout.pyramid.index(3, 4, 2));
+	assert.equal(layout.getTileURL(0, corner), 'https://example.org/big.jpg');
+	const data = await layout.tileData(corner, 0);
+	assert.deepEqual(data.crop, [256, 128, 44, 22, 0, 0, 44, 22]);
+	//an inner tile of level 2, scaled by 2.
+	const inner = layout.pyramid.newTile(layout.pyramid.index(2, 1, 0));
+	assert.deepEqual((await layout.tileData(inner, 0)).crop, [128, 0, 128, 128, 0, 0, 64, 64]);
+});
+
+test('images fitting in a texture are not split', async () => {
+	const layout = new Layout('https://example.org/small.jpg', 'image', { maxTextureSize: 100 });
+	const tile = { index: 0 };
+	layout.getTileURL(0, tile);
+	const image = { width: 100, height: 60 };
+	assert.equal(await tile.decode(null, { blobToImage: async () => image }, null), image);
+	assert.equal(layout.pyramid, null);
+	assert.equal(layout.tileData(tile, 0), null);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Cache } = require('./openlime.js');
+
+//a layer of a viewer (canvas) in a partition, loading its tiles immediately, 100 bytes each.
+function layer(id, partition) {
+	return {
+		id, queue: [], tiles: new Map(), requested: new Map(), prefetchTime: 0,
+		canvas: { cachePartition: partition },
+		layout: { type: 'image' },
+		loadTile(tile, callback) {
+			Object.assign(tile, { missing: 0, size: 100 });
+			this.tiles.set(tile.index, tile);
+			callback(null, tile.size);
+		},
+		dropTile(tile) {
+			this.tiles.delete(tile.index);
+		},
+		cancelTile() { },
+	};
+}
+
+//the view of a layer needs new tiles.
+async function need(cache, layer, indexes) {
+	const time = performance.now();
+	layer.prefetchTime = time;
+	layer.queue = indexes.map(index => ({ index, time, priority: 0, missing: null }));
+	cache.setCandidates(layer);
+	await new Promise(resolve => setTimeout(resolve));
+}
+
+test('viewers with a partition do not evict each other tiles', async () => {
+	const cache = Cache.getInstance({ capacity: 600 }) //without the partitions b would evict the older tiles of a.;
+	cache.setPartition('a', 300);
+	cache.setPartition('b', 300);
+	const a = layer('a', 'a'), b = layer('b', 'b');
+
+	await need(cache, a, [0, 1, 2, 3, 4]);
+	assert.equal(a.tiles.size, 3); //the partition is full of tiles needed now.
+	const loaded = [...a.tiles.keys()];
+	await need(cache, b, [0, 1, 2]);
+	await new Promise(resolve => setTimeout(resolve, 2));
+	await need(cache, b, [3, 4]);
+	assert.equal(b.tiles.size, 3); //b evicted its older tiles only.
+	assert.ok(b.tiles.has(3) && b.tiles.has(4));
+	assert.deepEqual([...a.tiles.keys()], loaded);
+
+	let stats = cache.getStats();
+	assert.equal(stats.used, 600);
+	assert.deepEqual(stats.partitions, { a: { capacity: 300, used: 300, layers: ['a'] }, b: { capacity: 300, used: 300, layers: ['b'] } });
+
+	assert.equal(cache.flushPartition('b'), 300);
+	assert.equal(b.tiles.size, 0);
+	assert.equal(a.tiles.size, 3);
+	cache.removeLayer(a);
+	stats = cache.getStats();
+	assert.equal(stats.used, 0);
+	assert.deepEqual(stats.partitions, { a: { capacity: 300, used: 0, layers: [] }, b: { capacity: 300, used: 0, layers: ['b'] } });
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ColorProfile } = require('./openlime.js');
+
+//D50 primaries of sRGB.
+const SRGB = [0.4361, 0.2225, 0.0139, 0.3851, 0.7169, 0.0971, 0.1431, 0.0606, 0.7141];
+
+/**
+ * Writes a matrix/TRC RGB ICC profile with a 'para' curve of the given type and parameters.
+ */
+function writeICC(type, params, name = 'Test') {
+	const tags = [];
+	for (let i = 0; i < 3; i++) {
+		const xyz = new DataView(new ArrayBuffer(20));
+		ascii(xyz, 0, 'XYZ ');
+		for (let j = 0; j < 3; j++)
+			xyz.setInt32(8 + j * 4, Math.round(SRGB[i * 3 + j] * 65536));
+		tags.push([['rXYZ', 'gXYZ', 'bXYZ'][i], xyz]);
+	}
+	const para = new DataView(new ArrayBuffer(12 + params.length * 4));
+	ascii(para, 0, 'para');
+	para.setUint16(8, type);
+	params.forEach((p, i) => para.setInt32(12 + i * 4, Math.round(p * 65536)));
+	tags.push(['rTRC', para]);
+	const desc = new DataView(new ArrayBuffer(12 + name.length + 1));
+	ascii(desc, 0, 'desc');
+	desc.setUint32(8, name.length + 1);
+	ascii(desc, 12, name);
+	tags.push(['desc', desc]);
+
+	let size = 132 + tags.length * 12;
+	const offsets = tags.map(([, data]) => { const offset = size; size += data.byteLength; return offset; });
+	const view = new DataView(new ArrayBuffer(size));
+	ascii(view, 16, 'RGB ');
+	ascii(view, 36, 'acsp');
+	view.setUint32(128, tags.length);
+	tags.forEach(([sig, data], i) => {
+		ascii(view, 132 + i * 12, sig);
+		view.setUint32(136 + i * 12, offsets[i]);
+		view.setUint32(140 + i * 12, data.byteLength);
+		new Uint8Array(view.buffer).set(new Uint8Array(data.buffer), offsets[i]);
+	});
+	return view.buffer;
+}
+
+function ascii(view, pos, s) {
+	for (let i = 0; i < s.length; i++)
+		view.setUint8(pos + i, s.charCodeAt(i));
+}
+
+//the curve as evaluated by profile2linear in the shader.
+function evaluate({ g, a, b, c, d, e, f }, x) {
+	return x >= d ? Math.pow(Math.max(a * x + b, 0), g) + e : c * x + f;
+}
+
+function close(actual, expected, epsilon = 1e-3) {
+	assert.ok(Math.abs(actual - expected) < epsilon, `${actual} != ${expected}`);
+}
+
+test('sRGB profiles map to the identity', () => {
+	const profile = ColorProfile.parse(writeICC(3, [2.4, 1 / 1.055, 0.055 / 1.055, 1 / 12.92, 0.04045]));
+	assert.equal(profile.name, 'Test');
+	[1, 0, 0, 0, 1, 0, 0, 0, 1].forEach((v, i) => close(profile.matrix[i], v, 0.01));
+	const srgb = (x) => x <= 0.04045 ? x / 12.92 : Math.pow((x + 0.055) / 1.055, 2.4);
+	for (const x of [0, 0.02, 0.2, 0.5, 1])
+		close(evaluate(profile.curve, x), srgb(x));
+});
+
+test('parametric curves keep their offsets', () => {
+	//type 2: Y = (aX + b)^g + c, c below -b/a.
+	let curve = ColorProfile.parse(writeICC(2, [2, 1, -0.25, 0.1])).curve;
+	close(evaluate(curve, 0.1), 0.1);
+	close(evaluate(curve, 0.75), 0.35);
+	//type 4: Y = (aX + b)^g + e for X >= d, cX + f otherwise.
+	curve = ColorProfile.parse(writeICC(4, [2, 0.5, 0.5, 0.5, 0.2, 0.05, 0.02])).curve;
+	close(evaluate(curve, 0.1), 0.07);
+	close(evaluate(curve, 0.6), 0.64 + 0.05);
+});
+
+//a JPEG with the profile in an APP2 segment, without image data.
+function jpeg(icc) {
+	icc = new Uint8Array(icc);
+	const head = new Uint8Array(18);
+	const view = new DataView(head.buffer);
+	view.setUint16(0, 0xFFE2);
+	view.setUint16(2, icc.length + 16);
+	ascii(view, 4, 'ICC_PROFILE');
+	head.set([1, 1], 16);
+	return new Blob([new Uint8Array([0xFF, 0xD8]), head, icc, new Uint8Array([0xFF, 0xDA, 0, 2])]);
+}
+
+test('profiles are read from JPEG files', async () => {
+	const profile = await ColorProfile.fromImage(jpeg(writeICC(0, [1.8], 'Gamma 1.8')));
+	assert.equal(profile.name, 'Gamma 1.8');
+	close(profile.curve.g, 1.8);
+});
+
+test('profiles with unknown curves are not used', async () => {
+	const warn = console.warn;
+	console.warn = () => { };
+	try {
+		assert.equal(await ColorProfile.fromImage(jpeg(writeICC(5, [1, 1, 0, 0, 0, 0, 0]))), null);
+	} finally {
+		console.warn = warn;
+	}
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DecoderPool } = require('./openlime.js');
+
+test('relative urls are resolved before being sent to the workers', async (t) => {
+	const messages = [];
+	globalThis.Worker = class {
+		postMessage(message) {
+			messages.push(message);
+			setTimeout(() => this.onmessage({ data: { id: message.id, result: { image: 'image', bytes: 10 } } }));
+		}
+		terminate() { }
+	};
+	globalThis.OffscreenCanvas = class { };
+	globalThis.createImageBitmap = async () => 'image';
+	t.after(() => {
+		delete globalThis.Worker;
+		delete globalThis.OffscreenCanvas;
+		delete globalThis.createImageBitmap;
+	});
+
+	const pool = new DecoderPool({ workers: 1 });
+	assert.ok(pool.available);
+	assert.deepEqual(await pool.decodeImage({ url: 'tiles/0/0_0.jpg' }), { image: 'image', bytes: 10 });
+	await pool.decodeImage({ url: 'https://cdn.example/a.jpg' });
+	await pool.runLoader(() => null, { url: '../data/tile.bin', start: 0, end: 9 });
+	pool.terminate();
+
+	assert.equal(messages[0].url, 'https://example.org/viewer/tiles/0/0_0.jpg');
+	assert.equal(messages[1].url, 'https://cdn.example/a.jpg');
+	assert.equal(messages[2].tile.url, 'https://example.org/data/tile.bin');
+});
+
+test('loaders run on the main thread when the workers cannot eval them', async (t) => {
+	const messages = [];
+	globalThis.Worker = class {
+		postMessage(message) {
+			messages.push(message);
+			const answer = message.source ?
+				{ id: message.id, error: { name: 'EvalError', message: "Refused to evaluate a string as JavaScript" } } :
+				{ id: message.id, result: { data: 'worker' } };
+			setTimeout(() => this.onmessage({ data: answer }));
+		}
+		terminate() { }
+	};
+	globalThis.OffscreenCanvas = class { };
+	globalThis.createImageBitmap = async () => 'image';
+	const warn = console.warn;
+	console.warn = () => { };
+	t.after(() => {
+		delete globalThis.Worker;
+		delete globalThis.OffscreenCanvas;
+		delete globalThis.createImageBitmap;
+		console.warn = warn;
+	});
+
+	const pool = new DecoderPool({ workers: 1 });
+	const loader = async (tile, gl, options) => ({ data: 'main', url: tile.url, gl, options });
+	assert.deepEqual(await pool.runLoader(loader, { url: 'a.bin' }, { k: 1 }), { data: 'main', url: 'a.bin', gl: null, options: { k: 1 } });
+	await pool.runLoader(loader, { url: 'b.bin' });
+	assert.equal(messages.length, 1); //not sent again.
+
+	//scripts are loaded by the workers, no eval needed.
+	assert.deepEqual(await pool.runLoader('loaders/exr.js', { url: 'c.exr' }), { data: 'worker' });
+	assert.equal(messages[1].script, 'https://example.org/viewer/loaders/exr.js');
+	assert.equal(messages[1].source, undefined);
+	pool.terminate();
+});
+
+test('range requests answered with the whole file are rejected on the main thread', async (t) => {
+	const fetch = globalThis.fetch;
+	t.after(() => globalThis.fetch = fetch);
+	globalThis.fetch = async () => new Response(new Uint8Array(100), { status: 200 });
+
+	const pool = new DecoderPool({ enabled: false });
+	await assert.rejects(pool.decodeImage({ url: 'https://example.org/a.tzb', options: { headers: { range: 'bytes=0-9' } } }),
+		(error) => /partial content/.test(error.message) && error.status === null);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Heap } = require('./openlime.js');
+
+//deterministic pseudo random numbers.
+function random(seed) {
+	return () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+}
+
+test('heap pops the items in order', () => {
+	const next = random(1);
+	const values = Array.from({ length: 200 }, () => Math.floor(next() * 50));
+	const heap = new Heap((a, b) => a < b, values.slice(0, 100));
+	for (const value of values.slice(100))
+		heap.push(value);
+	assert.equal(heap.size, 200);
+	assert.equal(heap.peek(), Math.min(...values));
+	const popped = [];
+	while (heap.size)
+		popped.push(heap.pop());
+	assert.deepEqual(popped, values.sort((a, b) => a - b));
+	assert.equal(heap.pop(), undefined);
+});
+
+test('heap keeps the order when pushes and pops are interleaved', () => {
+	const next = random(7);
+	const heap = new Heap((a, b) => a.priority > b.priority);
+	const reference = [];
+	for (let i = 0; i < 500; i++) {
+		if (next() < 0.6) {
+			const item = { priority: next() };
+			heap.push(item);
+			reference.push(item);
+		} else if (reference.length) {
+			reference.sort((a, b) => b.priority - a.priority);
+			assert.equal(heap.pop(), reference.shift());
+		}
+	}
+	assert.equal(heap.size, reference.length);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LayoutTiles, IIIFManifest, mockFetch } = require('./openlime.js');
+
+const base = 'https://iiif.example/image';
+
+function info(id, options = {}) {
+	return Object.assign({
+		'@context': 'http://iiif.io/api/image/3/context.json',
+		id: `${base}/${id}`,
+		type: 'ImageService3',
+		profile: 'level0',
+		width: 3000,
+		height: 2000,
+		tiles: [{ width: 512, scaleFactors: [1, 2, 4] }],
+	}, options);
+}
+
+async function load(url) {
+	const layout = new LayoutTiles(null, 'iiif');
+	await layout.setUrls([url]);
+	assert.equal(layout.status, 'ready', String(layout.status));
+	return layout;
+}
+
+test('iiif levels are limited to the advertised scale factors', async () => {
+	mockFetch({ [`${base}/a/info.json`]: info('a') });
+	const layout = await load(`${base}/a/info.json`);
+	assert.equal(layout.nlevels, 3);
+	//top level: scale factor 4, a 2x1 grid of 512 tiles.
+	assert.equal(layout.getTileURL(0, { level: 0, x: 1, y: 0 }), `${base}/a/2048,0,952,2000/238,500/0/default.jpg`);
+	assert.equal(layout.getTileURL(0, { level: 2, x: 5, y: 3 }), `${base}/a/2560,1536,440,464/440,464/0/default.jpg`);
+});
+
+test('iiif coarser levels are added only for the advertised sizes', async () => {
+	mockFetch({ [`${base}/b/info.json`]: info('b', { sizes: [{ width: 375, height: 250 }, { width: 750, height: 500 }] }) });
+	const layout = await load(`${base}/b/info.json`);
+	assert.equal(layout.nlevels, 4);
+	assert.equal(layout.getTileURL(0, { level: 0, x: 0, y: 0 }), `${base}/b/full/375,250/0/default.jpg`);
+});
+
+test('iiif tiles larger than maxWidth are halved on the server grid', async () => {
+	mockFetch({ [`${base}/c/info.json`]: info('c', { maxWidth: 300 }) });
+	const layout = await load(`${base}/c/info.json`);
+	assert.deepEqual(layout.getTileSize(), [256, 256]);
+	assert.equal(layout.getTileURL(0, { level: 2, x: 2, y: 0 }), `${base}/c/512,0,256,256/256,256/0/default.jpg`);
+});
+
+test('iiif v2 info uses the v2 size syntax', async () => {
+	mockFetch({
+		[`${base}/d/info.json`]: {
+			'@context': 'http://iiif.io/api/image/2/context.json', '@id': `${base}/d`,
+			profile: ['http://iiif.io/api/image/2/level1.json', { formats: ['png'] }],
+			width: 1000, height: 600, tiles: [{ width: 256, scaleFactors: [1, 2, 4] }]
+		}
+	});
+	const layout = await load(`${base}/d/info.json`);
+	assert.equal(layout.getTileURL(0, { level: 2, x: 3, y: 2 }), `${base}/d/768,512,232,88/232,/0/default.jpg`);
+});
+
+test('manifest canvases are loaded in parallel', { timeout: 5000 }, async () => {
+	const canvas = (i) => ({
+		id: `c${i}`, type: 'Canvas', width: 3000, height: 2000,
+		items: [{ type: 'AnnotationPage', items: [{ motivation: 'painting', target: `c${i}`, body: { type: 'Image', service: [{ id: `${base}/p${i}`, type: 'ImageService3' }] } }] }],
+		annotations: [{ id: `${base}/annotations${i}.json`, type: 'AnnotationPage' }]
+	});
+	const infos = { [`${base}/p0/info.json`]: info('p0'), [`${base}/p1/info.json`]: info('p1') };
+	//the annotation pages are answered only when both have been requested.
+	const waiting = [];
+	globalThis.fetch = (url) => {
+		if (url in infos)
+			return Promise.resolve(new Response(JSON.stringify(infos[url])));
+		return new Promise(resolve => {
+			waiting.push(() => resolve(new Response(JSON.stringify({ type: 'AnnotationPage', items: [] }))));
+			if (waiting.length == 2)
+				waiting.forEach(answer => answer());
+		});
+	};
+	const manifest = await new IIIFManifest().load({ type: 'Manifest', items: [canvas(0), canvas(1)] });
+	assert.deepEqual(Object.keys(manifest.layers), ['canvas0', 'canvas0_annotations0', 'canvas1', 'canvas1_annotations0']);
+	assert.deepEqual(manifest.canvases.map(c => c.id), ['c0', 'c1']);
+});
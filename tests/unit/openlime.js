@@ -0,0 +1,36 @@
+// Loads the OpenLIME bundle (built by `npm run rollup`) in node for the unit tests,
+// with the browser globals needed when the modules are evaluated.
+globalThis.window = globalThis;
+if (!globalThis.location)
+	globalThis.location = new URL('https://example.org/viewer/index.html');
+if (!globalThis.document)
+	globalThis.document = { createElement: () => ({ getContext: () => null, style: {} }) };
+if (!globalThis.devicePixelRatio)
+	globalThis.devicePixelRatio = 1;
+
+module.exports = require('../../dist/js/openlime.cjs.js');
+
+/**
+ * Replaces fetch with a function answering from a map url -> body (object for JSON, ArrayBuffer or Uint8Array for bytes),
+ * honoring range headers. Returns the list of requested urls.
+ */
+module.exports.mockFetch = function (files) {
+	const requests = [];
+	globalThis.fetch = async (url, options = {}) => {
+		requests.push(url);
+		if (!(url in files))
+			return new Response('Not found', { status: 404, statusText: 'Not Found' });
+		let body = files[url];
+		if (!(body instanceof ArrayBuffer) && !ArrayBuffer.isView(body))
+			return new Response(JSON.stringify(body), { status: 200 });
+		body = new Uint8Array(body);
+		const range = new Headers(options.headers).get('range');
+		if (!range)
+			return new Response(body, { status: 200 });
+		const [, start, end] = range.match(/bytes=(\d*)-(\d*)/);
+		if (!start) //suffix range: the last bytes
+			return new Response(body.slice(Math.max(0, body.length - Number(end))), { status: 206 });
+		return new Response(body.slice(Number(start), Number(end) + 1), { status: 206 });
+	};
+	return requests;
+};
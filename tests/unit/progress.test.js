@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Layer, LayoutTiles, Transform } = require('./openlime.js');
+
+//a layer of 600x300 google tiles seen at full resolution: 6 tiles at level 2, 2 at level 1, 1 at level 0.
+async function makeLayer() {
+	const layout = new LayoutTiles(null, 'google', { width: 600, height: 300 });
+	await layout.setUrls(['https://tiles.example/image']);
+	const events = [];
+	const fake = Object.assign(Object.create(Layer.prototype), {
+		layout, tiles: new Map(), queue: [], transform: new Transform(), mipmapBias: 0.4, bytesLoaded: 0,
+		progress: { needed: 0, loaded: 0, failed: 0, bytes: 0, progress: 1 },
+		prefetchTime: 1,
+		prefetchView: { viewport: { x: 0, y: 0, dx: 600, dy: 300, w: 600, h: 300 }, transform: new Transform() },
+		emit: (name, progress) => events.push(progress),
+	});
+	fake.load = (level, x, y) => {
+		const tile = layout.newTile(layout.index(level, x, y));
+		Object.assign(tile, { time: 2, missing: 0 });
+		fake.tiles.set(tile.index, tile);
+		return tile;
+	};
+	fake.need = (level, x, y) => {
+		const tile = layout.newTile(layout.index(level, x, y));
+		Object.assign(tile, { time: 2, missing: null });
+		fake.queue.push(tile);
+	};
+	return [fake, events];
+}
+
+test('progress counts the needed tiles which are not loaded', async () => {
+	const [layer, events] = await makeLayer();
+	layer.load(0, 0, 0);
+	layer.load(1, 0, 0);
+	layer.need(1, 1, 0);
+	for (let x = 0; x < 3; x++)
+		for (let y = 0; y < 2; y++)
+			layer.need(2, x, y);
+	layer.updateProgress();
+	assert.deepEqual(events.pop(), { needed: 9, loaded: 2, failed: 0, bytes: 0, progress: 2 / 9 });
+});
+
+test('progress does not need coarse tiles drawn by finer ones', async () => {
+	const [layer, events] = await makeLayer();
+	//level 1 evicted: the right half is drawn by the level 2 tiles, the left half by the root.
+	layer.load(0, 0, 0);
+	for (let x = 2; x < 3; x++)
+		for (let y = 0; y < 2; y++)
+			layer.load(2, x, y);
+	layer.need(1, 0, 0);
+	layer.need(1, 1, 0);
+	for (let x = 0; x < 2; x++)
+		for (let y = 0; y < 2; y++)
+			layer.need(2, x, y);
+	layer.updateProgress();
+	assert.deepEqual(events.pop(), { needed: 8, loaded: 3, failed: 0, bytes: 0, progress: 3 / 8 });
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Canvas } = require('./openlime.js');
+
+//a canvas with the given layers (drawn or not), recording the views they prefetch.
+function canvas(regionView) {
+	const view = { transform: 'view transform', viewport: 'view viewport' };
+	const calls = {};
+	const layer = (id, drawn) => ({
+		id, drawn, status: 'ready',
+		prefetch: (transform, viewport, region) => { calls[id] = { transform, viewport, region }; }
+	});
+	const layers = { a: layer('a', true), b: layer('b', false), c: layer('c', true) };
+	const fake = {
+		camera: { getGlCurrentTransform: () => view.transform, glViewport: () => view.viewport },
+		layers,
+		isDrawn: (layer) => layer.drawn,
+		isViewed: Canvas.prototype.isViewed,
+		regionView: regionView && Object.assign(regionView, { layers: regionView.layers.map(id => layers[id]) }),
+	};
+	Canvas.prototype.prefetch.call(fake);
+	return calls;
+}
+
+test('regions replace the view of their layers while they are rendered', () => {
+	const region = { transform: 'region transform', viewport: 'region viewport', layers: ['b'] };
+	const calls = canvas(region);
+	assert.deepEqual(Object.keys(calls), ['b']);
+	assert.equal(calls.b.transform, 'region transform');
+});
+
+test('regions rendered in background are loaded along with the view', () => {
+	const region = { transform: 'region transform', viewport: 'region viewport', layers: ['a', 'b'], background: true };
+	const calls = canvas(region);
+	assert.deepEqual(Object.keys(calls), ['a', 'b', 'c']);
+	assert.equal(calls.a.transform, 'view transform');
+	assert.equal(calls.a.region, region);
+	//hidden layers load only the region.
+	assert.equal(calls.b.transform, 'region transform');
+	assert.equal(calls.b.region, undefined);
+	assert.equal(calls.c.region, null);
+});
+
+test('progress counts the layers being drawn', () => {
+	const progress = (needed, loaded) => ({ needed, loaded, failed: 0, bytes: loaded * 10 });
+	const layers = {
+		left: { id: 'left', visible: true, progress: progress(4, 4) },
+		right: { id: 'right', visible: false, progress: progress(4, 2) },
+		hidden: { id: 'hidden', visible: true, progress: progress(4, 0) },
+	};
+	const fake = {
+		layers, regionView: null,
+		splitViewport: true, leftLayers: ['left'], rightLayers: ['right'],
+		isDrawn: Canvas.prototype.isDrawn,
+		isViewed: Canvas.prototype.isViewed,
+	};
+	assert.deepEqual(Canvas.prototype.getProgress.call(fake), { needed: 8, loaded: 6, failed: 0, bytes: 60, progress: 0.75 });
+	//while rendering a region only its layers.
+	fake.regionView = { layers: [layers.left] };
+	assert.equal(Canvas.prototype.getProgress.call(fake).progress, 1);
+});
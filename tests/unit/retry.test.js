@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Layer } = require('./openlime.js');
+
+function retry(statuses) {
+	const calls = [];
+	const tile = { slot: { release: () => calls.push('release'), acquire: async () => calls.push('acquire') } };
+	const load = async () => {
+		calls.push('load');
+		const status = statuses.shift();
+		if (status === 200)
+			return 'data';
+		throw Object.assign(new Error('failed'), { status });
+	};
+	const promise = Layer.prototype.retryTile.call({ tileRetries: 3, tileRetryDelay: 1 }, tile, load);
+	return { promise, calls };
+}
+
+test('client errors and unknown statuses are not retried', async () => {
+	for (const status of [404, 403, null]) {
+		const { promise, calls } = retry([status]);
+		await assert.rejects(promise, (error) => error.status === status && error.attempts == 1);
+		assert.deepEqual(calls, ['load']);
+	}
+});
+
+test('transient errors are retried without holding the request slot', async () => {
+	const { promise, calls } = retry([503, 429, 200]);
+	assert.equal(await promise, 'data');
+	assert.deepEqual(calls, ['load', 'release', 'acquire', 'load', 'release', 'acquire', 'load']);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Canvas, SplitDivider } = require('./openlime.js');
+
+//a canvas with only the split state.
+function canvas() {
+	return Object.assign(Object.create(Canvas.prototype), {
+		splitViewport: false, leftLayers: [], rightLayers: [],
+		splitMode: 'vertical', splitPosition: { x: 0.5, y: 0.5 }, splitRadius: 0.25
+	});
+}
+
+test('split positions are clamped and sent with the split signal', () => {
+	const c = canvas();
+	const events = [];
+	c.addEvent('split', (split) => events.push(split));
+	c.setSplitViewport(true, ['visible'], ['uv'], { mode: 'circular', x: 1.5, y: -0.2, radius: -1 });
+	assert.deepEqual(events.pop(), { enabled: true, mode: 'circular', x: 1, y: 0, radius: 0 });
+	assert.ok(c.isDrawn({ id: 'uv' }) && !c.isDrawn({ id: 'other', visible: true }));
+
+	//missing options are not changed.
+	c.setSplit({ y: 0.3 });
+	assert.deepEqual(events.pop(), { enabled: true, mode: 'circular', x: 1, y: 0.3, radius: 0 });
+	assert.throws(() => c.setSplit({ mode: 'diagonal' }), /Unknown split mode/);
+	assert.equal(c.splitMode, 'circular');
+	assert.equal(events.length, 0);
+});
+
+test('the divider moves along its mode with the keyboard', () => {
+	const c = canvas();
+	c.setSplitViewport(true, [], [], { mode: 'horizontal' });
+	const divider = { canvas: c, step: 0.01 };
+	const key = (key, shiftKey = false) => {
+		const event = { key, shiftKey, prevented: false, preventDefault() { this.prevented = true; }, stopPropagation() { } };
+		SplitDivider.prototype.keyDown.call(divider, event);
+		return event.prevented;
+	};
+
+	assert.equal(key('ArrowLeft'), false); //horizontal dividers move only up and down.
+	assert.equal(c.splitPosition.x, 0.5);
+	key('ArrowDown', true);
+	assert.ok(Math.abs(c.splitPosition.y - 0.6) < 1e-9);
+	key('End');
+	assert.equal(c.splitPosition.y, 1);
+	key('ArrowDown');
+	assert.equal(c.splitPosition.y, 1);
+	assert.equal(key('+'), false); //the radius only in circular mode.
+
+	c.setSplit({ mode: 'circular' });
+	key('+');
+	assert.ok(Math.abs(c.splitRadius - 0.275) < 1e-9);
+	key('ArrowLeft');
+	assert.ok(Math.abs(c.splitPosition.x - 0.49) < 1e-9);
+});
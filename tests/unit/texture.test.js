@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Raster, Raster16Bit } = require('./openlime.js');
+
+const constants = { RGB: 1, RGBA: 2, R8: 3, RED: 4, RG8: 5, RG: 6, LUMINANCE: 7, LUMINANCE_ALPHA: 8 };
+
+test('texture formats and their GPU memory', (t) => {
+	globalThis.WebGL2RenderingContext = class { };
+	t.after(() => delete globalThis.WebGL2RenderingContext);
+	const gl1 = Object.assign({}, constants);
+	const gl2 = Object.assign(new WebGL2RenderingContext(), constants);
+
+	//RGB is padded to 4 bytes.
+	assert.deepEqual(Raster.glFormat(gl2, 'vec3'), { internalFormat: gl2.RGB, glFormat: gl2.RGB, bytesPerPixel: 4 });
+	assert.deepEqual(Raster.glFormat(gl2, 'vec4'), { internalFormat: gl2.RGBA, glFormat: gl2.RGBA, bytesPerPixel: 4 });
+	assert.deepEqual(Raster.glFormat(gl2, 'r8'), { internalFormat: gl2.R8, glFormat: gl2.RED, bytesPerPixel: 1 });
+	assert.deepEqual(Raster.glFormat(gl2, 'rg8'), { internalFormat: gl2.RG8, glFormat: gl2.RG, bytesPerPixel: 2 });
+	assert.deepEqual(Raster.glFormat(gl1, 'r8'), { internalFormat: gl1.LUMINANCE, glFormat: gl1.LUMINANCE, bytesPerPixel: 1 });
+	assert.deepEqual(Raster.glFormat(gl1, 'rg8'), { internalFormat: gl1.LUMINANCE_ALPHA, glFormat: gl1.LUMINANCE_ALPHA, bytesPerPixel: 2 });
+});
+
+test('texture size with and without mipmaps', () => {
+	assert.equal(Raster.textureBytes(256, 256, 4), 262144);
+	//256² + 128² + ... + 1 = (4^9 - 1) / 3 pixels.
+	assert.equal(Raster.textureBytes(256, 256, 4, true), 4 * (Math.pow(4, 9) - 1) / 3);
+	//non square: the short side stops at 1.
+	assert.equal(Raster.textureBytes(8, 2, 1, true), 16 + 4 + 2 + 1);
+});
+
+test('16 bit textures use two bytes per channel, RGB padded to RGBA', () => {
+	const bytes = (format, channels) => Raster16Bit.prototype.bytesPerPixel.call({ format }, channels);
+	assert.equal(bytes('r16ui', 1), 2);
+	assert.equal(bytes('rg16f', 2), 4);
+	assert.equal(bytes('rgb16ui', 3), 8);
+	assert.equal(bytes('rgba16f', 4), 8);
+	assert.equal(bytes('depth16', 1), 2);
+});
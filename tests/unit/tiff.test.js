@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LayoutTiles, mockFetch } = require('./openlime.js');
+
+const SHORT = 3, LONG = 4, LONG8 = 16;
+
+/**
+ * Writes a little endian TIFF (or BigTIFF) with the given IFDs, each a list of [tag, type, values].
+ * Tile data is not included, the offsets only point past the end of the file.
+ */
+function writeTIFF(ifds, big) {
+	const buffer = new ArrayBuffer(65536);
+	const view = new DataView(buffer);
+	const sizes = { [SHORT]: 2, [LONG]: 4, [LONG8]: 8 };
+	const setOffset = (p, v) => big ? view.setBigUint64(p, BigInt(v), true) : view.setUint32(p, v, true);
+	const put = (p, type, v) => type == SHORT ? view.setUint16(p, v, true) : type == LONG ? view.setUint32(p, v, true) : view.setBigUint64(p, BigInt(v), true);
+
+	view.setUint16(0, 0x4949);
+	view.setUint16(2, big ? 43 : 42, true);
+	if (big)
+		view.setUint16(4, 8, true);
+	let link = big ? 8 : 4; //where the offset of the next IFD goes
+	let end = big ? 16 : 8;
+	for (const tags of ifds) {
+		setOffset(link, end);
+		const entrySize = big ? 20 : 12;
+		if (big)
+			view.setBigUint64(end, BigInt(tags.length), true);
+		else
+			view.setUint16(end, tags.length, true);
+		let p = end + (big ? 8 : 2);
+		let data = p + tags.length * entrySize + (big ? 8 : 4);
+		for (const [tag, type, values] of tags) {
+			view.setUint16(p, tag, true);
+			view.setUint16(p + 2, type, true);
+			setOffset(p + 4, values.length);
+			let target = p + (big ? 12 : 8);
+			if (values.length * sizes[type] > (big ? 8 : 4)) {
+				setOffset(target, data);
+				target = data;
+				data += values.length * sizes[type];
+			}
+			values.forEach((v, i) => put(target + i * sizes[type], type, v));
+			p += entrySize;
+		}
+		link = p;
+		end = data;
+	}
+	return buffer.slice(0, end);
+}
+
+function level(width, height, big, reduced = false) {
+	const tiles = Math.ceil(width / 256) * Math.ceil(height / 256);
+	const offsets = Array.from({ length: tiles }, (_, i) => width * 1000 + i * 100);
+	return [
+		[254, LONG, [reduced ? 1 : 0]],
+		[256, LONG, [width]],
+		[257, LONG, [height]],
+		[258, SHORT, [8]],
+		[259, SHORT, [7]],
+		[262, SHORT, [1]],
+		[277, SHORT, [1]],
+		[322, SHORT, [256]],
+		[323, SHORT, [256]],
+		[324, big ? LONG8 : LONG, offsets],
+		[325, LONG, offsets.map(() => 100)],
+	];
+}
+
+async function load(buffer) {
+	mockFetch({ 'https://tiff.example/a.tif': buffer });
+	const layout = new LayoutTiles(null, 'tiff');
+	await layout.setUrls(['https://tiff.example/a.tif']);
+	return layout;
+}
+
+for (const big of [false, true]) {
+	test(`${big ? 'BigTIFF' : 'TIFF'} levels are read from the IFDs`, async () => {
+		//the full resolution first (as in a COG), then a level which does not halve the previous one.
+		const layout = await load(writeTIFF([level(1024, 600, big), level(512, 300, big, true), level(200, 100, big, true), level(256, 150, big, true)], big));
+		assert.equal(layout.status, 'ready', String(layout.status));
+		assert.equal(layout.width, 1024);
+		assert.equal(layout.height, 600);
+		assert.equal(layout.nlevels, 3);
+		assert.deepEqual(layout.getTileSize(), [256, 256]);
+
+		const tile = { level: 2, x: 1, y: 2 };
+		assert.equal(layout.getTileURL(0, tile), 'https://tiff.example/a.tif');
+		assert.equal(tile.start, 1024 * 1000 + 9 * 100);
+		assert.equal(tile.end, tile.start + 99);
+
+		const top = { level: 0, x: 0, y: 0 };
+		layout.getTileURL(0, top);
+		assert.equal(top.start, 256 * 1000);
+	});
+}
+
+test('TIFF files which are not tiled are rejected', async () => {
+	const strips = level(1024, 600, false).filter(([tag]) => tag < 322);
+	const layout = await load(writeTIFF([strips], false));
+	assert.match(String(layout.status), /Only tiled TIFF/);
+});
+
+test('TIFF files starting with a stripped thumbnail use the largest tiled image', async () => {
+	const thumbnail = level(128, 75, false, true).filter(([tag]) => tag < 322);
+	const layout = await load(writeTIFF([thumbnail, level(1024, 600, false), level(512, 300, false, true)], false));
+	assert.equal(layout.status, 'ready', String(layout.status));
+	assert.equal(layout.width, 1024);
+	assert.equal(layout.nlevels, 2);
+});
+
+test('TIFF files with IFDs linked in a loop are rejected', async () => {
+	const buffer = writeTIFF([level(1024, 600, false)], false);
+	//the next IFD offset of the only IFD (at 8, with 11 entries) points back to it.
+	new DataView(buffer).setUint32(8 + 2 + 11 * 12, 8, true);
+	const layout = await load(buffer);
+	assert.match(String(layout.status), /loop/);
+});
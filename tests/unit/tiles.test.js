@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LayoutTiles } = require('./openlime.js');
+
+test('xyz border tiles are padded', async () => {
+	const layout = new LayoutTiles(null, 'xyz', { width: 600, height: 300 });
+	await layout.setUrls(['https://tiles.example/{z}/{x}/{y}.png']);
+	assert.equal(layout.status, 'ready', String(layout.status));
+	assert.equal(layout.nlevels, 3);
+	//last column of the full resolution level: 88 of 256 pixels, last row 44.
+	const { tcoords } = layout.tileCoords({ level: 2, x: 2, y: 1 });
+	assert.deepEqual([...tcoords], [0, 0, 0, 44 / 256, 88 / 256, 44 / 256, 88 / 256, 0]);
+});
+
+test('xyz plane urls are folders of the template', () => {
+	const layout = new LayoutTiles(null, 'xyz', { width: 600, height: 300 });
+	assert.equal(layout.imageUrl('https://{s}.tiles.example/rti/{z}/{x}/{y}.jpg', 'plane_0'), 'https://{s}.tiles.example/rti/plane_0/{z}/{x}/{y}.jpg');
+});
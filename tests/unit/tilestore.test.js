@@ -0,0 +1,62 @@
+require('fake-indexeddb/auto'); //in-memory IndexedDB
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TileStore } = require('./openlime.js');
+
+const bytes = (n) => new Blob([new Uint8Array(n)]);
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+//writes the access times now, instead of after touchDelay.
+async function touch(store) {
+	clearTimeout(store.touchTimeout);
+	await store.touch();
+}
+
+test('tiles are kept across sessions', async () => {
+	const store = new TileStore({ name: 'persist' });
+	let fetched = 0;
+	const fetcher = async () => { fetched++; return bytes(100); };
+	await store.load({ url: 'https://example.org/0_0.jpg' }, 'v1', fetcher);
+	await store.put('https://example.org/a.tif#0-99', 'v1', bytes(100)); //already stored by load, the size is replaced.
+	await touch(store);
+	(await store.db).close();
+
+	const reopened = new TileStore({ name: 'persist' });
+	await reopened.db;
+	assert.equal(reopened.size, 200);
+	const blob = await reopened.load({ url: 'https://example.org/a.tif', start: 0, end: 99 }, 'v1', fetcher);
+	assert.equal(blob.size, 100);
+	assert.equal(fetched, 1);
+	assert.deepEqual(reopened.getStats(), { used: 200, quota: reopened.quota, hits: 1, misses: 0 });
+	await touch(reopened);
+});
+
+test('the least recently read tiles are evicted over quota', async () => {
+	const store = new TileStore({ name: 'quota', quota: 250 });
+	await store.put('a', '', bytes(100));
+	await wait(5);
+	await store.put('b', '', bytes(100));
+	await wait(5);
+	assert.ok(await store.get('a', ''));
+	await touch(store); //a is now more recent than b.
+	await store.put('c', '', bytes(100));
+	assert.equal(store.size, 200);
+	assert.equal(await store.get('b', ''), null);
+	assert.ok(await store.get('a', ''));
+	assert.ok(await store.get('c', ''));
+	await touch(store);
+});
+
+test('tiles stored with another key are dropped', async () => {
+	const store = new TileStore({ name: 'keys' });
+	await store.put('x', 'v1', bytes(100));
+	await store.put('y', 'v1', bytes(50));
+	assert.equal(await store.get('x', 'v2'), null);
+	await touch(store);
+	assert.equal(store.size, 50);
+	assert.equal(await store.get('x', 'v1'), null); //deleted.
+
+	await store.invalidate('v1');
+	assert.equal(store.size, 0);
+	assert.equal(await store.get('y', 'v1'), null);
+});
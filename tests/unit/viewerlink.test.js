@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ViewerLink, Camera, Transform } = require('./openlime.js');
+
+//the parts of a viewer used by the link.
+function viewer() {
+	const viewport = { x: 0, y: 0, dx: 400, dy: 300, w: 400, h: 300 };
+	return {
+		camera: new Camera({ bounded: false, viewport }),
+		canvas: { layers: {}, getState: () => ({ layers: {} }) },
+		addEvent() { },
+		removeEvent() { },
+	};
+}
+
+function close(actual, expected) {
+	assert.ok(Math.abs(actual.x - expected.x) < 1e-9 && Math.abs(actual.y - expected.y) < 1e-9,
+		`${JSON.stringify(actual)} != ${JSON.stringify(expected)}`);
+}
+
+//a point p of the reference is at p * scale + offset in the scene of a viewer.
+function scene(registration, p) {
+	return { x: p.x * registration.scale + registration.offset.x, y: p.y * registration.scale + registration.offset.y };
+}
+
+test('registered viewers show the same reference point at the same screen position', () => {
+	const a = viewer(), b = viewer();
+	const ra = { offset: { x: -30, y: 8 }, scale: 2 };
+	const rb = { offset: { x: 12, y: -4 }, scale: 0.5 };
+	const link = new ViewerLink([{ viewer: a, ...ra }, { viewer: b, ...rb }]);
+
+	const check = (from, rfrom, to, rto) => {
+		for (const p of [{ x: 0, y: 0 }, { x: 100, y: -50 }, { x: -20, y: 70 }]) {
+			const q = scene(rfrom, p);
+			const r = scene(rto, p);
+			close(to.camera.target.apply(r.x, r.y), from.camera.target.apply(q.x, q.y));
+		}
+	};
+
+	a.camera.setPosition(0, 40, -25, 1.5, 30);
+	check(a, ra, b, rb);
+	//and the other way around.
+	b.camera.setPosition(0, -10, 60, 3, 300);
+	check(b, rb, a, ra);
+
+	//a new registration moves the viewer to match the others.
+	const rb2 = { offset: { x: 0, y: 20 }, scale: 4 };
+	link.setRegistration(b, rb2);
+	check(a, ra, b, rb2);
+
+	link.destroy();
+	const before = new Transform(b.camera.target);
+	a.camera.setPosition(0, 0, 0, 1, 0);
+	assert.deepEqual(b.camera.target, before);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LayoutTiles, mockFetch } = require('./openlime.js');
+
+/**
+ * Writes a ZIP archive with the given entries (name -> bytes) stored without compression.
+ */
+function writeZip(files) {
+	const encoder = new TextEncoder();
+	const locals = [], directory = [];
+	let offset = 0;
+	for (const [name, data] of Object.entries(files)) {
+		const bytes = encoder.encode(name);
+		const local = new DataView(new ArrayBuffer(30 + bytes.length + data.length));
+		local.setUint32(0, 0x04034b50, true);
+		local.setUint32(18, data.length, true);
+		local.setUint32(22, data.length, true);
+		local.setUint16(26, bytes.length, true);
+		new Uint8Array(local.buffer).set(bytes, 30);
+		new Uint8Array(local.buffer).set(data, 30 + bytes.length);
+
+		const central = new DataView(new ArrayBuffer(46 + bytes.length));
+		central.setUint32(0, 0x02014b50, true);
+		central.setUint32(20, data.length, true);
+		central.setUint32(24, data.length, true);
+		central.setUint16(28, bytes.length, true);
+		central.setUint32(42, offset, true);
+		new Uint8Array(central.buffer).set(bytes, 46);
+
+		locals.push(new Uint8Array(local.buffer));
+		directory.push(new Uint8Array(central.buffer));
+		offset += local.byteLength;
+	}
+	const size = directory.reduce((total, d) => total + d.length, 0);
+	const eocd = new DataView(new ArrayBuffer(22));
+	eocd.setUint32(0, 0x06054b50, true);
+	eocd.setUint16(8, directory.length, true);
+	eocd.setUint16(10, directory.length, true);
+	eocd.setUint32(12, size, true);
+	eocd.setUint32(16, offset, true);
+	return Buffer.concat([...locals, ...directory, new Uint8Array(eocd.buffer)]);
+}
+
+async function load(files, options) {
+	mockFetch({ 'https://zip.example/a.zip': writeZip(files) });
+	const layout = new LayoutTiles(null, 'zip', options);
+	await layout.setUrls(['https://zip.example/a.zip']);
+	assert.equal(layout.status, 'ready', String(layout.status));
+	return layout;
+}
+
+test('zip central directory entries locate the google tiles', async () => {
+	const files = {};
+	for (const [level, cols, rows] of [[0, 1, 1], [1, 2, 1], [2, 3, 2]])
+		for (let y = 0; y < rows; y++)
+			for (let x = 0; x < cols; x++)
+				files[`pyramid/${level}/${y}/${x}.png`] = new Uint8Array(10 + x);
+	const layout = await load(files, { width: 600, height: 300 });
+	assert.equal(layout.nlevels, 3);
+	assert.equal(layout.suffix, 'png');
+
+	const name = 'pyramid/2/1/2.png';
+	const entry = layout.zip[0].entries.get(name);
+	const offset = Object.entries(files).slice(0, Object.keys(files).indexOf(name))
+		.reduce((total, [n, data]) => total + 30 + n.length + data.length, 0);
+	assert.deepEqual(entry, { offset, size: 12, method: 0, extra: 0 });
+
+	const tile = { level: 2, x: 2, y: 1 };
+	assert.equal(layout.getTileURL(0, tile), 'https://zip.example/a.zip');
+	assert.equal(tile.start, offset);
+
+	//google pyramids are padded also in zip archives.
+	const { tcoords } = layout.tileCoords(tile);
+	assert.deepEqual([...tcoords], [0, 0, 0, 44 / 256, 88 / 256, 44 / 256, 88 / 256, 0]);
+});
+
+test('zip archives without a pyramid are rejected', async () => {
+	mockFetch({ 'https://zip.example/b.zip': writeZip({ 'readme.txt': new Uint8Array(4) }) });
+	const layout = new LayoutTiles(null, 'zip');
+	await layout.setUrls(['https://zip.example/b.zip']);
+	assert.match(String(layout.status), /No deepzoom or google pyramid/);
+});